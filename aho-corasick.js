@@ -0,0 +1,72 @@
+// Aho-Corasick 多模式匹配：一次扫描文本即可找出包含的所有关键词，耗时与关键词数量无关
+
+export class AhoCorasick {
+  /**
+   * @param {Array<{ value: string, payload: * }>} patterns - 关键词及命中时返回的数据
+   */
+  constructor(patterns) {
+    // 每个节点：{ next: Map<UTF-16 码元, 节点下标>, fail: 节点下标, outputs: payload 数组 }
+    this.nodes = [{ next: new Map(), fail: 0, outputs: [] }];
+    for (const { value, payload } of patterns) {
+      if (value) {
+        this.insert(value, payload);
+      }
+    }
+    this.buildFailureLinks();
+  }
+
+  insert(value, payload) {
+    let state = 0;
+    for (let i = 0; i < value.length; i++) {
+      const char = value.charCodeAt(i);
+      let next = this.nodes[state].next.get(char);
+      if (next === undefined) {
+        next = this.nodes.length;
+        this.nodes.push({ next: new Map(), fail: 0, outputs: [] });
+        this.nodes[state].next.set(char, next);
+      }
+      state = next;
+    }
+    this.nodes[state].outputs.push(payload);
+  }
+
+  /**
+   * 按广度优先计算失败指针，并把失败指针链上的输出合并到当前节点
+   */
+  buildFailureLinks() {
+    const queue = [...this.nodes[0].next.values()];
+    for (let head = 0; head < queue.length; head++) {
+      const state = queue[head];
+      for (const [char, child] of this.nodes[state].next) {
+        let fail = this.nodes[state].fail;
+        while (fail !== 0 && !this.nodes[fail].next.has(char)) {
+          fail = this.nodes[fail].fail;
+        }
+        const target = this.nodes[fail].next.get(char);
+        this.nodes[child].fail = target !== undefined && target !== child ? target : 0;
+        this.nodes[child].outputs.push(...this.nodes[this.nodes[child].fail].outputs);
+        queue.push(child);
+      }
+    }
+  }
+
+  /**
+   * @param {string} text
+   * @returns {Set} 文本中出现过的关键词对应的 payload
+   */
+  search(text) {
+    const found = new Set();
+    let state = 0;
+    for (let i = 0; i < text.length; i++) {
+      const char = text.charCodeAt(i);
+      while (state !== 0 && !this.nodes[state].next.has(char)) {
+        state = this.nodes[state].fail;
+      }
+      state = this.nodes[state].next.get(char) ?? 0;
+      for (const payload of this.nodes[state].outputs) {
+        found.add(payload);
+      }
+    }
+    return found;
+  }
+}
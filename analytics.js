@@ -0,0 +1,189 @@
+import { getModelPricing } from './config.js';
+import { iterateRequestHistory } from './request-history.js';
+
+// 用量与费用统计：基于请求历史按模型、上游令牌、调用方聚合
+
+// 时间窗口 -> { 窗口长度, 时间线分桶大小 }
+const WINDOWS = {
+  '1h': { duration: 60 * 60 * 1000, bucket: 5 * 60 * 1000 },
+  '24h': { duration: 24 * 60 * 60 * 1000, bucket: 60 * 60 * 1000 },
+  '7d': { duration: 7 * 24 * 60 * 60 * 1000, bucket: 6 * 60 * 60 * 1000 },
+  '30d': { duration: 30 * 24 * 60 * 60 * 1000, bucket: 24 * 60 * 60 * 1000 }
+};
+
+export const ANALYTICS_WINDOWS = Object.keys(WINDOWS);
+
+function createGroup(key, label) {
+  return {
+    key,
+    label,
+    requests: 0,
+    errors: 0,
+    inputTokens: 0,
+    outputTokens: 0,
+    cacheReadTokens: 0,
+    cacheCreationTokens: 0,
+    totalTokens: 0,
+    cost: 0,
+    unpricedRequests: 0,
+    durations: [],
+    ttfts: []
+  };
+}
+
+/**
+ * promptTokens 包含缓存读取/写入的 token，这里拆分为非缓存输入与缓存两部分
+ */
+function splitUsage(usage) {
+  const cacheRead = Number(usage?.cacheReadTokens || 0);
+  const cacheCreation = Number(usage?.cacheCreationTokens || 0);
+  const prompt = Number(usage?.promptTokens || 0);
+  return {
+    input: Math.max(prompt - cacheRead - cacheCreation, 0),
+    output: Number(usage?.completionTokens || 0),
+    cacheRead,
+    cacheCreation,
+    total: Number(usage?.totalTokens || 0)
+  };
+}
+
+/**
+ * @returns {number|null} 估算费用（美元），模型未配置单价时返回 null
+ */
+function estimateCost(entry, tokens) {
+  const pricing = getModelPricing(entry.redirectedModel || entry.model);
+  if (!pricing) {
+    return null;
+  }
+  return (
+    tokens.input * pricing.input
+    + tokens.output * pricing.output
+    + tokens.cacheRead * pricing.cacheRead
+    + tokens.cacheCreation * pricing.cacheWrite
+  ) / 1e6;
+}
+
+function addToGroup(group, entry, tokens, cost) {
+  group.requests++;
+  if (entry.status >= 400) {
+    group.errors++;
+  }
+  group.inputTokens += tokens.input;
+  group.outputTokens += tokens.output;
+  group.cacheReadTokens += tokens.cacheRead;
+  group.cacheCreationTokens += tokens.cacheCreation;
+  group.totalTokens += tokens.total;
+  if (cost === null) {
+    if (tokens.total > 0) group.unpricedRequests++;
+  } else {
+    group.cost += cost;
+  }
+  if (typeof entry.durationMs === 'number') {
+    group.durations.push(entry.durationMs);
+  }
+  if (typeof entry.ttftMs === 'number' && entry.stream) {
+    group.ttfts.push(entry.ttftMs);
+  }
+}
+
+function percentile(sorted, ratio) {
+  if (sorted.length === 0) {
+    return null;
+  }
+  const index = Math.min(Math.ceil(ratio * sorted.length) - 1, sorted.length - 1);
+  return Math.round(sorted[Math.max(index, 0)]);
+}
+
+function summarizeGroup(group) {
+  const durations = group.durations.sort((a, b) => a - b);
+  const ttfts = group.ttfts.sort((a, b) => a - b);
+  const { durations: _durations, ttfts: _ttfts, ...totals } = group;
+  return {
+    ...totals,
+    cost: Math.round(group.cost * 1e6) / 1e6,
+    errorRate: group.requests > 0 ? group.errors / group.requests : 0,
+    latency: {
+      p50: percentile(durations, 0.5),
+      p90: percentile(durations, 0.9),
+      p99: percentile(durations, 0.99)
+    },
+    ttft: {
+      p50: percentile(ttfts, 0.5),
+      p90: percentile(ttfts, 0.9)
+    }
+  };
+}
+
+function addToBreakdown(breakdown, key, label, entry, tokens, cost) {
+  if (!breakdown.has(key)) {
+    breakdown.set(key, createGroup(key, label));
+  }
+  addToGroup(breakdown.get(key), entry, tokens, cost);
+}
+
+function sortBreakdown(breakdown) {
+  return [...breakdown.values()]
+    .map(summarizeGroup)
+    .sort((a, b) => b.cost - a.cost || b.requests - a.requests);
+}
+
+/**
+ * Aggregate the request history over a time window.
+ * @param {string} window - one of ANALYTICS_WINDOWS
+ * @returns {Promise<Object>} { window, from, to, bucketMs, totals, byModel, byToken, byClient, timeline }
+ */
+export async function getUsageAnalytics(window = '24h') {
+  const windowKey = WINDOWS[window] ? window : '24h';
+  const { duration, bucket } = WINDOWS[windowKey];
+  const to = Date.now();
+  const from = to - duration;
+
+  const totals = createGroup('total', 'Total');
+  const byModel = new Map();
+  const byToken = new Map();
+  const byClient = new Map();
+  const timeline = new Map();
+
+  for await (const entry of iterateRequestHistory({ from })) {
+    const tokens = splitUsage(entry.usage);
+    const cost = estimateCost(entry, tokens);
+    addToGroup(totals, entry, tokens, cost);
+
+    const model = entry.redirectedModel || entry.model;
+    if (model) {
+      addToBreakdown(byModel, model, model, entry, tokens, cost);
+    }
+    const tokenKey = entry.upstreamTokenId || entry.tokenSnippet;
+    if (tokenKey) {
+      addToBreakdown(byToken, tokenKey, entry.upstreamToken || tokenKey, entry, tokens, cost);
+    }
+    const clientKey = entry.clientId || entry.client || entry.clientIp;
+    if (clientKey) {
+      addToBreakdown(byClient, clientKey, entry.client || clientKey, entry, tokens, cost);
+    }
+
+    const bucketStart = Math.floor(new Date(entry.timestamp).getTime() / bucket) * bucket;
+    if (!timeline.has(bucketStart)) {
+      timeline.set(bucketStart, { start: new Date(bucketStart).toISOString(), requests: 0, errors: 0, totalTokens: 0, cost: 0 });
+    }
+    const point = timeline.get(bucketStart);
+    point.requests++;
+    point.errors += entry.status >= 400 ? 1 : 0;
+    point.totalTokens += tokens.total;
+    point.cost += cost || 0;
+  }
+
+  return {
+    window: windowKey,
+    from: new Date(from).toISOString(),
+    to: new Date(to).toISOString(),
+    bucketMs: bucket,
+    totals: summarizeGroup(totals),
+    byModel: sortBreakdown(byModel),
+    byToken: sortBreakdown(byToken),
+    byClient: sortBreakdown(byClient),
+    timeline: [...timeline.entries()]
+      .sort(([a], [b]) => a - b)
+      .map(([, point]) => ({ ...point, cost: Math.round(point.cost * 1e6) / 1e6 }))
+  };
+}
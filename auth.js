@@ -1,23 +1,40 @@
+import crypto from 'crypto';
 import fetch from 'node-fetch';
 import { logDebug, logError, logInfo } from './logger.js';
 import {
   activateToken,
+  findClientKey,
   getActiveFactoryKey,
   getActiveRefreshToken,
+  getTokenValue,
   initializeDashboardState,
+  listTokens,
   maskToken,
+  touchClientKey,
   updateAuthStatus,
   updateTokenValue
 } from './state.js';
+import { getPoolTokenKey, isPoolEnabled, markPoolTokenFailure, selectPoolToken } from './token-pool.js';
+import { recordTokenRefresh } from './metrics.js';
 
 const REFRESH_URL = 'https://api.workos.com/user_management/authenticate';
-const REFRESH_INTERVAL_HOURS = 6;
+// access token 中没有 exp 时使用的有效期
+const FALLBACK_TOKEN_LIFETIME_HOURS = 6;
+// 在过期前提前刷新
+const REFRESH_AHEAD_MINUTES = 10;
+const REFRESH_RETRY_MINUTES = 5;
+// setTimeout 的最大延迟（约 24.8 天），超过后定时器会立即触发
+const MAX_TIMER_DELAY_MS = 2 ** 31 - 1;
 const AUTH_TOKEN = process.env.AUTH_TOKEN ? process.env.AUTH_TOKEN.trim() : null;
 
-let currentApiKey = null;
-let lastRefreshTime = null;
-let cachedRefreshTokenId = null;
-let cachedRefreshTokenValue = null;
+// refresh token id -> { refreshTokenValue, accessToken, refreshedAt, expiresAt }
+const accessTokenCache = new Map();
+// refresh token id -> 正在进行的刷新请求，避免并发重复刷新
+const pendingRefreshes = new Map();
+// refresh token id -> 定时刷新的 timer
+const refreshTimers = new Map();
+// 最近一次刷新失败的 refresh token id，刷新成功后移除
+const failedRefreshes = new Set();
 let clientId = null;
 
 function getClientId() {
@@ -48,48 +65,81 @@ function isAuthorizedForServerTokens(clientAuthorization) {
   return parsed && parsed.token === AUTH_TOKEN;
 }
 
-function shouldRefresh() {
-  if (!lastRefreshTime) {
-    return true;
+function getCachedAccessToken(refreshToken) {
+  const cached = accessTokenCache.get(refreshToken.id);
+  if (!cached || cached.refreshTokenValue !== refreshToken.value) {
+    return null;
   }
-  const hoursSinceRefresh = (Date.now() - lastRefreshTime) / (1000 * 60 * 60);
-  return hoursSinceRefresh >= REFRESH_INTERVAL_HOURS;
+  return cached;
 }
 
-function syncRefreshTokenCache() {
-  const activeRefresh = getActiveRefreshToken();
-  if (!activeRefresh) {
-    cachedRefreshTokenId = null;
-    cachedRefreshTokenValue = null;
-    currentApiKey = null;
-    lastRefreshTime = null;
+/**
+ * Read the `exp` claim (ms since epoch) from a JWT without verifying it.
+ * @returns {number|null}
+ */
+function getJwtExpiry(token) {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3) {
+    return null;
+  }
+  try {
+    const payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf-8'));
+    return typeof payload.exp === 'number' ? payload.exp * 1000 : null;
+  } catch (error) {
     return null;
   }
-  if (cachedRefreshTokenId !== activeRefresh.id || cachedRefreshTokenValue !== activeRefresh.value) {
-    cachedRefreshTokenId = activeRefresh.id;
-    cachedRefreshTokenValue = activeRefresh.value;
-    currentApiKey = null;
-    lastRefreshTime = null;
-    updateAuthStatus({ activeAccessTokenSnippet: null });
-    logInfo('Active refresh token updated, clearing cached access token');
+}
+
+function shouldRefresh(cached) {
+  if (!cached) {
+    return true;
   }
-  return activeRefresh;
+  return Date.now() >= cached.expiresAt - REFRESH_AHEAD_MINUTES * 60 * 1000;
 }
 
-async function refreshApiKey() {
-  if (!cachedRefreshTokenValue) {
+function scheduleRefresh(refreshTokenId, delayMs) {
+  clearTimeout(refreshTimers.get(refreshTokenId));
+  const delay = Math.max(delayMs, 30 * 1000);
+  // 有效期很长的 token 分段等待，避免超出 setTimeout 上限
+  if (delay > MAX_TIMER_DELAY_MS) {
+    const timer = setTimeout(() => scheduleRefresh(refreshTokenId, delay - MAX_TIMER_DELAY_MS), MAX_TIMER_DELAY_MS);
+    timer.unref();
+    refreshTimers.set(refreshTokenId, timer);
+    return;
+  }
+  const timer = setTimeout(async () => {
+    refreshTimers.delete(refreshTokenId);
+    // 使用存储中的最新值，token 被删除时清理缓存
+    const refreshToken = getTokenValue('refresh', refreshTokenId);
+    if (!refreshToken) {
+      accessTokenCache.delete(refreshTokenId);
+      return;
+    }
+    try {
+      await refreshOnce(refreshToken);
+    } catch (error) {
+      logError(`Scheduled refresh failed for ${refreshToken.label}, retrying in ${REFRESH_RETRY_MINUTES} minutes`, error);
+      scheduleRefresh(refreshTokenId, REFRESH_RETRY_MINUTES * 60 * 1000);
+    }
+  }, delay);
+  timer.unref();
+  refreshTimers.set(refreshTokenId, timer);
+}
+
+async function refreshApiKey(refreshToken) {
+  if (!refreshToken || !refreshToken.value) {
     const error = new Error('No refresh token available');
     error.status = 401;
     throw error;
   }
 
-  logInfo('Refreshing API key...');
+  logInfo(`Refreshing API key (${maskToken(refreshToken.value)})...`);
   updateAuthStatus({ lastRefreshStatus: 'in-progress', lastRefreshError: null });
 
   try {
     const formData = new URLSearchParams();
     formData.append('grant_type', 'refresh_token');
-    formData.append('refresh_token', cachedRefreshTokenValue);
+    formData.append('refresh_token', refreshToken.value);
     formData.append('client_id', getClientId());
 
     const response = await fetch(REFRESH_URL, {
@@ -106,50 +156,183 @@ async function refreshApiKey() {
     }
 
     const data = await response.json();
-    currentApiKey = data.access_token;
-    lastRefreshTime = Date.now();
+    let refreshTokenValue = refreshToken.value;
 
-    if (data.refresh_token && cachedRefreshTokenId) {
-      cachedRefreshTokenValue = data.refresh_token;
-      updateTokenValue('refresh', cachedRefreshTokenId, data.refresh_token);
-      activateToken('refresh', cachedRefreshTokenId);
+    // WorkOS 会轮换 refresh token，需要写回存储
+    if (data.refresh_token && data.refresh_token !== refreshToken.value) {
+      refreshTokenValue = data.refresh_token;
+      updateTokenValue('refresh', refreshToken.id, data.refresh_token);
+      // 非号池模式下刷新的是当前使用的令牌，保持 Dashboard 中的激活状态与之同步
+      if (!isPoolEnabled() && getActiveRefreshToken()?.id === refreshToken.id) {
+        activateToken('refresh', refreshToken.id);
+      }
     }
 
+    const refreshedAt = Date.now();
+    const expiresAt = getJwtExpiry(data.access_token)
+      || refreshedAt + FALLBACK_TOKEN_LIFETIME_HOURS * 60 * 60 * 1000;
+    accessTokenCache.set(refreshToken.id, {
+      refreshTokenValue,
+      accessToken: data.access_token,
+      refreshedAt,
+      expiresAt
+    });
+    scheduleRefresh(refreshToken.id, expiresAt - REFRESH_AHEAD_MINUTES * 60 * 1000 - refreshedAt);
+    failedRefreshes.delete(refreshToken.id);
+
     updateAuthStatus({
       lastRefreshAt: new Date().toISOString(),
       lastRefreshStatus: 'success',
       lastRefreshError: null,
-      activeAccessTokenSnippet: maskToken(currentApiKey)
+      activeAccessTokenSnippet: maskToken(data.access_token)
     });
 
-    logInfo('API key refreshed successfully');
-    return currentApiKey;
+    recordTokenRefresh(true);
+    logInfo(`API key refreshed successfully, expires at: ${new Date(expiresAt).toISOString()}`);
+    return data.access_token;
   } catch (error) {
+    failedRefreshes.add(refreshToken.id);
     updateAuthStatus({
       lastRefreshAt: new Date().toISOString(),
       lastRefreshStatus: 'error',
       lastRefreshError: error.message
     });
+    recordTokenRefresh(false);
     logError('Failed to refresh API key', error);
     throw error;
   }
 }
 
-async function ensureAccessTokenValid() {
-  if (!cachedRefreshTokenValue) {
+function refreshOnce(refreshToken) {
+  if (!pendingRefreshes.has(refreshToken.id)) {
+    const pending = refreshApiKey(refreshToken).finally(() => {
+      pendingRefreshes.delete(refreshToken.id);
+    });
+    pendingRefreshes.set(refreshToken.id, pending);
+  }
+  return pendingRefreshes.get(refreshToken.id);
+}
+
+async function ensureAccessTokenValid(refreshToken) {
+  if (!refreshToken || !refreshToken.value) {
     const error = new Error('No refresh token configured');
     error.status = 401;
     throw error;
   }
-  if (!currentApiKey || shouldRefresh()) {
-    await refreshApiKey();
+  let cached = getCachedAccessToken(refreshToken);
+  if (shouldRefresh(cached)) {
+    await refreshOnce(refreshToken);
+    cached = accessTokenCache.get(refreshToken.id);
   }
-  if (!currentApiKey) {
+  if (!cached || !cached.accessToken) {
     const error = new Error('Refresh token did not return access token');
     error.status = 500;
     throw error;
   }
-  return currentApiKey;
+  return cached.accessToken;
+}
+
+/**
+ * Whether a refresh token can currently supply an access token: its cached access token
+ * has not expired, or its most recent refresh did not fail (tokens not refreshed yet count as usable).
+ */
+export function isRefreshTokenUsable(refreshToken) {
+  if (!refreshToken || !refreshToken.value) {
+    return false;
+  }
+  const cached = getCachedAccessToken(refreshToken);
+  if (cached && Date.now() < cached.expiresAt) {
+    return true;
+  }
+  return !failedRefreshes.has(refreshToken.id);
+}
+
+/**
+ * Take the next healthy token from the pool, refreshing access tokens as needed.
+ * Tokens whose refresh fails are put on cooldown and skipped.
+ * @param {Set<string>} excludeKeys - pool token keys already tried for this request
+ */
+export async function getPooledApiKey(excludeKeys = new Set()) {
+  const tried = new Set(excludeKeys);
+  const timestamp = new Date().toISOString();
+
+  for (;;) {
+    const candidate = selectPoolToken(tried);
+    if (!candidate) {
+      const error = new Error('No healthy tokens available in the pool.');
+      error.status = 503;
+      throw error;
+    }
+    tried.add(candidate.key);
+
+    let accessToken = candidate.value;
+    if (candidate.type === 'refresh') {
+      try {
+        accessToken = await ensureAccessTokenValid(candidate);
+      } catch (error) {
+        markPoolTokenFailure(candidate.key, 401, error.message);
+        continue;
+      }
+    }
+
+    const snippet = maskToken(accessToken);
+    updateAuthStatus({ lastSource: candidate.type, lastUsedAt: timestamp, activeAccessTokenSnippet: snippet });
+    return {
+      header: `Bearer ${accessToken}`,
+      source: candidate.type,
+      tokenSnippet: snippet,
+      tokenLabel: candidate.label,
+      tokenKey: candidate.key,
+      poolTokenKey: candidate.key,
+      refreshTokenId: candidate.type === 'refresh' ? candidate.id : null
+    };
+  }
+}
+
+/**
+ * Refresh every stored refresh token that has no valid cached access token,
+ * so all of them stay warm and get their own expiry-driven schedule.
+ */
+export async function warmRefreshTokens() {
+  for (const refreshToken of listTokens('refresh')) {
+    if (!shouldRefresh(getCachedAccessToken(refreshToken))) {
+      continue;
+    }
+    try {
+      await refreshOnce(refreshToken);
+    } catch (error) {
+      logError(`Failed initial refresh with refresh token ${refreshToken.label}`, error);
+    }
+  }
+}
+
+/**
+ * Force a refresh of the access token behind `authInfo` after upstream rejected it with 401.
+ * @returns {Object|null} updated auth info, or null if the token is not a refresh token or refresh failed
+ */
+export async function refreshAuthInfo(authInfo) {
+  if (!authInfo || !authInfo.refreshTokenId) {
+    return null;
+  }
+  const refreshToken = getTokenValue('refresh', authInfo.refreshTokenId);
+  if (!refreshToken) {
+    return null;
+  }
+  try {
+    // 其他请求可能已经刷新过，直接使用新的 access token
+    const cached = getCachedAccessToken(refreshToken);
+    let accessToken = cached && `Bearer ${cached.accessToken}` !== authInfo.header ? cached.accessToken : null;
+    if (!accessToken) {
+      accessTokenCache.delete(refreshToken.id);
+      accessToken = await refreshOnce(refreshToken);
+    }
+    const snippet = maskToken(accessToken);
+    updateAuthStatus({ activeAccessTokenSnippet: snippet });
+    return { ...authInfo, header: `Bearer ${accessToken}`, tokenSnippet: snippet };
+  } catch (error) {
+    logError('Refresh after upstream 401 failed', error);
+    return null;
+  }
 }
 
 export async function initializeAuth() {
@@ -161,13 +344,9 @@ export async function initializeAuth() {
     logInfo('Factory API key available via token manager');
   }
 
-  const activeRefresh = syncRefreshTokenCache();
-  if (activeRefresh) {
-    try {
-      await refreshApiKey();
-    } catch (error) {
-      logError('Failed initial refresh with configured token', error);
-    }
+  const refreshTokens = listTokens('refresh');
+  if (refreshTokens.length > 0) {
+    await warmRefreshTokens();
   } else if (!activeFactory) {
     logInfo('No server-managed tokens configured; client authorization headers will be required.');
   }
@@ -177,41 +356,105 @@ export function getDashboardAuthToken() {
   return AUTH_TOKEN || '';
 }
 
-export async function getApiKey(clientAuthorization = null) {
-  const authorizedForServerTokens = isAuthorizedForServerTokens(clientAuthorization);
-  const timestamp = new Date().toISOString();
+/**
+ * Look up the proxy client key presented in the Authorization header, if any.
+ */
+export function resolveClientKey(clientAuthorization) {
+  const parsed = parseAuthHeader(clientAuthorization);
+  return parsed ? findClientKey(parsed.token) : null;
+}
 
-  if (authorizedForServerTokens) {
-    const activeFactory = getActiveFactoryKey();
-    if (activeFactory) {
-      const header = `Bearer ${activeFactory.value}`;
-      const snippet = maskToken(activeFactory.value);
-      updateAuthStatus({ lastSource: 'factory', lastUsedAt: timestamp, activeAccessTokenSnippet: snippet });
-      return { header, source: 'factory', tokenSnippet: snippet };
-    }
+/**
+ * @returns {string|null} reason the client key cannot be used, or null if it is usable
+ */
+export function getClientKeyError(clientKey) {
+  if (!clientKey.enabled) {
+    return 'Client key is disabled';
+  }
+  if (clientKey.expiresAt && new Date(clientKey.expiresAt).getTime() <= Date.now()) {
+    return 'Client key has expired';
+  }
+  return null;
+}
+
+async function getServerApiKey(timestamp) {
+  if (isPoolEnabled()) {
+    return getPooledApiKey();
+  }
+
+  const activeFactory = getActiveFactoryKey();
+  if (activeFactory) {
+    const header = `Bearer ${activeFactory.value}`;
+    const snippet = maskToken(activeFactory.value);
+    updateAuthStatus({ lastSource: 'factory', lastUsedAt: timestamp, activeAccessTokenSnippet: snippet });
+    return { header, source: 'factory', tokenSnippet: snippet, tokenLabel: activeFactory.label, tokenKey: getPoolTokenKey('factory', activeFactory.id) };
+  }
+
+  const activeRefresh = getActiveRefreshToken();
+  if (activeRefresh) {
+    const accessToken = await ensureAccessTokenValid(activeRefresh);
+    const header = `Bearer ${accessToken}`;
+    const snippet = maskToken(accessToken);
+    updateAuthStatus({ lastSource: 'refresh', lastUsedAt: timestamp, activeAccessTokenSnippet: snippet });
+    return { header, source: 'refresh', tokenSnippet: snippet, tokenLabel: activeRefresh.label, tokenKey: getPoolTokenKey('refresh', activeRefresh.id), refreshTokenId: activeRefresh.id };
+  }
 
-    const activeRefresh = syncRefreshTokenCache();
-    if (activeRefresh) {
-      await ensureAccessTokenValid();
-      const header = `Bearer ${currentApiKey}`;
-      const snippet = maskToken(currentApiKey);
-      updateAuthStatus({ lastSource: 'refresh', lastUsedAt: timestamp, activeAccessTokenSnippet: snippet });
-      return { header, source: 'refresh', tokenSnippet: snippet };
+  const noTokenError = new Error('Server-managed tokens are not configured. Please add a FACTORY_API_KEY or refresh token.');
+  noTokenError.status = 503;
+  throw noTokenError;
+}
+
+/**
+ * Identify the caller from the Authorization header without selecting an upstream token,
+ * so rate limits can be checked before a pool token is charged for the request.
+ * @returns {Object} { source: 'server' | 'client', clientKeyId, clientLabel, tokenSnippet, tokenHash }
+ */
+export function identifyCaller(clientAuthorization = null) {
+  const clientKey = resolveClientKey(clientAuthorization);
+  if (clientKey) {
+    const clientKeyError = getClientKeyError(clientKey);
+    if (clientKeyError) {
+      const error = new Error(clientKeyError);
+      error.status = 401;
+      throw error;
     }
+    return { source: 'server', clientKeyId: clientKey.id, clientLabel: clientKey.label };
+  }
 
-    const noTokenError = new Error('Server-managed tokens are not configured. Please add a FACTORY_API_KEY or refresh token.');
-    noTokenError.status = 503;
-    throw noTokenError;
+  if (isAuthorizedForServerTokens(clientAuthorization)) {
+    return { source: 'server' };
   }
 
   if (clientAuthorization) {
     const parsed = parseAuthHeader(clientAuthorization);
-    const snippet = parsed ? maskToken(parsed.token) : 'N/A';
-    updateAuthStatus({ lastSource: 'client', lastUsedAt: timestamp, lastClientTokenSnippet: snippet });
-    return { header: clientAuthorization, source: 'client', tokenSnippet: snippet };
+    const token = parsed ? parsed.token : clientAuthorization;
+    // 透传的 token 按完整值的哈希区分调用方，掩码后的片段只用于展示
+    return {
+      source: 'client',
+      tokenSnippet: parsed ? maskToken(parsed.token) : 'N/A',
+      tokenHash: crypto.createHash('sha256').update(token).digest('hex')
+    };
   }
 
   const error = new Error('No authorization available. Please configure tokens or provide Authorization header.');
   error.status = 401;
   throw error;
 }
+
+export async function getApiKey(clientAuthorization = null) {
+  const timestamp = new Date().toISOString();
+  const caller = identifyCaller(clientAuthorization);
+
+  if (caller.source === 'client') {
+    updateAuthStatus({ lastSource: 'client', lastUsedAt: timestamp, lastClientTokenSnippet: caller.tokenSnippet });
+    return { ...caller, header: clientAuthorization };
+  }
+
+  // 代理客户端密钥同样使用服务器管理的令牌，并在 tokenInfo 中带上客户端身份
+  if (caller.clientKeyId) {
+    touchClientKey(caller.clientKeyId);
+    const authInfo = await getServerApiKey(timestamp);
+    return { ...authInfo, clientKeyId: caller.clientKeyId, clientLabel: caller.clientLabel };
+  }
+  return getServerApiKey(timestamp);
+}
@@ -0,0 +1,235 @@
+// config.json 校验与环境变量覆盖
+
+export const REASONING_LEVELS = ['auto', 'off', 'low', 'medium', 'high'];
+export const REASONING_OUTPUT_MODES = ['reasoning_content', 'think_tags', 'none'];
+export const ENV_PREFIX = 'DROID2API_';
+
+// 已知的顶层字段及其类型，用于校验和解析环境变量
+const TOP_LEVEL_TYPES = {
+  port: 'number',
+  model_redirects: 'object',
+  endpoint: 'array',
+  models: 'array',
+  dev_mode: 'boolean',
+  reasoning_output: 'string',
+  user_agent: 'string',
+  system_prompt: 'string'
+};
+
+const PRICING_FIELDS = ['input', 'output', 'cache_read', 'cache_write'];
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+}
+
+function isPlainObject(value) {
+  return typeOf(value) === 'object';
+}
+
+function validateEndpoints(endpoints, errors) {
+  const names = new Set();
+  endpoints.forEach((endpoint, index) => {
+    const where = `endpoint[${index}]`;
+    if (!isPlainObject(endpoint)) {
+      errors.push(`${where} must be an object`);
+      return;
+    }
+    if (typeof endpoint.name !== 'string' || !endpoint.name) {
+      errors.push(`${where}.name is required`);
+    } else if (names.has(endpoint.name)) {
+      errors.push(`${where}.name "${endpoint.name}" is duplicated`);
+    } else {
+      names.add(endpoint.name);
+    }
+    if (typeof endpoint.base_url !== 'string' || !endpoint.base_url) {
+      errors.push(`${where}.base_url is required`);
+    } else {
+      try {
+        new URL(endpoint.base_url);
+      } catch (error) {
+        errors.push(`${where}.base_url "${endpoint.base_url}" is not a valid URL`);
+      }
+    }
+  });
+  return names;
+}
+
+function validateModels(models, endpointNames, errors) {
+  const ids = new Set();
+  models.forEach((model, index) => {
+    if (!isPlainObject(model)) {
+      errors.push(`models[${index}] must be an object`);
+      return;
+    }
+    const where = `models[${index}]${typeof model.id === 'string' && model.id ? ` (${model.id})` : ''}`;
+    if (typeof model.id !== 'string' || !model.id) {
+      errors.push(`${where}.id is required`);
+    } else if (ids.has(model.id)) {
+      errors.push(`${where}: duplicate model id "${model.id}"`);
+    } else {
+      ids.add(model.id);
+    }
+    if (model.name !== undefined && typeof model.name !== 'string') {
+      errors.push(`${where}.name must be a string`);
+    }
+    if (typeof model.type !== 'string' || !model.type) {
+      errors.push(`${where}.type is required`);
+    } else if (!endpointNames.has(model.type)) {
+      errors.push(`${where}.type "${model.type}" has no matching endpoint (available: ${[...endpointNames].join(', ') || 'none'})`);
+    }
+    if (model.reasoning !== undefined
+      && (typeof model.reasoning !== 'string' || !REASONING_LEVELS.includes(model.reasoning.toLowerCase()))) {
+      errors.push(`${where}.reasoning "${model.reasoning}" must be one of ${REASONING_LEVELS.join(', ')}`);
+    }
+    if (model.reasoning_output !== undefined
+      && (typeof model.reasoning_output !== 'string' || !REASONING_OUTPUT_MODES.includes(model.reasoning_output.toLowerCase()))) {
+      errors.push(`${where}.reasoning_output "${model.reasoning_output}" must be one of ${REASONING_OUTPUT_MODES.join(', ')}`);
+    }
+    if (model.pricing !== undefined) {
+      if (!isPlainObject(model.pricing)) {
+        errors.push(`${where}.pricing must be an object`);
+      } else {
+        for (const [field, value] of Object.entries(model.pricing)) {
+          if (!PRICING_FIELDS.includes(field)) {
+            errors.push(`${where}.pricing.${field} is not supported (use ${PRICING_FIELDS.join(', ')})`);
+          } else if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+            errors.push(`${where}.pricing.${field} must be a non-negative number`);
+          }
+        }
+      }
+    }
+  });
+  return ids;
+}
+
+/**
+ * 重定向只生效一跳，因此目标必须是已配置的模型；同时检测 a -> b -> a 这样的循环
+ */
+function validateRedirects(redirects, modelIds, errors) {
+  for (const [source, target] of Object.entries(redirects)) {
+    if (typeof target !== 'string' || !target) {
+      errors.push(`model_redirects["${source}"] must be a model id string`);
+    } else if (!modelIds.has(target)) {
+      errors.push(`model_redirects["${source}"] points to "${target}", which is not a configured model id`);
+    }
+  }
+
+  const reported = new Set();
+  for (const source of Object.keys(redirects)) {
+    const chain = [source];
+    let current = redirects[source];
+    while (typeof current === 'string' && Object.prototype.hasOwnProperty.call(redirects, current)) {
+      if (chain.includes(current)) {
+        const members = chain.slice(chain.indexOf(current));
+        const key = [...members].sort().join('|');
+        if (!reported.has(key)) {
+          reported.add(key);
+          errors.push(`model_redirects contains a cycle: ${[...members, current].join(' -> ')}`);
+        }
+        break;
+      }
+      chain.push(current);
+      current = redirects[current];
+    }
+  }
+}
+
+/**
+ * Validate a parsed config.json.
+ * @returns {Object} { errors, warnings } - the config is usable when errors is empty
+ */
+export function validateConfig(config) {
+  const errors = [];
+  const warnings = [];
+  if (!isPlainObject(config)) {
+    return { errors: ['config.json must contain a JSON object'], warnings };
+  }
+
+  for (const [key, expected] of Object.entries(TOP_LEVEL_TYPES)) {
+    if (config[key] !== undefined && typeOf(config[key]) !== expected) {
+      errors.push(`${key} must be ${expected === 'array' || expected === 'object' ? 'an' : 'a'} ${expected}, got ${typeOf(config[key])}`);
+    }
+  }
+  for (const key of Object.keys(config)) {
+    if (!TOP_LEVEL_TYPES[key]) {
+      warnings.push(`Unknown top-level key "${key}" is ignored`);
+    }
+  }
+
+  if (config.port !== undefined && (!Number.isInteger(config.port) || config.port <= 0 || config.port > 65535)) {
+    errors.push(`port ${config.port} must be an integer between 1 and 65535`);
+  }
+  if (typeof config.reasoning_output === 'string'
+    && !REASONING_OUTPUT_MODES.includes(config.reasoning_output.toLowerCase())) {
+    errors.push(`reasoning_output "${config.reasoning_output}" must be one of ${REASONING_OUTPUT_MODES.join(', ')}`);
+  }
+
+  if (config.endpoint === undefined) {
+    errors.push('endpoint is required');
+  }
+  if (config.models === undefined) {
+    errors.push('models is required');
+  }
+  const endpointNames = Array.isArray(config.endpoint) ? validateEndpoints(config.endpoint, errors) : new Set();
+  const modelIds = Array.isArray(config.models) ? validateModels(config.models, endpointNames, errors) : new Set();
+  if (isPlainObject(config.model_redirects)) {
+    validateRedirects(config.model_redirects, modelIds, errors);
+  }
+
+  return { errors, warnings };
+}
+
+function parseEnvValue(key, raw, current) {
+  const expected = TOP_LEVEL_TYPES[key] || (current !== undefined ? typeOf(current) : null);
+  if (expected === 'string') {
+    // 支持在环境变量中用 \n 表示换行（例如 system_prompt）
+    return raw.replace(/\\n/g, '\n');
+  }
+  if (expected === 'number') {
+    const parsed = Number(raw);
+    if (raw.trim() === '' || Number.isNaN(parsed)) {
+      throw new Error(`${ENV_PREFIX}${key.toUpperCase()} must be a number`);
+    }
+    return parsed;
+  }
+  if (expected === 'boolean') {
+    if (!['true', 'false', '1', '0'].includes(raw.toLowerCase())) {
+      throw new Error(`${ENV_PREFIX}${key.toUpperCase()} must be true or false`);
+    }
+    return raw.toLowerCase() === 'true' || raw === '1';
+  }
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    if (expected === 'array' || expected === 'object') {
+      throw new Error(`${ENV_PREFIX}${key.toUpperCase()} must be valid JSON: ${error.message}`);
+    }
+    return raw;
+  }
+}
+
+/**
+ * Override top-level keys from DROID2API_<KEY> environment variables,
+ * e.g. DROID2API_SYSTEM_PROMPT, DROID2API_MODEL_REDIRECTS='{"a":"b"}'.
+ * 数组和对象使用 JSON，布尔值使用 true/false
+ * @returns {Object} { config, overrides } - a new config object and the overridden keys
+ */
+export function applyEnvOverrides(config, env = process.env) {
+  const result = { ...config };
+  const overrides = [];
+  const keys = new Set([...Object.keys(TOP_LEVEL_TYPES), ...Object.keys(config)]);
+  for (const envName of Object.keys(env)) {
+    if (envName.startsWith(ENV_PREFIX)) {
+      keys.add(envName.slice(ENV_PREFIX.length).toLowerCase());
+    }
+  }
+  for (const key of keys) {
+    const raw = env[`${ENV_PREFIX}${key.toUpperCase()}`];
+    if (raw === undefined) continue;
+    result[key] = parseEnvValue(key, raw, config[key]);
+    overrides.push(key);
+  }
+  return { config: result, overrides };
+}
@@ -1,24 +1,273 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { logInfo } from './logger.js';
+import { logError, logInfo, logWarning } from './logger.js';
+import { applyEnvOverrides, validateConfig, REASONING_OUTPUT_MODES } from './config-schema.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+const CONFIG_PATH = path.join(__dirname, 'config.json');
+const BACKUP_PATH = `${CONFIG_PATH}.bak`;
+// Dashboard 可编辑的顶层字段
+const EDITABLE_KEYS = ['models', 'model_redirects', 'endpoint', 'system_prompt'];
+const WATCH_DEBOUNCE_MS = 300;
+
 let config = null;
+let loadedAt = null;
+let lastReloadAt = null;
+let lastReloadError = null;
+let watcher = null;
+let watchTimer = null;
+let envOverrides = [];
+
+/**
+ * 读取 config.json，应用 DROID2API_* 环境变量覆盖后校验
+ * @throws {Error} 包含全部校验错误
+ */
+function readConfigFile() {
+  const raw = fs.readFileSync(CONFIG_PATH, 'utf-8');
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`Invalid JSON: ${error.message}`);
+  }
+  const { config: merged, overrides } = applyEnvOverrides(parsed);
+  const { errors, warnings } = validateConfig(merged);
+  if (errors.length > 0) {
+    throw new Error(`${errors.length} validation errors:\n  - ${errors.join('\n  - ')}`);
+  }
+  warnings.forEach((warning) => logWarning(`config.json: ${warning}`));
+  envOverrides = overrides;
+  return merged;
+}
 
 export function loadConfig() {
   try {
-    const configPath = path.join(__dirname, 'config.json');
-    const configData = fs.readFileSync(configPath, 'utf-8');
-    config = JSON.parse(configData);
+    config = readConfigFile();
+    loadedAt = new Date().toISOString();
+    if (envOverrides.length > 0) {
+      logInfo(`Config keys overridden by environment: ${envOverrides.join(', ')}`);
+    }
     return config;
   } catch (error) {
     throw new Error(`Failed to load config.json: ${error.message}`);
   }
 }
 
+function diffById(label, before = [], after = [], keyField) {
+  const changes = [];
+  const beforeMap = new Map(before.map((item) => [item[keyField], item]));
+  const afterMap = new Map(after.map((item) => [item[keyField], item]));
+  for (const [key, item] of afterMap) {
+    if (!beforeMap.has(key)) {
+      changes.push(`${label} added: ${key}`);
+    } else if (JSON.stringify(beforeMap.get(key)) !== JSON.stringify(item)) {
+      changes.push(`${label} changed: ${key}`);
+    }
+  }
+  for (const key of beforeMap.keys()) {
+    if (!afterMap.has(key)) {
+      changes.push(`${label} removed: ${key}`);
+    }
+  }
+  return changes;
+}
+
+/**
+ * 列出新旧配置之间的差异，用于日志
+ */
+export function diffConfig(before, after) {
+  const changes = [
+    ...diffById('model', before.models, after.models, 'id'),
+    ...diffById('endpoint', before.endpoint, after.endpoint, 'name')
+  ];
+
+  const beforeRedirects = before.model_redirects || {};
+  const afterRedirects = after.model_redirects || {};
+  for (const key of new Set([...Object.keys(beforeRedirects), ...Object.keys(afterRedirects)])) {
+    if (beforeRedirects[key] === afterRedirects[key]) continue;
+    if (!(key in beforeRedirects)) {
+      changes.push(`model_redirects added: ${key} -> ${afterRedirects[key]}`);
+    } else if (!(key in afterRedirects)) {
+      changes.push(`model_redirects removed: ${key}`);
+    } else {
+      changes.push(`model_redirects changed: ${key} -> ${afterRedirects[key]} (was ${beforeRedirects[key]})`);
+    }
+  }
+
+  const handled = new Set(['models', 'endpoint', 'model_redirects']);
+  for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    if (handled.has(key) || JSON.stringify(before[key]) === JSON.stringify(after[key])) continue;
+    // 端口在启动时绑定，修改后需要重启
+    const note = key === 'port' ? ' (takes effect after restart)' : '';
+    changes.push(`${key} changed${note}`);
+  }
+  return changes;
+}
+
+/**
+ * Re-read config.json and swap it in if it is valid; otherwise keep the current config.
+ * 正在进行的请求已持有旧的模型/端点对象，不受替换影响
+ * @returns {Object} { success, changes, error }
+ */
+export function reloadConfig() {
+  lastReloadAt = new Date().toISOString();
+  let next;
+  try {
+    next = readConfigFile();
+  } catch (error) {
+    lastReloadError = error.message;
+    logError('Config reload rejected, keeping the current config', error);
+    return { success: false, changes: [], error: error.message };
+  }
+
+  const changes = config ? diffConfig(config, next) : [];
+  config = next;
+  loadedAt = lastReloadAt;
+  lastReloadError = null;
+  if (changes.length === 0) {
+    logInfo('Config reloaded: no changes');
+  } else {
+    logInfo(`Config reloaded with ${changes.length} changes:`);
+    changes.forEach((change) => logInfo(`  ${change}`));
+  }
+  return { success: true, changes, error: null };
+}
+
+/**
+ * 监听 config.json 变化并自动重新加载。监听所在目录，兼容编辑器先写临时文件再重命名的保存方式
+ */
+export function watchConfig() {
+  if (watcher) {
+    return;
+  }
+  try {
+    watcher = fs.watch(path.dirname(CONFIG_PATH), (eventType, filename) => {
+      if (filename && filename !== path.basename(CONFIG_PATH)) {
+        return;
+      }
+      clearTimeout(watchTimer);
+      watchTimer = setTimeout(() => {
+        if (fs.existsSync(CONFIG_PATH)) {
+          reloadConfig();
+        }
+      }, WATCH_DEBOUNCE_MS);
+    });
+    watcher.unref();
+    logInfo('Watching config.json for changes');
+  } catch (error) {
+    logError('Failed to watch config.json, use the dashboard to reload it', error);
+  }
+}
+
+export function getConfigStatus() {
+  return {
+    path: CONFIG_PATH,
+    loadedAt,
+    lastReloadAt,
+    lastReloadError,
+    watching: watcher !== null,
+    envOverrides
+  };
+}
+
+function readRawConfig() {
+  const text = fs.readFileSync(CONFIG_PATH, 'utf-8');
+  return { text, parsed: JSON.parse(text) };
+}
+
+/**
+ * 文件中的可编辑字段（不含环境变量覆盖），供 Dashboard 编辑
+ */
+export function getEditableConfig() {
+  const { parsed } = readRawConfig();
+  return {
+    models: parsed.models || [],
+    model_redirects: parsed.model_redirects || {},
+    endpoint: parsed.endpoint || [],
+    system_prompt: parsed.system_prompt || ''
+  };
+}
+
+/**
+ * Merge an update of the editable keys into config.json (without writing) and validate it.
+ * @returns {Object} { file, effective, errors, warnings } - file is what would be written,
+ *   effective is the config after environment overrides
+ */
+export function checkConfigUpdate(update = {}) {
+  const { parsed } = readRawConfig();
+  const file = { ...parsed };
+  for (const key of EDITABLE_KEYS) {
+    if (update[key] !== undefined) {
+      file[key] = update[key];
+    }
+  }
+  const { config: effective } = applyEnvOverrides(file);
+  return { file, effective, ...validateConfig(effective) };
+}
+
+/**
+ * Validate and write an update of the editable keys to config.json, keeping the previous
+ * version in config.json.bak, then reload it.
+ * @returns {Object} reloadConfig() result plus backupPath
+ */
+export function saveConfigUpdate(update = {}) {
+  const { text } = readRawConfig();
+  const { file, errors } = checkConfigUpdate(update);
+  if (errors.length > 0) {
+    const error = new Error(`${errors.length} validation errors`);
+    error.status = 400;
+    error.errors = errors;
+    throw error;
+  }
+
+  fs.writeFileSync(BACKUP_PATH, text, 'utf-8');
+  // 先写临时文件再重命名，避免其他进程或文件监听读到写了一半的配置
+  const tempPath = `${CONFIG_PATH}.tmp`;
+  fs.writeFileSync(tempPath, `${JSON.stringify(file, null, 2)}\n`, 'utf-8');
+  fs.renameSync(tempPath, CONFIG_PATH);
+  logInfo(`config.json updated from dashboard (${EDITABLE_KEYS.filter((key) => update[key] !== undefined).join(', ')}), previous version saved to ${BACKUP_PATH}`);
+
+  return { ...reloadConfig(), backupPath: BACKUP_PATH };
+}
+
+/**
+ * Describe how a request for `modelId` would be routed, mirroring routes.js:
+ * one redirect hop, then the model entry and the endpoint matching its type.
+ * @param {string} modelId - model id sent by the client
+ * @param {Object} candidate - config to evaluate, defaults to the current one
+ */
+export function previewRouting(modelId, candidate = getConfig()) {
+  const redirects = candidate.model_redirects || {};
+  const targetId = redirects[modelId] || modelId;
+  const model = (candidate.models || []).find((item) => item.id === targetId) || null;
+  const endpoint = model ? (candidate.endpoint || []).find((item) => item.name === model.type) || null : null;
+
+  let error = null;
+  if (!model) {
+    error = `Model ${targetId} not found`;
+  } else if (!endpoint) {
+    error = `Endpoint type ${model.type} not found`;
+  }
+
+  const reasoning = typeof model?.reasoning === 'string' ? model.reasoning.toLowerCase() : 'off';
+  return {
+    requestedModel: modelId,
+    redirectedTo: targetId !== modelId ? targetId : null,
+    model,
+    endpoint,
+    reasoning: model ? reasoning : null,
+    reasoningOutput: model
+      ? (model.reasoning_output || candidate.reasoning_output || 'reasoning_content').toLowerCase()
+      : null,
+    countTokensSupported: model ? model.type === 'anthropic' : false,
+    systemPromptLength: (candidate.system_prompt || '').length,
+    error
+  };
+}
+
 export function getConfig() {
   if (!config) {
     loadConfig();
@@ -37,8 +286,12 @@ export function getEndpointByType(type) {
 }
 
 export function isDevMode() {
-  const cfg = getConfig();
-  return cfg.dev_mode === true;
+  // 配置加载失败时日志仍会调用这里，不能再次抛出
+  try {
+    return getConfig().dev_mode === true;
+  } catch (error) {
+    return false;
+  }
 }
 
 export function getPort() {
@@ -69,6 +322,58 @@ export function getModelReasoning(modelId) {
   return null;
 }
 
+/**
+ * 推理内容的输出方式（仅 /v1/chat/completions）
+ * - reasoning_content: 通过 delta.reasoning_content / message.reasoning_content 返回
+ * - think_tags: 以 <think>...</think> 内联在 content 中
+ * - none: 丢弃
+ * 优先级：请求参数 > 模型配置 > 全局配置 > reasoning_content
+ */
+export function getReasoningOutput(modelId, requested = null) {
+  const normalize = (value) => (typeof value === 'string' ? value.toLowerCase() : null);
+
+  const requestedMode = normalize(requested);
+  if (REASONING_OUTPUT_MODES.includes(requestedMode)) {
+    return requestedMode;
+  }
+
+  const model = getModelById(modelId);
+  const modelMode = normalize(model?.reasoning_output);
+  if (REASONING_OUTPUT_MODES.includes(modelMode)) {
+    return modelMode;
+  }
+
+  const globalMode = normalize(getConfig().reasoning_output);
+  if (REASONING_OUTPUT_MODES.includes(globalMode)) {
+    return globalMode;
+  }
+
+  return 'reasoning_content';
+}
+
+/**
+ * 模型单价（美元 / 百万 token），用于 Dashboard 估算费用
+ * cache_read / cache_write 未配置时按 input 单价计算
+ * @returns {Object|null} { input, output, cacheRead, cacheWrite }
+ */
+export function getModelPricing(modelId) {
+  const pricing = getModelById(modelId)?.pricing;
+  if (!pricing || typeof pricing !== 'object') {
+    return null;
+  }
+  const price = (value, fallback = 0) => {
+    const parsed = Number(value);
+    return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+  };
+  const input = price(pricing.input);
+  return {
+    input,
+    output: price(pricing.output),
+    cacheRead: price(pricing.cache_read, input),
+    cacheWrite: price(pricing.cache_write, input)
+  };
+}
+
 export function getUserAgent() {
   const cfg = getConfig();
   return cfg.user_agent || 'factory-cli/0.19.9';
@@ -1,69 +1,56 @@
 import express from 'express';
-import fetch from 'node-fetch';
-import { getDashboardAuthToken } from './auth.js';
+import { getDashboardAuthToken, warmRefreshTokens } from './auth.js';
 import {
+  checkConfigUpdate,
+  getConfigStatus,
+  getEditableConfig,
+  previewRouting,
+  reloadConfig,
+  saveConfigUpdate
+} from './config.js';
+import { REASONING_LEVELS, REASONING_OUTPUT_MODES } from './config-schema.js';
+import {
+  FILTER_ACTION_TYPES,
+  FILTER_DIRECTIONS,
+  FILTER_INJECT_TARGETS,
+  FILTER_PATTERN_TYPES,
+  FILTER_ROLES,
+  FILTER_ROUTES,
+  keywordFilter
+} from './keyword-filter.js';
+import {
+  CLIENT_KEY_ROUTES,
   activateToken,
   addToken,
+  createClientKey,
   getDashboardState,
   getTokenValue,
+  listClientKeys,
   maskToken,
-  removeToken
+  removeClientKey,
+  removeToken,
+  setTokenWeight,
+  updateClientKey,
+  updateDefaultRateLimits,
+  updatePoolSettings,
+  updateQuotaSettings
 } from './state.js';
+import { getPoolStatus, resetPoolTokenCooldown } from './token-pool.js';
+import { getRateLimitStatus } from './rate-limiter.js';
+import { exportRequestHistory, queryRequestHistory } from './request-history.js';
+import { ANALYTICS_WINDOWS, getUsageAnalytics } from './analytics.js';
+import { checkAllQuotas, getQuotaMonitorStatus, refreshFactoryKeyQuota, startQuotaMonitor } from './quota-monitor.js';
 
 const dashboardRouter = express.Router();
 
-const FACTORY_USAGE_ENDPOINT = 'https://app.factory.ai/api/organization/members/chat-usage';
-
-function normalizeDate(value) {
-  if (!value && value !== 0) {
-    return null;
-  }
-  const date = new Date(value);
-  if (Number.isNaN(date.getTime())) {
-    return null;
-  }
-  return date.toISOString();
-}
-
-async function fetchFactoryUsage(tokenValue) {
-  const response = await fetch(FACTORY_USAGE_ENDPOINT, {
-    headers: {
-      Authorization: `Bearer ${tokenValue}`,
-      'User-Agent':
-        'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/141.0.0.0 Safari/537.36'
-    }
-  });
-
-  if (!response.ok) {
-    const errorBody = await response.text().catch(() => '');
-    const message = errorBody ? `${response.status} ${errorBody}` : `HTTP ${response.status}`;
-    throw new Error(`Factory API 请求失败：${message}`);
-  }
-
-  const payload = await response.json().catch(() => null);
-  if (!payload || !payload.usage || !payload.usage.standard) {
-    throw new Error('Factory API 返回格式不正确');
-  }
-
-  const usage = payload.usage;
-  const standard = usage.standard;
-  const totalAllowance = Number(standard.totalAllowance || 0);
-  const totalUsed = Number(standard.orgTotalTokensUsed || 0);
-  const remaining = totalAllowance - totalUsed;
-  const usedRatio = typeof standard.usedRatio === 'number'
-    ? standard.usedRatio
-    : totalAllowance > 0
-      ? totalUsed / totalAllowance
-      : 0;
-
+function buildDashboardState() {
   return {
-    startDate: normalizeDate(usage.startDate),
-    endDate: normalizeDate(usage.endDate),
-    totalAllowance,
-    totalUsed,
-    remaining,
-    usedRatio,
-    fetchedAt: new Date().toISOString()
+    ...getDashboardState(),
+    pool: getPoolStatus(),
+    quota: getQuotaMonitorStatus(),
+    clientKeys: listClientKeys(),
+    rateLimits: getRateLimitStatus(),
+    config: getConfigStatus()
   };
 }
 
@@ -146,6 +133,18 @@ function renderDashboardPage() {
       .status-grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(220px, 1fr)); gap: 16px; margin-top: 12px; }
       .status-card { background: rgba(15, 23, 42, 0.55); padding: 12px 14px; border-radius: 10px; border: 1px solid rgba(148, 163, 184, 0.2); font-size: 13px; }
       .status-card strong { display: block; font-size: 12px; color: #94a3b8; margin-bottom: 4px; text-transform: uppercase; letter-spacing: 0.05em; }
+      .pool-settings { display: flex; flex-wrap: wrap; gap: 16px; align-items: center; font-size: 13px; }
+      .pool-settings select, .pool-settings input, .pool-weight { padding: 6px 8px; border-radius: 6px; border: 1px solid rgba(148, 163, 184, 0.3); background: rgba(15, 23, 42, 0.5); color: #e2e8f0; }
+      .pool-settings input[type="number"] { width: 90px; }
+      .pool-weight { width: 60px; }
+      .client-key-new { margin-top: 12px; padding: 10px 12px; border-radius: 8px; background: rgba(34, 197, 94, 0.12); border: 1px solid rgba(34, 197, 94, 0.35); font-size: 13px; word-break: break-all; }
+      .route-options { display: flex; flex-wrap: wrap; gap: 10px; font-size: 12px; }
+      .config-editor h3 { margin: 20px 0 0; font-size: 16px; }
+      .config-editor textarea { width: 100%; min-height: 120px; margin-top: 12px; padding: 10px 12px; border-radius: 8px; border: 1px solid rgba(148, 163, 184, 0.3); background: rgba(15, 23, 42, 0.5); color: #e2e8f0; font-family: monospace; box-sizing: border-box; }
+      .config-preview { margin-top: 12px; font-size: 13px; line-height: 1.7; }
+      .analytics-bar { height: 8px; border-radius: 4px; background: rgba(56, 189, 248, 0.6); min-width: 2px; }
+      .health-ok { color: #4ade80; }
+      .health-cooldown { color: #fca5a5; }
       .empty { color: #64748b; font-size: 13px; padding: 12px 0; }
       .error { color: #fca5a5; font-size: 13px; margin-top: 12px; }
       .logout { background: rgba(239, 68, 68, 0.18); border: 1px solid rgba(239, 68, 68, 0.4); color: #fca5a5; }
@@ -182,6 +181,7 @@ function renderDashboardPage() {
                 <th>状态码</th>
                 <th>耗时 (ms)</th>
                 <th>客户端 IP</th>
+                <th>用量 (输入/输出)</th>
                 <th>Token</th>
               </tr>
             </thead>
@@ -190,11 +190,289 @@ function renderDashboardPage() {
         </div>
       </section>
 
+      <section>
+        <h2>请求历史</h2>
+        <form class="pool-settings" id="history-form">
+          <label>开始 <input type="datetime-local" name="from" /></label>
+          <label>结束 <input type="datetime-local" name="to" /></label>
+          <input type="text" name="model" placeholder="模型" />
+          <input type="text" name="status" placeholder="状态码 (如 429 / 5xx / error)" />
+          <input type="text" name="client" placeholder="调用方" />
+          <button type="submit">查询</button>
+          <button type="button" data-format="csv" class="history-export">导出 CSV</button>
+          <button type="button" data-format="jsonl" class="history-export">导出 JSONL</button>
+        </form>
+        <div id="history-summary" class="empty"></div>
+        <div class="table-wrapper">
+          <table id="history-table">
+            <thead>
+              <tr>
+                <th>时间</th>
+                <th>路径</th>
+                <th>模型</th>
+                <th>流式</th>
+                <th>状态码</th>
+                <th>耗时 / 首字 (ms)</th>
+                <th>用量 (输入/输出)</th>
+                <th>调用方</th>
+                <th>错误</th>
+              </tr>
+            </thead>
+            <tbody></tbody>
+          </table>
+        </div>
+      </section>
+
+      <section>
+        <h2>用量分析</h2>
+        <form class="pool-settings" id="analytics-form">
+          <label>时间范围
+            <select name="window">
+              ${ANALYTICS_WINDOWS.map((window) => `<option value="${window}"${window === '24h' ? ' selected' : ''}>${window}</option>`).join('')}
+            </select>
+          </label>
+          <label>分组
+            <select name="groupBy">
+              <option value="byModel">按模型</option>
+              <option value="byToken">按上游令牌</option>
+              <option value="byClient">按调用方</option>
+            </select>
+          </label>
+          <button type="submit">刷新</button>
+        </form>
+        <div class="status-grid" id="analytics-totals"></div>
+        <div class="table-wrapper">
+          <table id="analytics-table">
+            <thead>
+              <tr>
+                <th>名称</th>
+                <th>请求数</th>
+                <th>错误率</th>
+                <th>输入 / 输出</th>
+                <th>缓存读 / 写</th>
+                <th>耗时 P50 / P90 / P99 (ms)</th>
+                <th>首字 P50 / P90 (ms)</th>
+                <th>估算费用 (USD)</th>
+              </tr>
+            </thead>
+            <tbody></tbody>
+          </table>
+        </div>
+        <div class="table-wrapper">
+          <table id="analytics-timeline">
+            <thead>
+              <tr>
+                <th>时间段</th>
+                <th>请求数</th>
+                <th>错误</th>
+                <th>Tokens</th>
+                <th>估算费用 (USD)</th>
+                <th style="width:35%">请求分布</th>
+              </tr>
+            </thead>
+            <tbody></tbody>
+          </table>
+        </div>
+      </section>
+
       <section>
         <h2>令牌状态</h2>
         <div class="status-grid" id="status-cards"></div>
       </section>
 
+      <section>
+        <h2>配置文件</h2>
+        <div class="status-grid" id="config-status"></div>
+        <div class="pool-settings" style="margin-top:16px">
+          <button type="button" id="config-reload">重新加载 config.json</button>
+          <span class="empty">修改 config.json 后会自动重新加载；新配置无效时保留当前配置</span>
+        </div>
+        <ul id="config-changes" class="empty"></ul>
+      </section>
+
+      <section class="config-editor">
+        <h2>配置编辑</h2>
+        <div class="empty">修改会先校验再写入 config.json，旧版本保存为 config.json.bak。被环境变量覆盖的字段修改后不会生效。</div>
+        <div id="config-editor-errors" class="error" style="display:none"></div>
+
+        <h3>模型</h3>
+        <div class="table-wrapper">
+          <table id="config-models-table">
+            <thead>
+              <tr>
+                <th>ID</th>
+                <th>名称</th>
+                <th>类型</th>
+                <th>推理级别</th>
+                <th>推理输出</th>
+                <th>单价 (输入/输出)</th>
+                <th>操作</th>
+              </tr>
+            </thead>
+            <tbody></tbody>
+          </table>
+        </div>
+        <form class="pool-settings" id="config-model-form">
+          <input type="hidden" name="originalId" />
+          <input type="text" name="id" placeholder="模型 ID" required />
+          <input type="text" name="name" placeholder="显示名称" />
+          <label>类型 <select name="type"></select></label>
+          <label>推理级别
+            <select name="reasoning">
+              <option value="">(不设置)</option>
+              ${REASONING_LEVELS.map((level) => `<option value="${level}">${level}</option>`).join('')}
+            </select>
+          </label>
+          <label>推理输出
+            <select name="reasoning_output">
+              <option value="">(使用全局设置)</option>
+              ${REASONING_OUTPUT_MODES.map((mode) => `<option value="${mode}">${mode}</option>`).join('')}
+            </select>
+          </label>
+          <label>输入 <input type="number" min="0" step="any" name="input" placeholder="USD/1M" /></label>
+          <label>输出 <input type="number" min="0" step="any" name="output" placeholder="USD/1M" /></label>
+          <label>缓存读 <input type="number" min="0" step="any" name="cache_read" placeholder="USD/1M" /></label>
+          <label>缓存写 <input type="number" min="0" step="any" name="cache_write" placeholder="USD/1M" /></label>
+          <button type="submit">保存模型</button>
+          <button type="button" id="config-model-reset">清空</button>
+        </form>
+
+        <h3>模型重定向</h3>
+        <div class="table-wrapper">
+          <table id="config-redirects-table">
+            <thead>
+              <tr>
+                <th>请求的模型</th>
+                <th>重定向到</th>
+                <th>操作</th>
+              </tr>
+            </thead>
+            <tbody></tbody>
+          </table>
+        </div>
+        <form class="pool-settings" id="config-redirect-form">
+          <input type="text" name="from" placeholder="请求的模型名" required />
+          <label>重定向到 <select name="to"></select></label>
+          <button type="submit">保存重定向</button>
+        </form>
+
+        <h3>端点</h3>
+        <div class="table-wrapper">
+          <table id="config-endpoints-table">
+            <thead>
+              <tr>
+                <th>名称（类型）</th>
+                <th>Base URL</th>
+                <th>操作</th>
+              </tr>
+            </thead>
+            <tbody></tbody>
+          </table>
+        </div>
+        <form class="pool-settings" id="config-endpoint-form">
+          <input type="text" name="name" placeholder="名称，如 anthropic" required />
+          <input type="text" name="base_url" placeholder="https://..." required style="flex:1;min-width:320px" />
+          <button type="submit">保存端点</button>
+        </form>
+
+        <h3>系统提示词</h3>
+        <form id="config-prompt-form">
+          <textarea name="system_prompt"></textarea>
+          <div class="pool-settings" style="margin-top:8px">
+            <button type="submit">保存系统提示词</button>
+          </div>
+        </form>
+
+        <h3>路由预览</h3>
+        <form class="pool-settings" id="config-preview-form">
+          <input type="text" name="modelId" placeholder="客户端请求的模型名" required />
+          <button type="submit">预览</button>
+        </form>
+        <div id="config-preview" class="config-preview"></div>
+      </section>
+
+      <section class="config-editor">
+        <h2>关键词过滤</h2>
+        <div class="empty">规则按顺序匹配，默认第一条命中的规则生效，勾选「继续应用后续规则」的规则命中后会继续匹配。保存后写入 keywords-filter.json 并立即生效，无需重启。未选择角色时请求规则只处理 user 消息和 Anthropic system 字段，system/developer 消息需勾选 system 角色；测试面板不检查适用范围。</div>
+        <div id="filter-errors" class="error" style="display:none"></div>
+        <div class="pool-settings" style="margin-top:12px">
+          <label><input type="checkbox" id="filter-enabled" /> 启用关键词过滤</label>
+          <span class="empty" id="filter-summary"></span>
+        </div>
+        <div class="table-wrapper">
+          <table id="filter-rules-table">
+            <thead>
+              <tr>
+                <th>顺序</th>
+                <th>ID / 名称</th>
+                <th>方向</th>
+                <th>适用范围</th>
+                <th>匹配</th>
+                <th>动作</th>
+                <th>命中次数</th>
+                <th>启用</th>
+                <th>操作</th>
+              </tr>
+            </thead>
+            <tbody></tbody>
+          </table>
+        </div>
+        <form class="pool-settings" id="filter-rule-form">
+          <input type="hidden" name="originalId" />
+          <input type="text" name="id" placeholder="规则 ID" required />
+          <input type="text" name="name" placeholder="名称" />
+          <label>方向
+            <select name="direction">
+              ${FILTER_DIRECTIONS.map((direction) => `<option value="${direction}">${direction}</option>`).join('')}
+            </select>
+          </label>
+          <label>匹配方式
+            <select name="patternType">
+              ${FILTER_PATTERN_TYPES.map((type) => `<option value="${type}">${type}</option>`).join('')}
+            </select>
+          </label>
+          <input type="text" name="patternValue" placeholder="关键词或正则" required style="flex:1;min-width:240px" />
+          <label><input type="checkbox" name="caseSensitive" /> 区分大小写</label>
+          <label>动作
+            <select name="actionType">
+              ${FILTER_ACTION_TYPES.map((type) => `<option value="${type}">${type}</option>`).join('')}
+            </select>
+          </label>
+          <input type="text" name="replacement" placeholder="替换或注入的文本（支持 $1）" />
+          <label>注入位置
+            <select name="injectTarget">
+              ${FILTER_INJECT_TARGETS.map((target) => `<option value="${target}">${target}</option>`).join('')}
+            </select>
+          </label>
+          <label>拦截状态码 <input type="number" name="blockStatus" min="400" max="599" placeholder="400" /></label>
+          <input type="text" name="blockMessage" placeholder="拦截时返回的错误信息" />
+          <label><input type="checkbox" name="continueMatching" /> 命中后继续应用后续规则</label>
+          <input type="text" name="description" placeholder="说明" style="flex:1;min-width:240px" />
+          <input type="text" name="models" placeholder="模型，逗号分隔，支持 *（留空为全部）" style="min-width:240px" />
+          <input type="text" name="clients" placeholder="客户端密钥 ID 或名称，逗号分隔（留空为全部）" style="min-width:240px" />
+          <div class="route-options">路由
+            ${FILTER_ROUTES.map((route) => `<label><input type="checkbox" name="routes" value="${route}" /> ${route}</label>`).join('')}
+          </div>
+          <div class="route-options">角色
+            ${FILTER_ROLES.map((role) => `<label><input type="checkbox" name="roles" value="${role}" /> ${role}</label>`).join('')}
+          </div>
+          <label><input type="checkbox" name="enabled" checked /> 启用</label>
+          <button type="submit">保存规则</button>
+          <button type="button" id="filter-rule-reset">清空</button>
+        </form>
+
+        <h3>测试</h3>
+        <form id="filter-test-form">
+          <textarea name="text" placeholder="粘贴要测试的文本"></textarea>
+          <div class="pool-settings" style="margin-top:8px">
+            <label>测试规则 <select name="ruleId"></select></label>
+            <button type="submit">测试</button>
+            <button type="button" id="filter-test-draft">测试表单中的规则</button>
+          </div>
+        </form>
+        <div id="filter-test-result" class="config-preview"></div>
+      </section>
+
       <section>
         <h2>令牌管理</h2>
         <div class="token-columns">
@@ -217,8 +495,113 @@ function renderDashboardPage() {
             </form>
           </div>
         </div>
+        <h3>额度监控</h3>
+        <form class="pool-settings" id="quota-form">
+          <label><input type="checkbox" name="enabled" /> 定时查询额度</label>
+          <label>间隔 (分钟) <input type="number" min="1" name="intervalMinutes" /></label>
+          <label>最低剩余额度 <input type="number" min="0" name="minRemainingTokens" /></label>
+          <label>最低剩余比例 (%) <input type="number" min="0" max="100" step="0.1" name="minRemainingRatio" /></label>
+          <button type="submit">保存设置</button>
+          <button type="button" id="quota-check">立即查询全部</button>
+        </form>
+        <div class="empty" id="quota-status"></div>
         <div id="token-error" class="error" style="display:none"></div>
       </section>
+
+      <section>
+        <h2>客户端密钥</h2>
+        <form class="pool-settings" id="client-key-form">
+          <input type="text" name="label" placeholder="备注" />
+          <input type="text" name="models" placeholder="允许的模型，逗号分隔 (留空不限)" />
+          <label>过期时间 <input type="datetime-local" name="expiresAt" /></label>
+          <label>RPM <input type="number" min="1" name="requestsPerMinute" placeholder="默认" /></label>
+          <label>并发流 <input type="number" min="1" name="concurrentStreams" placeholder="默认" /></label>
+          <label>每日 tokens <input type="number" min="1" name="dailyTokens" placeholder="默认" /></label>
+          <label>每月 tokens <input type="number" min="1" name="monthlyTokens" placeholder="默认" /></label>
+          <div class="route-options">
+            ${CLIENT_KEY_ROUTES.map((route) => `<label><input type="checkbox" name="routes" value="${route}" /> ${route}</label>`).join('\n            ')}
+          </div>
+          <button type="submit">创建密钥</button>
+        </form>
+        <div id="client-key-new" class="client-key-new" style="display:none"></div>
+        <div id="client-keys-empty" class="empty" style="display:none">暂无客户端密钥</div>
+        <div class="table-wrapper">
+          <table id="client-keys-table">
+            <thead>
+              <tr>
+                <th>备注</th>
+                <th>密钥</th>
+                <th>允许的模型</th>
+                <th>允许的路由</th>
+                <th>过期时间</th>
+                <th>限额</th>
+                <th>最近使用</th>
+                <th>操作</th>
+              </tr>
+            </thead>
+            <tbody></tbody>
+          </table>
+        </div>
+        <h3>默认限额</h3>
+        <div class="empty">适用于 AUTH_TOKEN 调用方、透传 token 的调用方，以及未单独设置限额的客户端密钥；留空表示不限制。</div>
+        <form class="pool-settings" id="rate-limit-form">
+          <label>RPM <input type="number" min="1" name="requestsPerMinute" /></label>
+          <label>并发流 <input type="number" min="1" name="concurrentStreams" /></label>
+          <label>每日 tokens <input type="number" min="1" name="dailyTokens" /></label>
+          <label>每月 tokens <input type="number" min="1" name="monthlyTokens" /></label>
+          <button type="submit">保存默认限额</button>
+        </form>
+        <div id="rate-usage-empty" class="empty" style="display:none">暂无用量记录</div>
+        <div class="table-wrapper">
+          <table id="rate-usage-table">
+            <thead>
+              <tr>
+                <th>调用方</th>
+                <th>最近一分钟请求</th>
+                <th>进行中的流</th>
+                <th>今日 tokens</th>
+                <th>本月 tokens</th>
+              </tr>
+            </thead>
+            <tbody></tbody>
+          </table>
+        </div>
+      </section>
+
+      <section>
+        <h2>号池状态</h2>
+        <form class="pool-settings" id="pool-form">
+          <label><input type="checkbox" name="enabled" /> 启用号池轮换</label>
+          <label>策略
+            <select name="strategy">
+              <option value="round-robin">轮询 (round-robin)</option>
+              <option value="least-used">最少使用 (least-used)</option>
+              <option value="weighted">加权 (weighted)</option>
+            </select>
+          </label>
+          <label>认证失败冷却 (秒) <input type="number" min="0" name="authCooldownSeconds" /></label>
+          <label>限流冷却 (秒) <input type="number" min="0" name="rateLimitCooldownSeconds" /></label>
+          <button type="submit">保存设置</button>
+        </form>
+        <div id="pool-empty" class="empty" style="display:none">暂无可用于号池的令牌</div>
+        <div class="table-wrapper">
+          <table id="pool-table">
+            <thead>
+              <tr>
+                <th>令牌</th>
+                <th>类型</th>
+                <th>权重</th>
+                <th>请求数</th>
+                <th>失败数</th>
+                <th>最近状态</th>
+                <th>健康</th>
+                <th>操作</th>
+              </tr>
+            </thead>
+            <tbody></tbody>
+          </table>
+        </div>
+      </section>
     </div>
 
     <script>
@@ -226,6 +609,7 @@ function renderDashboardPage() {
         autoRefresh: true,
         timer: null,
         tokens: null,
+        editableConfig: null,
         usageCache: {
           factory: {},
           refresh: {}
@@ -337,16 +721,146 @@ function renderDashboardPage() {
           const tokenClass = sourceClassMap[log.tokenSource] || 'source-none';
           const tokenLabel = (log.tokenSource || 'NONE').toUpperCase();
           const tokenSuffix = log.tokenSnippet ? ' (' + log.tokenSnippet + ')' : '';
+          const usageText = log.usage
+            ? formatNumber(log.usage.promptTokens) + ' / ' + formatNumber(log.usage.completionTokens)
+            : '-';
           tr.innerHTML =
             '<td>' + new Date(log.timestamp).toLocaleString() + '</td>' +
-            '<td>' + log.method + '</td>' +
-            '<td>' + log.path + '</td>' +
-            '<td>' + log.status + '</td>' +
-            '<td>' + log.durationMs + '</td>' +
-            '<td>' + log.clientIp + '</td>' +
-            '<td><span class="log-source ' + tokenClass + '">' + tokenLabel + tokenSuffix + '</span></td>';
+            '<td>' + escapeHtml(log.method) + '</td>' +
+            '<td>' + escapeHtml(log.path) + '</td>' +
+            '<td>' + escapeHtml(log.status) + '</td>' +
+            '<td>' + escapeHtml(log.durationMs) + '</td>' +
+            '<td>' + escapeHtml(log.clientIp) + '</td>' +
+            '<td>' + escapeHtml(usageText) + '</td>' +
+            '<td><span class="log-source ' + tokenClass + '">' + escapeHtml(tokenLabel + tokenSuffix) + '</span></td>';
+          tbody.appendChild(tr);
+        });
+      }
+
+      function escapeHtml(value) {
+        return String(value).replace(/[&<>"']/g, (char) => ({
+          '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        })[char]);
+      }
+
+      function getHistoryQuery() {
+        const form = document.getElementById('history-form');
+        const params = new URLSearchParams();
+        ['from', 'to'].forEach((name) => {
+          if (form[name].value) params.set(name, new Date(form[name].value).toISOString());
+        });
+        ['model', 'status', 'client'].forEach((name) => {
+          const value = form[name].value.trim();
+          if (value) params.set(name, value);
+        });
+        return params;
+      }
+
+      async function loadHistory() {
+        const response = await fetch('/dashboard/api/logs?' + getHistoryQuery().toString(), { credentials: 'same-origin' });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+          showError(data.error || '查询请求历史失败');
+          return;
+        }
+        document.getElementById('history-summary').textContent =
+          '共 ' + data.total + ' 条，显示最新 ' + data.entries.length + ' 条';
+        const tbody = document.querySelector('#history-table tbody');
+        tbody.innerHTML = '';
+        data.entries.forEach((entry) => {
+          const tr = document.createElement('tr');
+          const model = entry.redirectedModel && entry.redirectedModel !== entry.model
+            ? entry.model + ' → ' + entry.redirectedModel
+            : (entry.model || '-');
+          const usageText = entry.usage
+            ? formatNumber(entry.usage.promptTokens) + ' / ' + formatNumber(entry.usage.completionTokens)
+            : '-';
+          tr.innerHTML =
+            '<td>' + new Date(entry.timestamp).toLocaleString() + '</td>' +
+            '<td>' + escapeHtml(entry.path) + '</td>' +
+            '<td>' + escapeHtml(model) + '</td>' +
+            '<td>' + (entry.stream ? '是' : '否') + '</td>' +
+            '<td>' + escapeHtml(entry.status) + '</td>' +
+            '<td>' + Math.round(entry.durationMs) + ' / ' + (entry.ttftMs !== null ? entry.ttftMs : '-') + '</td>' +
+            '<td>' + escapeHtml(usageText) + '</td>' +
+            '<td>' + escapeHtml(entry.client || '-') + '</td>' +
+            '<td>' + (entry.error ? escapeHtml(entry.error.slice(0, 120)) : '') + '</td>';
+          tbody.appendChild(tr);
+        });
+      }
+
+      function formatCost(value) {
+        return '__TPL__' + Number(value || 0).toFixed(4);
+      }
+
+      function formatLatency(values) {
+        return values.map((value) => (value === null ? '-' : formatNumber(value))).join(' / ');
+      }
+
+      async function loadAnalytics() {
+        const form = document.getElementById('analytics-form');
+        const response = await fetch('/dashboard/api/analytics?window=' + encodeURIComponent(form.window.value), { credentials: 'same-origin' });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+          showError(data.error || '加载用量分析失败');
+          return;
+        }
+
+        const totals = data.totals;
+        const cards = [
+          { label: '请求数', value: formatNumber(totals.requests) },
+          { label: '错误率', value: formatPercentage(totals.errorRate) },
+          { label: '输入 / 输出 Tokens', value: formatNumber(totals.inputTokens) + ' / ' + formatNumber(totals.outputTokens) },
+          { label: '缓存读 / 写 Tokens', value: formatNumber(totals.cacheReadTokens) + ' / ' + formatNumber(totals.cacheCreationTokens) },
+          { label: '耗时 P50 / P90 / P99', value: formatLatency([totals.latency.p50, totals.latency.p90, totals.latency.p99]) + ' ms' },
+          {
+            label: '估算费用',
+            value: formatCost(totals.cost) + (totals.unpricedRequests > 0 ? '（' + totals.unpricedRequests + ' 个请求的模型未配置单价）' : '')
+          }
+        ];
+        const container = document.getElementById('analytics-totals');
+        container.innerHTML = '';
+        cards.forEach((card) => {
+          const div = document.createElement('div');
+          div.className = 'status-card';
+          div.innerHTML = '<strong>' + card.label + '</strong>' + card.value;
+          container.appendChild(div);
+        });
+
+        const tbody = document.querySelector('#analytics-table tbody');
+        tbody.innerHTML = '';
+        const groups = data[form.groupBy.value] || [];
+        if (groups.length === 0) {
+          tbody.innerHTML = '<tr><td colspan="8" class="empty">该时间范围内暂无请求</td></tr>';
+        }
+        groups.forEach((group) => {
+          const tr = document.createElement('tr');
+          tr.innerHTML =
+            '<td>' + escapeHtml(group.label) + '</td>' +
+            '<td>' + formatNumber(group.requests) + '</td>' +
+            '<td>' + formatPercentage(group.errorRate) + '</td>' +
+            '<td>' + formatNumber(group.inputTokens) + ' / ' + formatNumber(group.outputTokens) + '</td>' +
+            '<td>' + formatNumber(group.cacheReadTokens) + ' / ' + formatNumber(group.cacheCreationTokens) + '</td>' +
+            '<td>' + formatLatency([group.latency.p50, group.latency.p90, group.latency.p99]) + '</td>' +
+            '<td>' + formatLatency([group.ttft.p50, group.ttft.p90]) + '</td>' +
+            '<td>' + formatCost(group.cost) + '</td>';
           tbody.appendChild(tr);
         });
+
+        const timelineBody = document.querySelector('#analytics-timeline tbody');
+        timelineBody.innerHTML = '';
+        const maxRequests = Math.max(1, ...data.timeline.map((point) => point.requests));
+        data.timeline.forEach((point) => {
+          const tr = document.createElement('tr');
+          tr.innerHTML =
+            '<td>' + new Date(point.start).toLocaleString() + '</td>' +
+            '<td>' + formatNumber(point.requests) + '</td>' +
+            '<td>' + formatNumber(point.errors) + '</td>' +
+            '<td>' + formatNumber(point.totalTokens) + '</td>' +
+            '<td>' + formatCost(point.cost) + '</td>' +
+            '<td><div class="analytics-bar" style="width:' + (point.requests / maxRequests * 100).toFixed(1) + '%"></div></td>';
+          timelineBody.appendChild(tr);
+        });
       }
 
       function renderStatus(status) {
@@ -370,6 +884,385 @@ function renderDashboardPage() {
         });
       }
 
+      function renderConfigStatus(config) {
+        const container = document.getElementById('config-status');
+        container.innerHTML = '';
+        const items = [
+          { label: '文件路径', value: escapeHtml(config.path) },
+          { label: '当前配置加载时间', value: config.loadedAt ? new Date(config.loadedAt).toLocaleString() : '未加载' },
+          { label: '最近重新加载', value: config.lastReloadAt ? new Date(config.lastReloadAt).toLocaleString() : '暂无' },
+          { label: '自动重新加载', value: config.watching ? '已开启' : '未开启' },
+          { label: '环境变量覆盖', value: config.envOverrides.length > 0 ? escapeHtml(config.envOverrides.join(', ')) : '无' },
+          { label: '最近加载错误', value: config.lastReloadError ? escapeHtml(config.lastReloadError) : '无' }
+        ];
+        items.forEach((item) => {
+          const card = document.createElement('div');
+          card.className = 'status-card';
+          card.innerHTML = '<strong>' + item.label + '</strong>' + item.value;
+          container.appendChild(card);
+        });
+      }
+
+      function showConfigEditorErrors(message, errors) {
+        const box = document.getElementById('config-editor-errors');
+        if (!message) {
+          box.style.display = 'none';
+          box.innerHTML = '';
+          return;
+        }
+        box.innerHTML = escapeHtml(message) + (errors && errors.length > 0
+          ? '<ul>' + errors.map((error) => '<li>' + escapeHtml(error) + '</li>').join('') + '</ul>'
+          : '');
+        box.style.display = 'block';
+      }
+
+      function renderConfigEditor(editable) {
+        state.editableConfig = editable;
+        const modelsBody = document.querySelector('#config-models-table tbody');
+        modelsBody.innerHTML = '';
+        editable.models.forEach((model) => {
+          const tr = document.createElement('tr');
+          const pricing = model.pricing
+            ? '__TPL__' + (model.pricing.input ?? '-') + ' / __TPL__' + (model.pricing.output ?? '-')
+            : '-';
+          tr.innerHTML =
+            '<td>' + escapeHtml(model.id) + '</td>' +
+            '<td>' + escapeHtml(model.name || '') + '</td>' +
+            '<td>' + escapeHtml(model.type) + '</td>' +
+            '<td>' + escapeHtml(model.reasoning || '-') + '</td>' +
+            '<td>' + escapeHtml(model.reasoning_output || '-') + '</td>' +
+            '<td>' + pricing + '</td>' +
+            '<td class="token-actions">' +
+              '<button type="button" data-action="edit" data-id="' + escapeHtml(model.id) + '">编辑</button>' +
+              '<button type="button" class="danger" data-action="remove" data-id="' + escapeHtml(model.id) + '">删除</button>' +
+            '</td>';
+          modelsBody.appendChild(tr);
+        });
+
+        const redirectsBody = document.querySelector('#config-redirects-table tbody');
+        redirectsBody.innerHTML = '';
+        Object.entries(editable.model_redirects).forEach(([from, to]) => {
+          const tr = document.createElement('tr');
+          tr.innerHTML =
+            '<td>' + escapeHtml(from) + '</td>' +
+            '<td>' + escapeHtml(to) + '</td>' +
+            '<td class="token-actions"><button type="button" class="danger" data-action="remove" data-id="' + escapeHtml(from) + '">删除</button></td>';
+          redirectsBody.appendChild(tr);
+        });
+
+        const endpointsBody = document.querySelector('#config-endpoints-table tbody');
+        endpointsBody.innerHTML = '';
+        editable.endpoint.forEach((endpoint) => {
+          const tr = document.createElement('tr');
+          tr.innerHTML =
+            '<td>' + escapeHtml(endpoint.name) + '</td>' +
+            '<td>' + escapeHtml(endpoint.base_url) + '</td>' +
+            '<td class="token-actions">' +
+              '<button type="button" data-action="edit" data-id="' + escapeHtml(endpoint.name) + '">编辑</button>' +
+              '<button type="button" class="danger" data-action="remove" data-id="' + escapeHtml(endpoint.name) + '">删除</button>' +
+            '</td>';
+          endpointsBody.appendChild(tr);
+        });
+
+        document.querySelector('#config-model-form select[name="type"]').innerHTML = editable.endpoint
+          .map((endpoint) => '<option value="' + escapeHtml(endpoint.name) + '">' + escapeHtml(endpoint.name) + '</option>')
+          .join('');
+        document.querySelector('#config-redirect-form select[name="to"]').innerHTML = editable.models
+          .map((model) => '<option value="' + escapeHtml(model.id) + '">' + escapeHtml(model.id) + '</option>')
+          .join('');
+        document.querySelector('#config-prompt-form textarea').value = editable.system_prompt;
+      }
+
+      async function loadConfigEditor() {
+        const response = await fetch('/dashboard/api/config', { credentials: 'same-origin' });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+          showConfigEditorErrors(data.error || '读取配置失败');
+          return;
+        }
+        renderConfigEditor(data.config);
+      }
+
+      async function saveConfigSection(update) {
+        const response = await fetch('/dashboard/api/config', {
+          method: 'PUT',
+          headers: { 'Content-Type': 'application/json' },
+          credentials: 'same-origin',
+          body: JSON.stringify(update)
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+          showConfigEditorErrors(data.error || '保存配置失败', data.errors);
+          return false;
+        }
+        showConfigEditorErrors('');
+        renderConfigEditor(data.config);
+        renderConfigStatus(data.status);
+        const changes = data.changes.length > 0 ? data.changes : ['配置没有变化'];
+        document.getElementById('config-changes').innerHTML = changes.map((change) => '<li>' + escapeHtml(change) + '</li>').join('');
+        return true;
+      }
+
+      function showFilterErrors(message, errors) {
+        const box = document.getElementById('filter-errors');
+        if (!message) {
+          box.style.display = 'none';
+          box.innerHTML = '';
+          return;
+        }
+        box.innerHTML = escapeHtml(message) + (errors && errors.length > 0
+          ? '<ul>' + errors.map((error) => '<li>' + escapeHtml(error) + '</li>').join('') + '</ul>'
+          : '');
+        box.style.display = 'block';
+      }
+
+      function describeFilterConditions(conditions) {
+        const labels = { models: '模型', routes: '路由', roles: '角色', clients: '客户端' };
+        const parts = Object.entries(conditions || {})
+          .filter(([, values]) => Array.isArray(values) && values.length > 0)
+          .map(([key, values]) => (labels[key] || key) + ': ' + escapeHtml(values.join(', ')));
+        return parts.length > 0 ? parts.join('<br>') : '全部';
+      }
+
+      function splitList(value) {
+        return value.split(',').map((item) => item.trim()).filter(Boolean);
+      }
+
+      function renderKeywordFilter(data) {
+        state.keywordFilter = data.config;
+        const { config, stats } = data;
+        document.getElementById('filter-enabled').checked = config.enabled;
+        document.getElementById('filter-summary').textContent =
+          config.rules.filter((rule) => rule.enabled !== false).length + ' / ' + config.rules.length + ' 条规则启用，' +
+          '已过滤 ' + formatNumber(stats.totalFiltered) + ' 次，' +
+          '请求过滤平均耗时 ' + stats.timing.request.avgMs + ' ms（最长 ' + stats.timing.request.maxMs + ' ms）' +
+          (data.path ? '（' + data.path + '）' : '');
+
+        const body = document.querySelector('#filter-rules-table tbody');
+        body.innerHTML = '';
+        if (config.rules.length === 0) {
+          body.innerHTML = '<tr><td colspan="9" class="empty">暂无规则</td></tr>';
+        }
+        config.rules.forEach((rule, index) => {
+          const tr = document.createElement('tr');
+          const id = escapeHtml(rule.id);
+          const pattern = rule.pattern || {};
+          const action = rule.action || {};
+          tr.innerHTML =
+            '<td>' + (index + 1) + '</td>' +
+            '<td>' + id + (rule.name ? '<br><span class="empty">' + escapeHtml(rule.name) + '</span>' : '') + '</td>' +
+            '<td>' + escapeHtml(rule.direction || 'request') + '</td>' +
+            '<td>' + describeFilterConditions(rule.conditions) + '</td>' +
+            '<td>' + escapeHtml(pattern.type || '') + ': <code>' + escapeHtml(pattern.value || '') + '</code>' +
+              (pattern.caseSensitive ? ' (Aa)' : '') + '</td>' +
+            '<td>' + escapeHtml(action.type || '') +
+              (action.type === 'replace' ? ' → <code>' + escapeHtml(action.replacement || '') + '</code>' : '') +
+              (action.type === 'inject_before' || action.type === 'inject_after'
+                ? ' (' + escapeHtml(action.target || 'text') + ') <code>' + escapeHtml(action.text || '') + '</code>' : '') +
+              (action.type === 'block' ? ' ' + escapeHtml(String(action.status || 400)) : '') +
+              (rule.continue ? '<br><span class="empty">继续匹配</span>' : '') + '</td>' +
+            '<td>' + formatNumber(stats.ruleMatches[rule.id] || 0) + '</td>' +
+            '<td><input type="checkbox" data-action="toggle" data-id="' + id + '"' + (rule.enabled !== false ? ' checked' : '') + ' /></td>' +
+            '<td class="token-actions">' +
+              '<button type="button" data-action="up" data-id="' + id + '"' + (index === 0 ? ' disabled' : '') + '>上移</button>' +
+              '<button type="button" data-action="down" data-id="' + id + '"' + (index === config.rules.length - 1 ? ' disabled' : '') + '>下移</button>' +
+              '<button type="button" data-action="edit" data-id="' + id + '">编辑</button>' +
+              '<button type="button" data-action="test" data-id="' + id + '">测试</button>' +
+              '<button type="button" class="danger" data-action="remove" data-id="' + id + '">删除</button>' +
+            '</td>';
+          body.appendChild(tr);
+        });
+
+        const select = document.querySelector('#filter-test-form select[name="ruleId"]');
+        const selected = select.value;
+        select.innerHTML = '<option value="">全部启用的请求规则</option>' + config.rules
+          .map((rule) => '<option value="' + escapeHtml(rule.id) + '">' + escapeHtml(rule.id) +
+            (rule.name ? ' - ' + escapeHtml(rule.name) : '') + '</option>')
+          .join('');
+        select.value = config.rules.some((rule) => rule.id === selected) ? selected : '';
+      }
+
+      async function loadKeywordFilter() {
+        const response = await fetch('/dashboard/api/keyword-filter', { credentials: 'same-origin' });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+          showFilterErrors(data.error || '读取关键词过滤配置失败');
+          return;
+        }
+        renderKeywordFilter(data);
+      }
+
+      async function saveKeywordFilter(update) {
+        const response = await fetch('/dashboard/api/keyword-filter', {
+          method: 'PUT',
+          headers: { 'Content-Type': 'application/json' },
+          credentials: 'same-origin',
+          body: JSON.stringify(update)
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+          showFilterErrors(data.error || '保存关键词过滤配置失败', data.errors);
+          loadKeywordFilter();
+          return false;
+        }
+        showFilterErrors('');
+        renderKeywordFilter(data);
+        return true;
+      }
+
+      function readFilterRuleForm(form) {
+        const rule = {
+          id: form.id.value.trim(),
+          name: form.name.value.trim(),
+          enabled: form.enabled.checked,
+          direction: form.direction.value,
+          pattern: {
+            type: form.patternType.value,
+            value: form.patternValue.value,
+            caseSensitive: form.caseSensitive.checked
+          },
+          action: { type: form.actionType.value }
+        };
+        if (rule.action.type === 'replace') {
+          rule.action.replacement = form.replacement.value;
+        } else if (rule.action.type === 'inject_before' || rule.action.type === 'inject_after') {
+          rule.action.text = form.replacement.value;
+          rule.action.target = form.injectTarget.value;
+        } else if (rule.action.type === 'block') {
+          if (form.blockStatus.value) rule.action.status = Number(form.blockStatus.value);
+          if (form.blockMessage.value.trim()) rule.action.message = form.blockMessage.value.trim();
+        }
+        if (form.continueMatching.checked) {
+          rule.continue = true;
+        }
+        if (form.description.value.trim()) {
+          rule.description = form.description.value.trim();
+        }
+        const conditions = {
+          models: splitList(form.models.value),
+          routes: Array.from(form.querySelectorAll('input[name="routes"]:checked')).map((input) => input.value),
+          roles: Array.from(form.querySelectorAll('input[name="roles"]:checked')).map((input) => input.value),
+          clients: splitList(form.clients.value)
+        };
+        Object.keys(conditions).forEach((key) => {
+          if (conditions[key].length === 0) delete conditions[key];
+        });
+        if (Object.keys(conditions).length > 0) {
+          rule.conditions = conditions;
+        }
+        return rule;
+      }
+
+      function fillFilterRuleForm(rule) {
+        const form = document.getElementById('filter-rule-form');
+        form.originalId.value = rule.id;
+        form.id.value = rule.id;
+        form.name.value = rule.name || '';
+        form.direction.value = rule.direction || 'request';
+        form.patternType.value = rule.pattern?.type || 'contains';
+        form.patternValue.value = rule.pattern?.value || '';
+        form.caseSensitive.checked = Boolean(rule.pattern?.caseSensitive);
+        form.actionType.value = rule.action?.type || 'replace';
+        form.replacement.value = rule.action?.replacement || rule.action?.text || '';
+        form.injectTarget.value = rule.action?.target || 'text';
+        form.blockStatus.value = rule.action?.status || '';
+        form.blockMessage.value = rule.action?.message || '';
+        form.continueMatching.checked = rule.continue === true;
+        form.description.value = rule.description || '';
+        form.enabled.checked = rule.enabled !== false;
+        const conditions = rule.conditions || {};
+        form.models.value = (conditions.models || []).join(', ');
+        form.clients.value = (conditions.clients || []).join(', ');
+        form.querySelectorAll('input[name="routes"]').forEach((input) => {
+          input.checked = (conditions.routes || []).includes(input.value);
+        });
+        form.querySelectorAll('input[name="roles"]').forEach((input) => {
+          input.checked = (conditions.roles || []).includes(input.value);
+        });
+        form.scrollIntoView({ behavior: 'smooth', block: 'center' });
+      }
+
+      async function testKeywordFilter(body) {
+        const result = document.getElementById('filter-test-result');
+        const response = await fetch('/dashboard/api/keyword-filter/test', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          credentials: 'same-origin',
+          body: JSON.stringify({ ...body, text: document.querySelector('#filter-test-form textarea').value })
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+          result.innerHTML = '<div class="error">' + escapeHtml(data.error || '测试失败') +
+            (data.errors && data.errors.length > 0 ? '<ul>' + data.errors.map((error) => '<li>' + escapeHtml(error) + '</li>').join('') + '</ul>' : '') +
+            '</div>';
+          return;
+        }
+        if (!data.ruleId) {
+          result.innerHTML = '<div>没有规则命中，文本保持不变</div>';
+          return;
+        }
+        let outcome;
+        if (data.action === 'block') {
+          outcome = '<div class="error">请求将被拦截：HTTP ' + escapeHtml(String(data.error.status)) + ' ' + escapeHtml(data.error.message) + '</div>';
+        } else if (data.action === 'remove') {
+          outcome = '<div>整段内容将被移除</div>';
+        } else {
+          outcome = '<div>处理后的文本：</div><textarea readonly>' + escapeHtml(data.text) + '</textarea>';
+        }
+        const injections = data.injections.map((item) =>
+          '<li>' + (item.position === 'before' ? '之前' : '之后') + '插入系统消息：' + escapeHtml(item.text) + '</li>').join('');
+        result.innerHTML =
+          '<div>命中规则：' + data.matched.map((rule) => '<strong>' + escapeHtml(rule.id) + '</strong>' +
+            (rule.name ? ' (' + escapeHtml(rule.name) + ')' : '')).join(' → ') + '，动作：' + escapeHtml(data.action) + '</div>' +
+          outcome +
+          (injections ? '<ul>' + injections + '</ul>' : '');
+      }
+
+      function readModelForm(form) {
+        const model = { id: form.id.value.trim(), type: form.type.value };
+        if (form.name.value.trim()) model.name = form.name.value.trim();
+        if (form.reasoning.value) model.reasoning = form.reasoning.value;
+        if (form.reasoning_output.value) model.reasoning_output = form.reasoning_output.value;
+        const pricing = {};
+        ['input', 'output', 'cache_read', 'cache_write'].forEach((field) => {
+          if (form[field].value !== '') pricing[field] = Number(form[field].value);
+        });
+        if (Object.keys(pricing).length > 0) model.pricing = pricing;
+        return model;
+      }
+
+      function fillModelForm(model) {
+        const form = document.getElementById('config-model-form');
+        form.originalId.value = model.id;
+        form.id.value = model.id;
+        form.name.value = model.name || '';
+        form.type.value = model.type;
+        form.reasoning.value = model.reasoning ? model.reasoning.toLowerCase() : '';
+        form.reasoning_output.value = model.reasoning_output ? model.reasoning_output.toLowerCase() : '';
+        ['input', 'output', 'cache_read', 'cache_write'].forEach((field) => {
+          form[field].value = model.pricing && model.pricing[field] !== undefined ? model.pricing[field] : '';
+        });
+      }
+
+      function renderRoutingPreview(data) {
+        const container = document.getElementById('config-preview');
+        const routing = data.routing;
+        const lines = [
+          '请求模型：' + escapeHtml(routing.requestedModel),
+          '重定向：' + (routing.redirectedTo ? '→ ' + escapeHtml(routing.redirectedTo) : '无')
+        ];
+        if (routing.error) {
+          lines.push('<span class="health-cooldown">' + escapeHtml(routing.error) + '（请求会返回 404）</span>');
+        } else {
+          lines.push('模型：' + escapeHtml(routing.model.name || routing.model.id) + '（类型 ' + escapeHtml(routing.model.type) + '）');
+          lines.push('上游：' + escapeHtml(routing.endpoint.base_url));
+          lines.push('推理级别：' + escapeHtml(routing.reasoning) + '，推理输出（chat/completions）：' + escapeHtml(routing.reasoningOutput));
+          lines.push('count_tokens：' + (routing.countTokensSupported ? '支持' : '不支持（仅 anthropic 类型）'));
+          lines.push('系统提示词：' + (routing.systemPromptLength > 0 ? routing.systemPromptLength + ' 个字符' : '未设置'));
+        }
+        container.innerHTML = lines.map((line) => '<div>' + line + '</div>').join('');
+      }
+
       function renderTokenList(type, list, activeId) {
         const ul = document.getElementById(type === 'factory' ? 'factory-list' : 'refresh-list');
         ul.innerHTML = '';
@@ -385,10 +1278,13 @@ function renderDashboardPage() {
           const li = document.createElement('li');
           li.className = 'token-item';
           const isActive = token.id === activeId;
-          const badge = isActive ? '<span class="badge">使用中</span>' : '';
+          const quotaBadge = token.quota && token.quota.exhausted ? '<span class="badge health-cooldown">额度不足</span> ' : '';
+          const badge = quotaBadge + (isActive ? '<span class="badge">使用中</span>' : '');
           const activateDisabled = isActive ? ' disabled' : '';
           const removeDisabled = token.readOnly ? ' disabled' : '';
-          const usageEntry = getUsageEntry(type, token.id);
+          // 没有手动查询结果时显示后台定时查询的额度
+          const usageEntry = getUsageEntry(type, token.id) ||
+            (token.quota ? { status: 'success', data: token.quota } : null);
           const usageDisplay = usageEntry ? 'block' : 'none';
           const usageContent = formatUsageEntry(usageEntry);
           const usageDisabled = usageEntry && usageEntry.status === 'loading' ? ' disabled' : '';
@@ -440,12 +1336,190 @@ function renderDashboardPage() {
         });
       }
 
-      function renderTokens(tokens) {
-        state.tokens = tokens;
-        pruneUsageCache('factory', tokens.factoryKeys || []);
-        pruneUsageCache('refresh', tokens.refreshTokens || []);
-        renderTokenList('factory', tokens.factoryKeys, tokens.activeFactoryKeyId);
-        renderTokenList('refresh', tokens.refreshTokens, tokens.activeRefreshTokenId);
+      function renderTokens(tokens) {
+        state.tokens = tokens;
+        pruneUsageCache('factory', tokens.factoryKeys || []);
+        pruneUsageCache('refresh', tokens.refreshTokens || []);
+        renderTokenList('factory', tokens.factoryKeys, tokens.activeFactoryKeyId);
+        renderTokenList('refresh', tokens.refreshTokens, tokens.activeRefreshTokenId);
+      }
+
+      function renderPoolSettings(settings) {
+        const form = document.getElementById('pool-form');
+        // 用户正在编辑时不覆盖表单
+        if (form.contains(document.activeElement)) {
+          return;
+        }
+        form.enabled.checked = Boolean(settings.enabled);
+        form.strategy.value = settings.strategy;
+        form.authCooldownSeconds.value = settings.authCooldownSeconds;
+        form.rateLimitCooldownSeconds.value = settings.rateLimitCooldownSeconds;
+      }
+
+      const rateLimitFields = ['requestsPerMinute', 'concurrentStreams', 'dailyTokens', 'monthlyTokens'];
+
+      function formatRateLimits(limits) {
+        if (!limits) return '默认';
+        const parts = [];
+        if (limits.requestsPerMinute) parts.push('RPM ' + limits.requestsPerMinute);
+        if (limits.concurrentStreams) parts.push('并发 ' + limits.concurrentStreams);
+        if (limits.dailyTokens) parts.push('日 ' + formatNumber(limits.dailyTokens));
+        if (limits.monthlyTokens) parts.push('月 ' + formatNumber(limits.monthlyTokens));
+        return parts.length > 0 ? parts.join('<br>') : '默认';
+      }
+
+      function readRateLimits(form) {
+        const limits = {};
+        rateLimitFields.forEach((field) => {
+          limits[field] = form[field].value ? Number(form[field].value) : null;
+        });
+        return limits;
+      }
+
+      function renderRateLimits(rateLimits) {
+        if (!rateLimits) return;
+        const form = document.getElementById('rate-limit-form');
+        if (!form.contains(document.activeElement)) {
+          rateLimitFields.forEach((field) => {
+            form[field].value = rateLimits.defaults[field] || '';
+          });
+        }
+        const tbody = document.querySelector('#rate-usage-table tbody');
+        const empty = document.getElementById('rate-usage-empty');
+        tbody.innerHTML = '';
+        if (rateLimits.identities.length === 0) {
+          empty.style.display = 'block';
+          return;
+        }
+        empty.style.display = 'none';
+        rateLimits.identities.forEach((identity) => {
+          const tr = document.createElement('tr');
+          tr.innerHTML =
+            '<td>' + escapeHtml(identity.label) + '</td>' +
+            '<td>' + identity.requestsLastMinute + '</td>' +
+            '<td>' + identity.activeStreams + '</td>' +
+            '<td>' + formatNumber(identity.dayTokens) + '</td>' +
+            '<td>' + formatNumber(identity.monthTokens) + '</td>';
+          tbody.appendChild(tr);
+        });
+      }
+
+      function renderClientKeys(clientKeys) {
+        if (!clientKeys) return;
+        state.clientKeys = clientKeys;
+        const tbody = document.querySelector('#client-keys-table tbody');
+        const empty = document.getElementById('client-keys-empty');
+        tbody.innerHTML = '';
+        if (clientKeys.length === 0) {
+          empty.style.display = 'block';
+          return;
+        }
+        empty.style.display = 'none';
+        clientKeys.forEach((clientKey) => {
+          const tr = document.createElement('tr');
+          const expired = clientKey.expiresAt && new Date(clientKey.expiresAt).getTime() <= Date.now();
+          const expiresText = clientKey.expiresAt
+            ? new Date(clientKey.expiresAt).toLocaleString() + (expired ? ' (已过期)' : '')
+            : '永不过期';
+          tr.innerHTML =
+            '<td>' + escapeHtml(clientKey.label) + (clientKey.enabled ? '' : ' <span class="badge">已停用</span>') + '</td>' +
+            '<td>' + escapeHtml(clientKey.snippet) + '</td>' +
+            '<td>' + (clientKey.allowedModels.length > 0 ? escapeHtml(clientKey.allowedModels.join(', ')) : '全部') + '</td>' +
+            '<td>' + (clientKey.allowedRoutes.length > 0 ? clientKey.allowedRoutes.map(escapeHtml).join('<br>') : '全部') + '</td>' +
+            '<td>' + expiresText + '</td>' +
+            '<td>' + formatRateLimits(clientKey.rateLimits) + '</td>' +
+            '<td>' + (clientKey.lastUsedAt ? new Date(clientKey.lastUsedAt).toLocaleString() : '暂无') + '</td>' +
+            '<td class="token-actions">' +
+              '<button type="button" data-action="toggle" data-id="' + escapeHtml(clientKey.id) + '" data-enabled="' +
+                (clientKey.enabled ? '1' : '0') + '">' + (clientKey.enabled ? '停用' : '启用') + '</button>' +
+              '<button type="button" data-action="limits" data-id="' + escapeHtml(clientKey.id) + '">编辑限额</button>' +
+              '<button type="button" class="danger" data-action="remove" data-id="' + escapeHtml(clientKey.id) + '">删除</button>' +
+            '</td>';
+          tbody.appendChild(tr);
+        });
+      }
+
+      function renderQuota(quota) {
+        if (!quota) return;
+        const form = document.getElementById('quota-form');
+        if (!form.contains(document.activeElement)) {
+          form.enabled.checked = Boolean(quota.settings.enabled);
+          form.intervalMinutes.value = quota.settings.intervalMinutes;
+          form.minRemainingTokens.value = quota.settings.minRemainingTokens;
+          form.minRemainingRatio.value = Number((quota.settings.minRemainingRatio * 100).toFixed(2));
+        }
+        const status = document.getElementById('quota-status');
+        status.textContent =
+          (quota.checking ? '正在查询...' : '最近查询：' + (quota.lastCheckAt ? new Date(quota.lastCheckAt).toLocaleString() : '暂无')) +
+          (quota.lastCheckError ? '，错误：' + quota.lastCheckError : '');
+      }
+
+      function renderPool(pool) {
+        if (!pool) return;
+        renderPoolSettings(pool.settings);
+        const tbody = document.querySelector('#pool-table tbody');
+        const empty = document.getElementById('pool-empty');
+        if (tbody.contains(document.activeElement)) {
+          return;
+        }
+        tbody.innerHTML = '';
+        if (!pool.tokens || pool.tokens.length === 0) {
+          empty.style.display = 'block';
+          return;
+        }
+        empty.style.display = 'none';
+        pool.tokens.forEach((token) => {
+          const tr = document.createElement('tr');
+          const health = token.cooldownUntil
+            ? '<span class="health-cooldown">冷却至 ' + new Date(token.cooldownUntil).toLocaleTimeString() + '</span>'
+            : token.quotaExhausted
+              ? '<span class="health-cooldown">额度不足</span>'
+              : token.healthy
+                ? '<span class="health-ok">正常</span>'
+                : '<span class="health-cooldown">已停用</span>';
+          // lastError 来自上游响应正文，所有字段都需要转义
+          const lastStatus = token.lastStatus
+            ? escapeHtml(token.lastStatus) + (token.lastError ? ' (' + escapeHtml(token.lastError.slice(0, 60)) + ')' : '')
+            : '-';
+          tr.innerHTML =
+            '<td>' + escapeHtml(token.label || '未命名令牌') + ' ' + escapeHtml(token.snippet) + '</td>' +
+            '<td>' + escapeHtml(token.type) + '</td>' +
+            '<td><input class="pool-weight" type="number" min="0" value="' + escapeHtml(token.weight) + '" data-type="' +
+              escapeHtml(token.type) + '" data-id="' + escapeHtml(token.id) + '" /></td>' +
+            '<td>' + formatNumber(token.requests) + '</td>' +
+            '<td>' + formatNumber(token.failures) + '</td>' +
+            '<td>' + lastStatus + '</td>' +
+            '<td>' + health + '</td>' +
+            '<td><button type="button" data-action="reset" data-key="' + escapeHtml(token.key) + '"' +
+              (token.cooldownUntil ? '' : ' disabled') + '>解除冷却</button></td>';
+          tbody.appendChild(tr);
+        });
+      }
+
+      async function postDashboard(url, body, fallbackMessage, method = 'POST') {
+        const response = await fetch(url, {
+          method,
+          headers: { 'Content-Type': 'application/json' },
+          credentials: 'same-origin',
+          body: JSON.stringify(body)
+        });
+        if (!response.ok) {
+          const error = await response.json().catch(() => ({}));
+          showError(error.error || fallbackMessage);
+          return;
+        }
+        const data = await response.json();
+        renderTokens(data.tokens);
+        if (document.activeElement) {
+          document.activeElement.blur();
+        }
+        renderPool(data.pool);
+        renderQuota(data.quota);
+        renderClientKeys(data.clientKeys);
+        renderRateLimits(data.rateLimits);
+        renderConfigStatus(data.config);
+        showError('');
+        return data;
       }
 
       function showError(message) {
@@ -464,6 +1538,11 @@ function renderDashboardPage() {
           renderLogs(data.logs);
           renderTokens(data.tokens);
           renderStatus(data.authStatus);
+          renderPool(data.pool);
+          renderQuota(data.quota);
+          renderClientKeys(data.clientKeys);
+          renderRateLimits(data.rateLimits);
+          renderConfigStatus(data.config);
           showError('');
         } catch (error) {
           showError(error.message);
@@ -643,7 +1722,320 @@ function renderDashboardPage() {
         }
       }
 
+      document.getElementById('pool-form').addEventListener('submit', async (event) => {
+        event.preventDefault();
+        const form = event.target;
+        await postDashboard('/dashboard/api/pool/settings', {
+          enabled: form.enabled.checked,
+          strategy: form.strategy.value,
+          authCooldownSeconds: Number(form.authCooldownSeconds.value),
+          rateLimitCooldownSeconds: Number(form.rateLimitCooldownSeconds.value)
+        }, '保存号池设置失败');
+      });
+
+      document.getElementById('quota-form').addEventListener('submit', async (event) => {
+        event.preventDefault();
+        const form = event.target;
+        await postDashboard('/dashboard/api/quota/settings', {
+          enabled: form.enabled.checked,
+          intervalMinutes: Number(form.intervalMinutes.value),
+          minRemainingTokens: Number(form.minRemainingTokens.value),
+          minRemainingRatio: Number(form.minRemainingRatio.value) / 100
+        }, '保存额度监控设置失败');
+      });
+
+      document.getElementById('quota-check').addEventListener('click', async (event) => {
+        event.target.disabled = true;
+        await postDashboard('/dashboard/api/quota/check', {}, '查询额度失败');
+        event.target.disabled = false;
+      });
+
+      document.getElementById('client-key-form').addEventListener('submit', async (event) => {
+        event.preventDefault();
+        const form = event.target;
+        const allowedRoutes = Array.from(form.querySelectorAll('input[name="routes"]:checked')).map((input) => input.value);
+        const allowedModels = form.models.value.split(',').map((model) => model.trim()).filter(Boolean);
+        const data = await postDashboard('/dashboard/api/client-keys', {
+          label: form.label.value.trim(),
+          allowedModels,
+          allowedRoutes,
+          expiresAt: form.expiresAt.value ? new Date(form.expiresAt.value).toISOString() : null,
+          rateLimits: readRateLimits(form)
+        }, '创建客户端密钥失败');
+        if (data && data.createdKey) {
+          const box = document.getElementById('client-key-new');
+          box.textContent = '新密钥（仅显示一次，请妥善保存）：' + data.createdKey.key;
+          box.style.display = 'block';
+          form.reset();
+        }
+      });
+
+      document.getElementById('rate-limit-form').addEventListener('submit', async (event) => {
+        event.preventDefault();
+        await postDashboard('/dashboard/api/rate-limits', readRateLimits(event.target), '保存默认限额失败');
+      });
+
+      document.getElementById('client-keys-table').addEventListener('click', async (event) => {
+        const target = event.target;
+        if (!(target instanceof HTMLElement)) return;
+        const action = target.getAttribute('data-action');
+        const id = target.getAttribute('data-id');
+        if (!action || !id) return;
+        if (action === 'toggle') {
+          await postDashboard('/dashboard/api/client-keys/' + id, {
+            enabled: target.getAttribute('data-enabled') !== '1'
+          }, '更新客户端密钥失败', 'PATCH');
+        } else if (action === 'limits') {
+          const clientKey = (state.clientKeys || []).find((item) => item.id === id);
+          const current = rateLimitFields.map((field) => (clientKey && clientKey.rateLimits[field]) || '').join(',');
+          const input = prompt('依次输入 RPM,并发流,每日 tokens,每月 tokens（留空表示使用默认限额）', current);
+          if (input === null) return;
+          const values = input.split(',');
+          const rateLimits = {};
+          rateLimitFields.forEach((field, index) => {
+            const value = (values[index] || '').trim();
+            rateLimits[field] = value ? Number(value) : null;
+          });
+          await postDashboard('/dashboard/api/client-keys/' + id, { rateLimits }, '更新限额失败', 'PATCH');
+        } else if (action === 'remove') {
+          if (!confirm('确定删除该客户端密钥？')) return;
+          await postDashboard('/dashboard/api/client-keys/' + id, {}, '删除客户端密钥失败', 'DELETE');
+        }
+      });
+
+      document.getElementById('pool-table').addEventListener('change', async (event) => {
+        const target = event.target;
+        if (!(target instanceof HTMLInputElement) || !target.classList.contains('pool-weight')) return;
+        await postDashboard('/dashboard/api/pool/weight', {
+          type: target.getAttribute('data-type'),
+          id: target.getAttribute('data-id'),
+          weight: Number(target.value)
+        }, '保存权重失败');
+      });
+
+      document.getElementById('pool-table').addEventListener('click', async (event) => {
+        const target = event.target;
+        if (!(target instanceof HTMLElement) || target.getAttribute('data-action') !== 'reset') return;
+        await postDashboard('/dashboard/api/pool/reset', { key: target.getAttribute('data-key') }, '解除冷却失败');
+      });
+
+      document.getElementById('history-form').addEventListener('submit', async (event) => {
+        event.preventDefault();
+        await loadHistory();
+      });
+
+      document.querySelectorAll('.history-export').forEach((button) => {
+        button.addEventListener('click', () => {
+          const params = getHistoryQuery();
+          params.set('format', button.getAttribute('data-format'));
+          window.location.href = '/dashboard/api/logs/export?' + params.toString();
+        });
+      });
+
+      document.getElementById('analytics-form').addEventListener('submit', async (event) => {
+        event.preventDefault();
+        await loadAnalytics();
+      });
+
+      document.querySelector('#analytics-form select[name="groupBy"]').addEventListener('change', loadAnalytics);
+      document.querySelector('#analytics-form select[name="window"]').addEventListener('change', loadAnalytics);
+
+      document.getElementById('config-reload').addEventListener('click', async () => {
+        const data = await postDashboard('/dashboard/api/config/reload', {}, '重新加载配置失败');
+        if (!data) return;
+        loadConfigEditor();
+        const list = document.getElementById('config-changes');
+        const changes = data.reload.changes.length > 0 ? data.reload.changes : ['配置没有变化'];
+        list.innerHTML = changes.map((change) => '<li>' + escapeHtml(change) + '</li>').join('');
+      });
+
+      document.getElementById('config-model-form').addEventListener('submit', async (event) => {
+        event.preventDefault();
+        const form = event.target;
+        const model = readModelForm(form);
+        const originalId = form.originalId.value || model.id;
+        const models = state.editableConfig.models.slice();
+        const index = models.findIndex((item) => item.id === originalId);
+        if (index >= 0) {
+          models[index] = model;
+        } else {
+          models.push(model);
+        }
+        if (await saveConfigSection({ models })) {
+          form.reset();
+          form.originalId.value = '';
+        }
+      });
+
+      document.getElementById('config-model-reset').addEventListener('click', () => {
+        const form = document.getElementById('config-model-form');
+        form.reset();
+        form.originalId.value = '';
+      });
+
+      document.getElementById('config-models-table').addEventListener('click', async (event) => {
+        const target = event.target;
+        if (!(target instanceof HTMLElement)) return;
+        const action = target.getAttribute('data-action');
+        const id = target.getAttribute('data-id');
+        if (!action || !id) return;
+        const model = state.editableConfig.models.find((item) => item.id === id);
+        if (action === 'edit' && model) {
+          fillModelForm(model);
+        } else if (action === 'remove') {
+          if (!confirm('确定删除模型 ' + id + '？')) return;
+          await saveConfigSection({ models: state.editableConfig.models.filter((item) => item.id !== id) });
+        }
+      });
+
+      document.getElementById('config-redirect-form').addEventListener('submit', async (event) => {
+        event.preventDefault();
+        const form = event.target;
+        const redirects = { ...state.editableConfig.model_redirects, [form.from.value.trim()]: form.to.value };
+        if (await saveConfigSection({ model_redirects: redirects })) {
+          form.reset();
+        }
+      });
+
+      document.getElementById('config-redirects-table').addEventListener('click', async (event) => {
+        const target = event.target;
+        if (!(target instanceof HTMLElement) || target.getAttribute('data-action') !== 'remove') return;
+        const redirects = { ...state.editableConfig.model_redirects };
+        delete redirects[target.getAttribute('data-id')];
+        await saveConfigSection({ model_redirects: redirects });
+      });
+
+      document.getElementById('config-endpoint-form').addEventListener('submit', async (event) => {
+        event.preventDefault();
+        const form = event.target;
+        const endpoint = { name: form.name.value.trim(), base_url: form.base_url.value.trim() };
+        const endpoints = state.editableConfig.endpoint.slice();
+        const index = endpoints.findIndex((item) => item.name === endpoint.name);
+        if (index >= 0) {
+          endpoints[index] = { ...endpoints[index], ...endpoint };
+        } else {
+          endpoints.push(endpoint);
+        }
+        if (await saveConfigSection({ endpoint: endpoints })) {
+          form.reset();
+        }
+      });
+
+      document.getElementById('config-endpoints-table').addEventListener('click', async (event) => {
+        const target = event.target;
+        if (!(target instanceof HTMLElement)) return;
+        const action = target.getAttribute('data-action');
+        const name = target.getAttribute('data-id');
+        if (!action || !name) return;
+        if (action === 'edit') {
+          const endpoint = state.editableConfig.endpoint.find((item) => item.name === name);
+          const form = document.getElementById('config-endpoint-form');
+          form.name.value = endpoint.name;
+          form.base_url.value = endpoint.base_url;
+        } else if (action === 'remove') {
+          if (!confirm('确定删除端点 ' + name + '？')) return;
+          await saveConfigSection({ endpoint: state.editableConfig.endpoint.filter((item) => item.name !== name) });
+        }
+      });
+
+      document.getElementById('config-prompt-form').addEventListener('submit', async (event) => {
+        event.preventDefault();
+        await saveConfigSection({ system_prompt: event.target.system_prompt.value });
+      });
+
+      document.getElementById('config-preview-form').addEventListener('submit', async (event) => {
+        event.preventDefault();
+        const response = await fetch('/dashboard/api/config/preview', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          credentials: 'same-origin',
+          body: JSON.stringify({ modelId: event.target.modelId.value.trim() })
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+          showConfigEditorErrors(data.error || '预览失败');
+          return;
+        }
+        renderRoutingPreview(data);
+      });
+
+      document.getElementById('filter-enabled').addEventListener('change', async (event) => {
+        await saveKeywordFilter({ enabled: event.target.checked });
+      });
+
+      document.getElementById('filter-rule-form').addEventListener('submit', async (event) => {
+        event.preventDefault();
+        const form = event.target;
+        const rule = readFilterRuleForm(form);
+        const originalId = form.originalId.value || rule.id;
+        const rules = state.keywordFilter.rules.slice();
+        const index = rules.findIndex((item) => item.id === originalId);
+        if (index >= 0) {
+          rules[index] = rule;
+        } else {
+          rules.push(rule);
+        }
+        if (await saveKeywordFilter({ rules })) {
+          form.reset();
+          form.originalId.value = '';
+        }
+      });
+
+      document.getElementById('filter-rule-reset').addEventListener('click', () => {
+        const form = document.getElementById('filter-rule-form');
+        form.reset();
+        form.originalId.value = '';
+      });
+
+      document.getElementById('filter-rules-table').addEventListener('click', async (event) => {
+        const target = event.target;
+        if (!(target instanceof HTMLElement)) return;
+        const action = target.getAttribute('data-action');
+        const id = target.getAttribute('data-id');
+        if (!action || !id || action === 'toggle') return;
+        const rules = state.keywordFilter.rules.slice();
+        const index = rules.findIndex((item) => item.id === id);
+        if (index < 0) return;
+        if (action === 'edit') {
+          fillFilterRuleForm(rules[index]);
+        } else if (action === 'test') {
+          document.querySelector('#filter-test-form select[name="ruleId"]').value = id;
+          document.getElementById('filter-test-form').scrollIntoView({ behavior: 'smooth', block: 'center' });
+        } else if (action === 'up' || action === 'down') {
+          const swapWith = action === 'up' ? index - 1 : index + 1;
+          if (swapWith < 0 || swapWith >= rules.length) return;
+          [rules[index], rules[swapWith]] = [rules[swapWith], rules[index]];
+          await saveKeywordFilter({ rules });
+        } else if (action === 'remove') {
+          if (!confirm('确定删除规则 ' + id + '？')) return;
+          rules.splice(index, 1);
+          await saveKeywordFilter({ rules });
+        }
+      });
+
+      document.getElementById('filter-rules-table').addEventListener('change', async (event) => {
+        const target = event.target;
+        if (!(target instanceof HTMLInputElement) || target.getAttribute('data-action') !== 'toggle') return;
+        const id = target.getAttribute('data-id');
+        const rules = state.keywordFilter.rules.map((rule) => (rule.id === id ? { ...rule, enabled: target.checked } : rule));
+        await saveKeywordFilter({ rules });
+      });
+
+      document.getElementById('filter-test-form').addEventListener('submit', async (event) => {
+        event.preventDefault();
+        const ruleId = event.target.ruleId.value;
+        await testKeywordFilter(ruleId ? { ruleId } : {});
+      });
+
+      document.getElementById('filter-test-draft').addEventListener('click', async () => {
+        await testKeywordFilter({ rule: readFilterRuleForm(document.getElementById('filter-rule-form')) });
+      });
+
       loadAndRender().then(scheduleRefresh);
+      loadHistory();
+      loadAnalytics();
+      loadConfigEditor();
+      loadKeywordFilter();
     </script>
   </body>
 </html>`;
@@ -696,7 +2088,34 @@ dashboardRouter.post('/logout', (req, res) => {
 });
 
 dashboardRouter.get('/api/state', ensureDashboardAuth, (req, res) => {
-  res.json(getDashboardState());
+  res.json(buildDashboardState());
+});
+
+dashboardRouter.get('/api/logs', ensureDashboardAuth, async (req, res) => {
+  try {
+    return res.json(await queryRequestHistory(req.query));
+  } catch (error) {
+    return res.status(500).json({ error: error.message || '查询失败' });
+  }
+});
+
+dashboardRouter.get('/api/logs/export', ensureDashboardAuth, async (req, res) => {
+  const format = req.query.format === 'jsonl' ? 'jsonl' : 'csv';
+  res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="request-history.${format}"`);
+  try {
+    await exportRequestHistory(req.query, format, res);
+  } catch (error) {
+    res.destroy(error);
+  }
+});
+
+dashboardRouter.get('/api/analytics', ensureDashboardAuth, async (req, res) => {
+  try {
+    return res.json(await getUsageAnalytics(req.query.window));
+  } catch (error) {
+    return res.status(500).json({ error: error.message || '统计失败' });
+  }
 });
 
 dashboardRouter.post('/api/tokens', ensureDashboardAuth, (req, res) => {
@@ -709,7 +2128,11 @@ dashboardRouter.post('/api/tokens', ensureDashboardAuth, (req, res) => {
   }
   try {
     addToken(type, value, label);
-    return res.json(getDashboardState());
+    if (type === 'refresh') {
+      // 后台获取 access token 并开始按过期时间定时刷新
+      warmRefreshTokens().catch(() => {});
+    }
+    return res.json(buildDashboardState());
   } catch (error) {
     return res.status(400).json({ error: error.message || '保存失败' });
   }
@@ -722,7 +2145,7 @@ dashboardRouter.delete('/api/tokens/:type/:id', ensureDashboardAuth, (req, res)
   }
   try {
     removeToken(type, id);
-    return res.json(getDashboardState());
+    return res.json(buildDashboardState());
   } catch (error) {
     return res.status(400).json({ error: error.message || '删除失败' });
   }
@@ -741,7 +2164,7 @@ dashboardRouter.post('/api/tokens/usage', ensureDashboardAuth, async (req, res)
     return res.status(404).json({ error: 'Token 不存在' });
   }
   try {
-    const usage = await fetchFactoryUsage(token.value);
+    const usage = await refreshFactoryKeyQuota(token.id);
     return res.json({
       token: {
         id: token.id,
@@ -765,10 +2188,204 @@ dashboardRouter.post('/api/tokens/activate', ensureDashboardAuth, (req, res) =>
   }
   try {
     activateToken(type, id);
-    return res.json(getDashboardState());
+    return res.json(buildDashboardState());
   } catch (error) {
     return res.status(400).json({ error: error.message || '切换失败' });
   }
 });
 
+dashboardRouter.post('/api/pool/settings', ensureDashboardAuth, (req, res) => {
+  try {
+    updatePoolSettings(req.body || {});
+    return res.json(buildDashboardState());
+  } catch (error) {
+    return res.status(400).json({ error: error.message || '保存失败' });
+  }
+});
+
+dashboardRouter.post('/api/pool/weight', ensureDashboardAuth, (req, res) => {
+  const { type, id, weight } = req.body || {};
+  if (!type || !id || weight === undefined) {
+    return res.status(400).json({ error: '缺少必要的字段 type、id 或 weight' });
+  }
+  if (!['factory', 'refresh'].includes(type)) {
+    return res.status(400).json({ error: 'type 必须是 factory 或 refresh' });
+  }
+  try {
+    setTokenWeight(type, id, weight);
+    return res.json(buildDashboardState());
+  } catch (error) {
+    return res.status(400).json({ error: error.message || '保存失败' });
+  }
+});
+
+dashboardRouter.post('/api/pool/reset', ensureDashboardAuth, (req, res) => {
+  const { key } = req.body || {};
+  if (!key) {
+    return res.status(400).json({ error: '缺少必要的字段 key' });
+  }
+  resetPoolTokenCooldown(key);
+  return res.json(buildDashboardState());
+});
+
+dashboardRouter.post('/api/quota/settings', ensureDashboardAuth, (req, res) => {
+  try {
+    updateQuotaSettings(req.body || {});
+    // 重新按新的间隔启动定时查询
+    startQuotaMonitor();
+    return res.json(buildDashboardState());
+  } catch (error) {
+    return res.status(400).json({ error: error.message || '保存失败' });
+  }
+});
+
+dashboardRouter.post('/api/quota/check', ensureDashboardAuth, async (req, res) => {
+  try {
+    await checkAllQuotas();
+    return res.json(buildDashboardState());
+  } catch (error) {
+    return res.status(502).json({ error: error.message || '查询额度失败' });
+  }
+});
+
+dashboardRouter.post('/api/config/reload', ensureDashboardAuth, (req, res) => {
+  const result = reloadConfig();
+  if (!result.success) {
+    return res.status(400).json({ error: `新配置无效，已保留当前配置：${result.error}` });
+  }
+  return res.json({ ...buildDashboardState(), reload: result });
+});
+
+dashboardRouter.get('/api/config', ensureDashboardAuth, (req, res) => {
+  try {
+    return res.json({ config: getEditableConfig(), status: getConfigStatus() });
+  } catch (error) {
+    return res.status(500).json({ error: `读取 config.json 失败：${error.message}` });
+  }
+});
+
+dashboardRouter.put('/api/config', ensureDashboardAuth, (req, res) => {
+  try {
+    const result = saveConfigUpdate(req.body || {});
+    if (!result.success) {
+      return res.status(500).json({ error: `配置已写入但重新加载失败：${result.error}` });
+    }
+    return res.json({
+      config: getEditableConfig(),
+      status: getConfigStatus(),
+      changes: result.changes,
+      backupPath: result.backupPath
+    });
+  } catch (error) {
+    return res.status(error.status || 500).json({
+      error: error.status === 400 ? '配置校验失败，未保存' : error.message || '保存失败',
+      errors: error.errors || []
+    });
+  }
+});
+
+/**
+ * 预览某个模型名的路由结果；传入 draft 时基于未保存的修改计算并返回校验结果
+ */
+dashboardRouter.post('/api/config/preview', ensureDashboardAuth, (req, res) => {
+  const { modelId, draft } = req.body || {};
+  if (!modelId) {
+    return res.status(400).json({ error: '缺少 modelId' });
+  }
+  try {
+    if (draft) {
+      const { effective, errors, warnings } = checkConfigUpdate(draft);
+      return res.json({ valid: errors.length === 0, errors, warnings, routing: previewRouting(modelId, effective) });
+    }
+    return res.json({ valid: true, errors: [], warnings: [], routing: previewRouting(modelId) });
+  } catch (error) {
+    return res.status(500).json({ error: error.message || '预览失败' });
+  }
+});
+
+function buildKeywordFilterState() {
+  return {
+    path: keywordFilter.getConfigPath(),
+    config: keywordFilter.getConfigSnapshot(),
+    stats: keywordFilter.getStats()
+  };
+}
+
+dashboardRouter.get('/api/keyword-filter', ensureDashboardAuth, (req, res) => {
+  res.json(buildKeywordFilterState());
+});
+
+dashboardRouter.put('/api/keyword-filter', ensureDashboardAuth, (req, res) => {
+  try {
+    keywordFilter.saveConfig(req.body || {});
+    return res.json(buildKeywordFilterState());
+  } catch (error) {
+    return res.status(error.status || 500).json({
+      error: error.status === 400 ? '规则校验失败，未保存' : error.message || '保存失败',
+      errors: error.errors || []
+    });
+  }
+});
+
+/**
+ * 测试文本：传入 rule 时测试表单中未保存的规则，传入 ruleId 时只测试该规则，否则使用全部启用的规则
+ */
+dashboardRouter.post('/api/keyword-filter/test', ensureDashboardAuth, (req, res) => {
+  const { text, rule, ruleId } = req.body || {};
+  if (typeof text !== 'string') {
+    return res.status(400).json({ error: '缺少测试文本' });
+  }
+  let rules;
+  if (rule) {
+    const errors = keywordFilter.validateRules([rule]);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: '规则无效', errors });
+    }
+    rules = [{ ...rule, enabled: true }];
+  } else if (ruleId) {
+    const saved = keywordFilter.getConfigSnapshot().rules.find((item) => item.id === ruleId);
+    if (!saved) {
+      return res.status(404).json({ error: `规则 ${ruleId} 不存在` });
+    }
+    rules = [{ ...saved, enabled: true }];
+  }
+  return res.json(keywordFilter.testText(text, rules));
+});
+
+dashboardRouter.post('/api/rate-limits', ensureDashboardAuth, (req, res) => {
+  try {
+    updateDefaultRateLimits(req.body || {});
+    return res.json(buildDashboardState());
+  } catch (error) {
+    return res.status(400).json({ error: error.message || '保存失败' });
+  }
+});
+
+dashboardRouter.post('/api/client-keys', ensureDashboardAuth, (req, res) => {
+  try {
+    const createdKey = createClientKey(req.body || {});
+    return res.json({ ...buildDashboardState(), createdKey });
+  } catch (error) {
+    return res.status(400).json({ error: error.message || '创建失败' });
+  }
+});
+
+dashboardRouter.patch('/api/client-keys/:id', ensureDashboardAuth, (req, res) => {
+  try {
+    updateClientKey(req.params.id, req.body || {});
+    return res.json(buildDashboardState());
+  } catch (error) {
+    return res.status(400).json({ error: error.message || '更新失败' });
+  }
+});
+
+dashboardRouter.delete('/api/client-keys/:id', ensureDashboardAuth, (req, res) => {
+  try {
+    removeClientKey(req.params.id);
+    return res.json(buildDashboardState());
+  } catch (error) {
+    return res.status(400).json({ error: error.message || '删除失败' });
+  }
+});
+
 export default dashboardRouter;
@@ -0,0 +1,163 @@
+import fetch from 'node-fetch';
+import { getConfig } from './config.js';
+import { isRefreshTokenUsable } from './auth.js';
+import { getActiveFactoryKey, getActiveRefreshToken, listTokens } from './state.js';
+import { getPoolStatus, isPoolEnabled } from './token-pool.js';
+
+// 健康检查：/healthz 只表示进程存活，/readyz 检查配置、可用凭证、令牌刷新以及（可选）上游端点
+
+const PROBE_TIMEOUT_MS = 5000;
+const PROBE_CACHE_MS = 30 * 1000;
+
+const startedAt = Date.now();
+// 缓存最近一次上游探测结果，避免负载均衡器频繁探测时打满上游
+let lastProbe = null;
+
+function pass(detail) {
+  return { status: 'pass', detail };
+}
+
+function fail(detail) {
+  return { status: 'fail', detail };
+}
+
+function skip(detail) {
+  return { status: 'skip', detail };
+}
+
+// 需要关注但不影响就绪状态
+function warn(detail) {
+  return { status: 'warn', detail };
+}
+
+function checkConfig() {
+  try {
+    const config = getConfig();
+    if (!Array.isArray(config.models) || config.models.length === 0) {
+      return fail('config.json has no models');
+    }
+    if (!Array.isArray(config.endpoint) || config.endpoint.length === 0) {
+      return fail('config.json has no endpoints');
+    }
+    return pass(`${config.models.length} models, ${config.endpoint.length} endpoints`);
+  } catch (error) {
+    return fail(error.message);
+  }
+}
+
+/**
+ * 至少有一个可用凭证即视为就绪：号池中不在冷却、额度充足，且 refresh token 能提供 access token
+ */
+function checkCredentials() {
+  if (isPoolEnabled()) {
+    const refreshTokens = new Map(listTokens('refresh').map((token) => [token.id, token]));
+    const usable = getPoolStatus().tokens.filter((token) => (
+      token.healthy && (token.type === 'factory' || isRefreshTokenUsable(refreshTokens.get(token.id)))
+    ));
+    return usable.length > 0
+      ? pass(`${usable.length} usable pool tokens`)
+      : fail('No usable tokens in the pool');
+  }
+  const activeFactory = getActiveFactoryKey();
+  if (activeFactory) {
+    return pass(`Factory key ${activeFactory.label}`);
+  }
+  const activeRefresh = getActiveRefreshToken();
+  if (activeRefresh) {
+    return isRefreshTokenUsable(activeRefresh)
+      ? pass(`Refresh token ${activeRefresh.label}`)
+      : fail('The active refresh token failed to refresh');
+  }
+  return fail('No FACTORY_API_KEY or refresh token configured');
+}
+
+/**
+ * 按令牌统计刷新失败的 refresh token。/readyz 无需认证，不返回上游的错误详情
+ */
+function checkRefresh() {
+  const refreshTokens = listTokens('refresh');
+  if (refreshTokens.length === 0) {
+    return skip('No refresh tokens configured');
+  }
+  const failed = refreshTokens.filter((token) => !isRefreshTokenUsable(token)).length;
+  return failed > 0
+    ? warn(`${failed} of ${refreshTokens.length} refresh tokens failed to refresh`)
+    : pass(`${refreshTokens.length} refresh tokens usable`);
+}
+
+/**
+ * 任何 HTTP 响应（包括 401/404/405）都说明端点可达，只有网络错误、超时和 5xx 视为失败
+ */
+async function probeEndpoint(endpoint) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), PROBE_TIMEOUT_MS);
+  const probeStartedAt = Date.now();
+  try {
+    const response = await fetch(endpoint.base_url, { method: 'HEAD', signal: controller.signal });
+    const latencyMs = Date.now() - probeStartedAt;
+    const detail = `HTTP ${response.status} in ${latencyMs}ms`;
+    return { name: endpoint.name, ...(response.status >= 500 ? fail(detail) : pass(detail)) };
+  } catch (error) {
+    const detail = error.name === 'AbortError' ? `Timed out after ${PROBE_TIMEOUT_MS}ms` : error.message;
+    return { name: endpoint.name, ...fail(detail) };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+async function checkEndpoints() {
+  if (lastProbe && Date.now() - lastProbe.at < PROBE_CACHE_MS) {
+    return lastProbe.result;
+  }
+  const endpoints = getConfig().endpoint || [];
+  const results = await Promise.all(endpoints.map(probeEndpoint));
+  const failed = results.filter((result) => result.status === 'fail');
+  const result = {
+    ...(failed.length > 0
+      ? fail(`${failed.length} of ${results.length} endpoints failed the probe`)
+      : pass(`${results.length} endpoints reachable`)),
+    endpoints: results
+  };
+  lastProbe = { at: Date.now(), result };
+  return result;
+}
+
+function shouldProbe(req) {
+  const requested = req.query.probe;
+  if (requested !== undefined) {
+    return ['1', 'true', 'yes'].includes(String(requested).toLowerCase());
+  }
+  return process.env.READYZ_PROBE_UPSTREAM === 'true';
+}
+
+/**
+ * GET /healthz
+ */
+export function handleHealthz(req, res) {
+  res.json({
+    status: 'ok',
+    uptimeSeconds: Math.floor((Date.now() - startedAt) / 1000),
+    timestamp: new Date().toISOString()
+  });
+}
+
+/**
+ * GET /readyz[?probe=1]. 返回 200（ready）或 503（not_ready）以及各项检查结果
+ */
+export async function handleReadyz(req, res) {
+  const checks = {
+    config: checkConfig(),
+    credentials: checkCredentials(),
+    refresh: checkRefresh()
+  };
+  if (checks.config.status === 'pass' && shouldProbe(req)) {
+    checks.upstream = await checkEndpoints();
+  }
+
+  const ready = Object.values(checks).every((check) => check.status !== 'fail');
+  res.status(ready ? 200 : 503).json({
+    status: ready ? 'ready' : 'not_ready',
+    timestamp: new Date().toISOString(),
+    checks
+  });
+}
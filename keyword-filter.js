@@ -1,6 +1,292 @@
 import fs from 'fs';
 import path from 'path';
 import { logInfo, logDebug, logError, logWarning } from './logger.js';
+import { AhoCorasick } from './aho-corasick.js';
+
+export const FILTER_PATTERN_TYPES = ['contains', 'prefix', 'suffix', 'regex'];
+export const FILTER_ACTION_TYPES = ['remove_content', 'replace', 'delete_keyword', 'block', 'inject_before', 'inject_after'];
+// 只能用于请求方向的动作
+const REQUEST_ONLY_ACTIONS = ['block', 'inject_before', 'inject_after'];
+export const FILTER_INJECT_TARGETS = ['text', 'system'];
+// request: 过滤发往上游的请求（默认）；response: 改写模型输出；both: 两者都处理
+export const FILTER_DIRECTIONS = ['request', 'response', 'both'];
+
+// 规则适用范围 conditions 中可用的路由与消息角色
+export const FILTER_ROUTES = ['openai', 'anthropic', 'responses'];
+export const FILTER_ROLES = ['system', 'user', 'assistant', 'tool'];
+// 未设置 conditions.roles 的请求规则只处理用户消息（以及 Anthropic 的 system 字段，见 matchesSystemField），
+// OpenAI/Responses 的 system、developer 消息需要在 roles 中显式加入 system
+const DEFAULT_REQUEST_ROLES = ['user'];
+
+// 流式响应中正则规则的匹配窗口（字符数），可在配置中用 responseBufferSize 覆盖
+const DEFAULT_RESPONSE_BUFFER_SIZE = 200;
+
+// contains 规则达到该数量时使用 Aho-Corasick 一次扫描匹配，数量较少时逐条 includes 更快
+const LITERAL_INDEX_MIN_RULES = 8;
+
+// 规则的编译结果（正则对象、小写后的关键词），加载配置时生成，按规则对象缓存
+const compiledRules = new WeakMap();
+
+function appliesTo(rule, direction) {
+  const ruleDirection = rule.direction || 'request';
+  return ruleDirection === 'both' || ruleDirection === direction;
+}
+
+/**
+ * 支持 * 通配符的匹配，例如 claude-*、*-codex
+ */
+function matchesWildcard(pattern, value) {
+  if (!value) {
+    return false;
+  }
+  if (!pattern.includes('*')) {
+    return pattern === value;
+  }
+  const source = pattern.split('*').map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${source}$`).test(value);
+}
+
+/**
+ * 检查规则的 conditions 是否适用于当前请求
+ * @param {Object} rule - 规则
+ * @param {Object} context - { route, model, redirectedModel, clientId, clientLabel }
+ */
+function matchesContext(rule, context) {
+  const conditions = rule.conditions || {};
+  if (Array.isArray(conditions.routes) && conditions.routes.length > 0
+    && !conditions.routes.includes(context.route)) {
+    return false;
+  }
+  if (Array.isArray(conditions.models) && conditions.models.length > 0
+    && !conditions.models.some(pattern => matchesWildcard(pattern, context.model) || matchesWildcard(pattern, context.redirectedModel))) {
+    return false;
+  }
+  if (Array.isArray(conditions.clients) && conditions.clients.length > 0
+    && !conditions.clients.some(pattern => matchesWildcard(pattern, context.clientId) || matchesWildcard(pattern, context.clientLabel))) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Anthropic 的 system 字段：未设置 roles 的请求规则默认处理，设置了 roles 时需包含 system
+ */
+function matchesSystemField(rule) {
+  const roles = rule.conditions?.roles;
+  return !Array.isArray(roles) || roles.length === 0 || roles.includes('system');
+}
+
+function matchesRole(rule, role, direction) {
+  const roles = rule.conditions?.roles;
+  if (Array.isArray(roles) && roles.length > 0) {
+    return roles.includes(role);
+  }
+  return direction === 'response' || DEFAULT_REQUEST_ROLES.includes(role);
+}
+
+/**
+ * 命中 block 规则时抛出的错误，routes 根据 status/code/message 返回对应格式的错误响应
+ */
+function createBlockedError(result) {
+  const error = new Error(result.error.message);
+  error.status = result.error.status;
+  error.code = result.error.code;
+  error.ruleId = result.ruleId;
+  error.blocked = true;
+  return error;
+}
+
+/**
+ * 规范化消息角色：developer 视为 system，Responses 的 function_call_output 视为 tool
+ */
+function getMessageRole(message) {
+  if (message.type === 'function_call_output') {
+    return 'tool';
+  }
+  if (message.role === 'developer') {
+    return 'system';
+  }
+  return message.role;
+}
+
+function escapeRegex(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function compileRule(rule) {
+  const { type, value } = rule.pattern;
+  const caseSensitive = Boolean(rule.pattern.caseSensitive);
+  const compiled = {
+    caseSensitive,
+    needle: caseSensitive ? value : value.toLowerCase(),
+    regex: null,
+    globalRegex: null
+  };
+  // 字面量规则也编译一个转义后的正则，用于不区分大小写的替换和删除
+  const source = type === 'regex' ? value : escapeRegex(value);
+  const flags = caseSensitive ? '' : 'i';
+  try {
+    compiled.regex = new RegExp(source, flags);
+    compiled.globalRegex = new RegExp(source, `g${flags}`);
+  } catch (error) {
+    logError(`Invalid regex pattern in rule ${rule.id}: ${value}`, error);
+  }
+  return compiled;
+}
+
+/**
+ * 获取规则的编译结果；测试面板中未保存的规则在第一次使用时编译
+ */
+function getCompiledRule(rule) {
+  let compiled = compiledRules.get(rule);
+  if (!compiled) {
+    compiled = compileRule(rule);
+    compiledRules.set(rule, compiled);
+  }
+  return compiled;
+}
+
+/**
+ * 为 contains 规则建立 Aho-Corasick 自动机。区分大小写和不区分大小写的规则各建一个，
+ * 后者扫描小写后的文本
+ */
+function buildLiteralIndex(rules) {
+  const literals = rules.filter(rule => rule.pattern.type === 'contains');
+  if (literals.length < LITERAL_INDEX_MIN_RULES) {
+    return { rules: new Set(), automata: [] };
+  }
+  const automata = [true, false].map(caseSensitive => {
+    const patterns = literals
+      .filter(rule => getCompiledRule(rule).caseSensitive === caseSensitive)
+      .map(rule => ({ value: getCompiledRule(rule).needle, payload: rule }));
+    return patterns.length > 0 ? { caseSensitive, automaton: new AhoCorasick(patterns) } : null;
+  }).filter(Boolean);
+  return { rules: new Set(literals), automata };
+}
+
+/**
+ * 一段文本的匹配状态：小写文本和字面量关键词的扫描结果都在第一次需要时计算，
+ * 文本被规则改写后（continue）重新计算
+ */
+class TextMatcher {
+  constructor(text, literalIndex) {
+    this.literalIndex = literalIndex;
+    this.setText(text);
+  }
+
+  setText(text) {
+    this.text = text;
+    this.lowerText = null;
+    this.literalHits = null;
+  }
+
+  getText(caseSensitive) {
+    if (caseSensitive) {
+      return this.text;
+    }
+    if (this.lowerText === null) {
+      this.lowerText = this.text.toLowerCase();
+    }
+    return this.lowerText;
+  }
+
+  containsLiteral(rule, compiled) {
+    if (!this.literalIndex.rules.has(rule)) {
+      return this.getText(compiled.caseSensitive).includes(compiled.needle);
+    }
+    if (this.literalHits === null) {
+      this.literalHits = new Set();
+      for (const { caseSensitive, automaton } of this.literalIndex.automata) {
+        for (const hit of automaton.search(this.getText(caseSensitive))) {
+          this.literalHits.add(hit);
+        }
+      }
+    }
+    return this.literalHits.has(rule);
+  }
+
+  /**
+   * @param {Object} rule - 规则
+   * @returns {boolean} 是否匹配
+   */
+  matches(rule) {
+    if (!this.text || !rule.pattern?.value) {
+      return false;
+    }
+    const compiled = getCompiledRule(rule);
+    switch (rule.pattern.type) {
+      case 'contains':
+        return this.containsLiteral(rule, compiled);
+
+      case 'prefix':
+        return this.getText(compiled.caseSensitive).startsWith(compiled.needle);
+
+      case 'suffix':
+        return this.getText(compiled.caseSensitive).endsWith(compiled.needle);
+
+      case 'regex':
+        return compiled.regex ? compiled.regex.test(this.text) : false;
+
+      default:
+        logWarning(`Unknown pattern type: ${rule.pattern.type}`);
+        return false;
+    }
+  }
+}
+
+/**
+ * 流式过滤时找到不会切断任何匹配的位置：如果某条规则的匹配跨越 cut，则把 cut 前移到该匹配的开头
+ * @param {string} text - 缓冲区中的原始文本
+ * @param {number} cut - 期望的切分位置
+ * @param {Array} rules - response 规则
+ * @param {boolean} atStart - 文本是否位于块开头（prefix 规则只在块开头匹配）
+ * @returns {number} 切分位置，之前的文本可以单独处理并发出
+ */
+function findSafeCut(text, cut, rules, atStart) {
+  const spans = [];
+  for (const rule of rules) {
+    if (!rule.enabled || !rule.pattern?.value) {
+      continue;
+    }
+    const compiled = getCompiledRule(rule);
+    if (rule.pattern.type === 'prefix') {
+      if (atStart && (compiled.caseSensitive ? text : text.toLowerCase()).startsWith(compiled.needle)) {
+        spans.push([0, compiled.needle.length]);
+      }
+    } else if ((rule.pattern.type === 'contains' || rule.pattern.type === 'regex') && compiled.globalRegex) {
+      const regex = compiled.globalRegex;
+      regex.lastIndex = 0;
+      let match;
+      while ((match = regex.exec(text)) !== null) {
+        if (match[0].length === 0) {
+          regex.lastIndex++;
+          continue;
+        }
+        spans.push([match.index, match.index + match[0].length]);
+      }
+    }
+  }
+  // 前移后可能落入另一条规则的匹配中，直到没有匹配跨越 cut 为止
+  let moved = true;
+  while (moved) {
+    moved = false;
+    for (const [start, end] of spans) {
+      if (start < cut && end > cut) {
+        cut = start;
+        moved = true;
+      }
+    }
+  }
+  return cut;
+}
+
+function createTimingStats() {
+  return { count: 0, totalMs: 0, maxMs: 0, lastMs: 0 };
+}
+
+function elapsedMs(start) {
+  return Number(process.hrtime.bigint() - start) / 1e6;
+}
 
 /**
  * 关键词过滤器类
@@ -10,11 +296,21 @@ class KeywordFilter {
   constructor() {
     this.enabled = false;
     this.rules = [];
+    this.responseRules = [];
+    this.responseHoldback = 0;
+    this.literalIndex = buildLiteralIndex([]);
     this.config = null;
+    this.configPath = null;
     this.stats = {
       totalFiltered: 0,
       totalMatches: 0,
-      ruleMatches: {}
+      totalBlocked: 0,
+      ruleMatches: {},
+      // 每次请求/响应的过滤耗时
+      timing: {
+        request: createTimingStats(),
+        response: createTimingStats()
+      }
     };
   }
 
@@ -25,6 +321,7 @@ class KeywordFilter {
   loadConfig(configPath) {
     try {
       const resolvedPath = path.resolve(configPath);
+      this.configPath = resolvedPath;
 
       // 检查文件是否存在
       if (!fs.existsSync(resolvedPath)) {
@@ -47,17 +344,29 @@ class KeywordFilter {
 
       // 加载规则
       if (Array.isArray(this.config.rules)) {
-        this.rules = this.config.rules.filter(rule => rule.enabled !== false);
+        const activeRules = this.config.rules.filter(rule => rule.enabled !== false);
+        this.rules = activeRules.filter(rule => appliesTo(rule, 'request'));
+        this.responseRules = activeRules.filter(rule => appliesTo(rule, 'response'));
 
-        // 初始化统计
+        // 预编译规则并为 contains 规则建立索引，匹配时不再逐条构造正则和转换大小写
+        activeRules.forEach(getCompiledRule);
+        this.literalIndex = buildLiteralIndex(activeRules);
+
+        // 初始化统计（热加载时保留已有规则的计数）
+        const previousMatches = this.stats.ruleMatches;
         this.stats.ruleMatches = {};
-        this.rules.forEach(rule => {
-          this.stats.ruleMatches[rule.id] = 0;
+        activeRules.forEach(rule => {
+          this.stats.ruleMatches[rule.id] = previousMatches[rule.id] || 0;
         });
+      } else {
+        this.rules = [];
+        this.responseRules = [];
+        this.literalIndex = buildLiteralIndex([]);
       }
+      this.responseHoldback = this.computeResponseHoldback();
 
       if (this.enabled) {
-        logInfo(`Keyword filter loaded: ${this.rules.length} active rules`);
+        logInfo(`Keyword filter loaded: ${this.rules.length} active request rules, ${this.responseRules.length} active response rules`);
         if (this.config.logging?.enabled) {
           logDebug('Keyword filter logging enabled');
         }
@@ -69,9 +378,296 @@ class KeywordFilter {
       logError('Failed to load keyword filter config', error);
       this.enabled = false;
       this.rules = [];
+      this.responseRules = [];
+      this.literalIndex = buildLiteralIndex([]);
     }
   }
 
+  getConfigPath() {
+    return this.configPath;
+  }
+
+  /**
+   * 获取完整配置（包含已禁用的规则），供 Dashboard 编辑
+   */
+  getConfigSnapshot() {
+    return {
+      enabled: this.config?.enabled === true,
+      logging: this.config?.logging || { enabled: false },
+      rules: Array.isArray(this.config?.rules) ? this.config.rules : []
+    };
+  }
+
+  /**
+   * 校验规则列表
+   * @param {Array} rules - 规则数组
+   * @returns {Array<string>} 错误列表，为空表示通过
+   */
+  validateRules(rules) {
+    if (!Array.isArray(rules)) {
+      return ['rules must be an array'];
+    }
+    const errors = [];
+    const ids = new Set();
+    rules.forEach((rule, index) => {
+      const where = `rules[${index}]${rule?.id ? ` (${rule.id})` : ''}`;
+      if (!rule || typeof rule !== 'object') {
+        errors.push(`${where} must be an object`);
+        return;
+      }
+      if (typeof rule.id !== 'string' || !rule.id) {
+        errors.push(`${where}.id is required`);
+      } else if (ids.has(rule.id)) {
+        errors.push(`${where}: duplicate rule id`);
+      } else {
+        ids.add(rule.id);
+      }
+      if (!FILTER_PATTERN_TYPES.includes(rule.pattern?.type)) {
+        errors.push(`${where}.pattern.type must be one of ${FILTER_PATTERN_TYPES.join(', ')}`);
+      }
+      if (typeof rule.pattern?.value !== 'string' || !rule.pattern.value) {
+        errors.push(`${where}.pattern.value is required`);
+      } else if (rule.pattern.type === 'regex') {
+        try {
+          new RegExp(rule.pattern.value);
+        } catch (error) {
+          errors.push(`${where}.pattern.value is not a valid regex: ${error.message}`);
+        }
+      }
+      if (!FILTER_ACTION_TYPES.includes(rule.action?.type)) {
+        errors.push(`${where}.action.type must be one of ${FILTER_ACTION_TYPES.join(', ')}`);
+      }
+      if (rule.direction !== undefined && !FILTER_DIRECTIONS.includes(rule.direction)) {
+        errors.push(`${where}.direction must be one of ${FILTER_DIRECTIONS.join(', ')}`);
+      }
+      if (rule.action && typeof rule.action === 'object') {
+        this.validateAction(rule, where, errors);
+      }
+      if (rule.continue !== undefined && typeof rule.continue !== 'boolean') {
+        errors.push(`${where}.continue must be true or false`);
+      }
+      if (rule.conditions !== undefined) {
+        this.validateConditions(rule.conditions, where, errors);
+      }
+    });
+    return errors;
+  }
+
+  validateAction(rule, where, errors) {
+    const action = rule.action;
+    if (REQUEST_ONLY_ACTIONS.includes(action.type) && (rule.direction || 'request') !== 'request') {
+      errors.push(`${where}: action ${action.type} can only be used with direction request`);
+    }
+    if (action.type === 'block') {
+      if (action.status !== undefined && (!Number.isInteger(action.status) || action.status < 400 || action.status > 599)) {
+        errors.push(`${where}.action.status must be an HTTP error status between 400 and 599`);
+      }
+      if (action.message !== undefined && typeof action.message !== 'string') {
+        errors.push(`${where}.action.message must be a string`);
+      }
+    }
+    if (action.type === 'inject_before' || action.type === 'inject_after') {
+      if (typeof action.text !== 'string' || !action.text) {
+        errors.push(`${where}.action.text is required for ${action.type}`);
+      }
+      if (action.target !== undefined && !FILTER_INJECT_TARGETS.includes(action.target)) {
+        errors.push(`${where}.action.target must be one of ${FILTER_INJECT_TARGETS.join(', ')}`);
+      }
+    }
+    // 替换内容中引用的捕获组必须存在
+    if (action.type === 'replace' && rule.pattern?.type === 'regex' && typeof action.replacement === 'string') {
+      try {
+        const groupCount = new RegExp(`${rule.pattern.value}|`).exec('').length - 1;
+        for (const [, index] of action.replacement.matchAll(/\$(\d+)/g)) {
+          if (Number(index) > groupCount) {
+            errors.push(`${where}.action.replacement references $${index} but the pattern has ${groupCount} capture groups`);
+            break;
+          }
+        }
+      } catch (error) {
+        // 正则本身无效时已在上面报告
+      }
+    }
+  }
+
+  validateConditions(conditions, where, errors) {
+    if (!conditions || typeof conditions !== 'object' || Array.isArray(conditions)) {
+      errors.push(`${where}.conditions must be an object`);
+      return;
+    }
+    const allowed = { routes: FILTER_ROUTES, roles: FILTER_ROLES, models: null, clients: null };
+    for (const [key, value] of Object.entries(conditions)) {
+      if (!(key in allowed)) {
+        errors.push(`${where}.conditions.${key} is not supported (use ${Object.keys(allowed).join(', ')})`);
+      } else if (!Array.isArray(value) || value.some(item => typeof item !== 'string' || !item)) {
+        errors.push(`${where}.conditions.${key} must be an array of non-empty strings`);
+      } else if (allowed[key]) {
+        const unknown = value.filter(item => !allowed[key].includes(item));
+        if (unknown.length > 0) {
+          errors.push(`${where}.conditions.${key} contains ${unknown.join(', ')} (use ${allowed[key].join(', ')})`);
+        }
+      }
+    }
+  }
+
+  /**
+   * 校验并写入配置文件，然后热加载
+   * @param {Object} update - { enabled, logging, rules }，未提供的字段保持不变
+   * @returns {Object} 新的完整配置
+   */
+  saveConfig(update) {
+    if (!this.configPath) {
+      throw new Error('Keyword filter config path is unknown');
+    }
+    const next = { ...this.getConfigSnapshot(), ...this.config };
+    for (const key of ['enabled', 'logging', 'rules']) {
+      if (update[key] !== undefined) {
+        next[key] = update[key];
+      }
+    }
+    next.enabled = next.enabled === true;
+
+    const errors = this.validateRules(next.rules);
+    if (errors.length > 0) {
+      const error = new Error(`${errors.length} validation errors`);
+      error.status = 400;
+      error.errors = errors;
+      throw error;
+    }
+
+    // 先写临时文件再重命名，避免读到写了一半的文件
+    const tempPath = `${this.configPath}.tmp`;
+    fs.writeFileSync(tempPath, `${JSON.stringify(next, null, 2)}\n`, 'utf-8');
+    fs.renameSync(tempPath, this.configPath);
+    logInfo(`Keyword filter config saved (${next.rules.length} rules), reloading`);
+    this.loadConfig(this.configPath);
+    return this.getConfigSnapshot();
+  }
+
+  /**
+   * 用给定规则测试一段文本，不计入统计
+   * @param {string} text - 要测试的文本
+   * @param {Array} rules - 要测试的规则，默认使用当前生效的规则
+   * @returns {Object} { action, text, ruleId, ruleName, matched: [{ id, name }], injections, error }
+   */
+  testText(text, rules = this.rules) {
+    const result = this.applyRulesToText(text, null, { rules, dryRun: true });
+    const matched = (result.ruleIds || []).map(id => ({ id, name: rules.find(item => item.id === id)?.name || null }));
+    return {
+      action: result.action,
+      text: result.action === 'remove' || result.action === 'block' ? null : result.text,
+      ruleId: result.ruleId || null,
+      ruleName: matched[0]?.name || null,
+      matched,
+      injections: result.injections || [],
+      error: result.error || null
+    };
+  }
+
+  /**
+   * 流式响应需要保留在缓冲区中的字符数，保证跨 chunk 的匹配不会被提前发出
+   * 字面量规则只需保留 (关键词长度 - 1) 个字符，正则规则使用 responseBufferSize
+   */
+  computeResponseHoldback(rules = this.responseRules) {
+    const bufferSize = Number(this.config?.responseBufferSize) || DEFAULT_RESPONSE_BUFFER_SIZE;
+    let holdback = 0;
+    for (const rule of rules) {
+      const size = rule.pattern.type === 'regex' ? bufferSize : rule.pattern.value.length - 1;
+      holdback = Math.max(holdback, size);
+    }
+    return holdback;
+  }
+
+  /**
+   * 获取适用于当前请求的 response 规则
+   * @param {Object} context - 见 matchesContext
+   * @returns {Array} 过滤器未启用时为空数组
+   */
+  getResponseRules(context = {}) {
+    if (!this.enabled) {
+      return [];
+    }
+    return this.responseRules.filter(rule => matchesContext(rule, context) && matchesRole(rule, 'assistant', 'response'));
+  }
+
+  /**
+   * 对完整的响应文本应用 response 方向的规则（非流式响应）
+   * @param {string} text - 模型输出的文本
+   * @param {Array} rules - getResponseRules 返回的规则
+   * @returns {Object} { removed, text }
+   */
+  filterResponseText(text, rules = this.responseRules) {
+    const result = this.applyRulesToText(text, null, { rules });
+    if (result.action === 'remove') {
+      this.stats.totalFiltered++;
+      return { removed: true, text: '' };
+    }
+    if (result.action === 'replace' && result.text !== text) {
+      this.stats.totalFiltered++;
+    }
+    return { removed: false, text: result.text };
+  }
+
+  /**
+   * 为一个流式文本块（例如一个 content block）创建滑动缓冲过滤器
+   * push(text) 返回可以安全发出的文本，其余字符留在缓冲区中等待后续 chunk；
+   * 块结束时调用 flush() 取出剩余文本。remove_content 规则命中后丢弃该块后续的全部文本
+   */
+  createResponseTextFilter(rules = this.responseRules) {
+    const holdback = rules === this.responseRules ? this.responseHoldback : this.computeResponseHoldback(rules);
+    // buffer 中只保存尚未经过规则处理的原始文本，处理过的部分改写后立即发出，不会再次应用规则
+    let buffer = '';
+    let started = false;
+    let removed = false;
+
+    const rewrite = (text, atEnd) => {
+      // prefix 规则只在块开头检查，suffix 规则只在块结束时检查
+      const result = this.applyRulesToText(text, null, { rules, atStart: !started, atEnd });
+      started = true;
+      if (result.action === 'remove') {
+        removed = true;
+        buffer = '';
+        this.stats.totalFiltered++;
+        return '';
+      }
+      if (result.action === 'replace' && result.text !== text) {
+        this.stats.totalFiltered++;
+      }
+      return result.text;
+    };
+
+    return {
+      push: (text) => {
+        if (removed || !text) {
+          return '';
+        }
+        buffer += text;
+        if (buffer.length <= holdback) {
+          return '';
+        }
+        let cut = findSafeCut(buffer, buffer.length - holdback, rules, !started);
+        // 不要把 UTF-16 代理对拆开
+        if (cut > 0 && /[\uD800-\uDBFF]/.test(buffer[cut - 1])) {
+          cut--;
+        }
+        if (cut <= 0) {
+          return '';
+        }
+        const head = buffer.slice(0, cut);
+        buffer = buffer.slice(cut);
+        return rewrite(head, false);
+      },
+      flush: () => {
+        if (removed || !buffer) {
+          return '';
+        }
+        const text = buffer;
+        buffer = '';
+        return rewrite(text, true);
+      }
+    };
+  }
+
   /**
    * 检查过滤器是否启用
    */
@@ -86,16 +682,43 @@ class KeywordFilter {
     return this.rules.length;
   }
 
+  /**
+   * 记录一次过滤耗时
+   * @param {'request'|'response'} direction
+   * @param {number} durationMs
+   */
+  recordTiming(direction, durationMs) {
+    const timing = this.stats.timing[direction];
+    timing.count++;
+    timing.totalMs += durationMs;
+    timing.maxMs = Math.max(timing.maxMs, durationMs);
+    timing.lastMs = durationMs;
+  }
+
   /**
    * 获取统计信息
    */
   getStats() {
+    const round = value => Math.round(value * 1000) / 1000;
+    const timing = {};
+    for (const [direction, item] of Object.entries(this.stats.timing)) {
+      timing[direction] = {
+        count: item.count,
+        totalMs: round(item.totalMs),
+        avgMs: item.count > 0 ? round(item.totalMs / item.count) : 0,
+        maxMs: round(item.maxMs),
+        lastMs: round(item.lastMs)
+      };
+    }
     return {
       enabled: this.enabled,
       ruleCount: this.rules.length,
+      responseRuleCount: this.responseRules.length,
       totalFiltered: this.stats.totalFiltered,
       totalMatches: this.stats.totalMatches,
-      ruleMatches: this.stats.ruleMatches
+      totalBlocked: this.stats.totalBlocked,
+      ruleMatches: this.stats.ruleMatches,
+      timing
     };
   }
 
@@ -103,16 +726,33 @@ class KeywordFilter {
    * 过滤请求
    * @param {Object} request - 请求对象
    * @param {string} requestType - 请求类型 ('openai', 'anthropic', 'responses')
+   * @param {Object} context - { model, redirectedModel, clientId, clientLabel }，用于匹配规则的 conditions
+   * @throws {Error} 命中 block 规则时抛出，error.blocked 为 true
    */
-  filterRequest(request, requestType) {
+  filterRequest(request, requestType, context = {}) {
     if (!this.enabled || !request) {
       logDebug(`Filter not applied - enabled: ${this.enabled}, request exists: ${!!request}`);
       return request;
     }
 
+    const startedAt = process.hrtime.bigint();
+    // 按角色筛选出适用于本次请求的规则
+    const scopedRules = this.rules.filter(rule => matchesContext(rule, { ...context, route: requestType }));
+    const rulesByRole = {};
+    for (const role of FILTER_ROLES) {
+      rulesByRole[role] = scopedRules.filter(rule => matchesRole(rule, role, 'request'));
+    }
+
     try {
       logDebug(`Starting filter for request type: ${requestType}`);
 
+      // 先处理 system 字段（主要用于 Anthropic 格式），这样注入的系统提示词不会被再次过滤
+      let systemInjections = [];
+      if (request.system && Array.isArray(request.system)) {
+        logDebug(`Processing system field with ${request.system.length} items`);
+        systemInjections = this.filterSystemField(request.system, scopedRules.filter(matchesSystemField));
+      }
+
       // 根据请求类型提取 messages
       let messages;
       if (requestType === 'openai' || requestType === 'anthropic') {
@@ -123,45 +763,120 @@ class KeywordFilter {
 
       if (!messages || !Array.isArray(messages)) {
         logDebug(`No messages found or not array - messages: ${messages}`);
-        return request;
-      }
-
-      logDebug(`Processing ${messages.length} messages with ${this.rules.length} active rules`);
+      } else {
+        logDebug(`Processing ${messages.length} messages with ${scopedRules.length} applicable rules`);
 
-      // 过滤消息
-      this.filterMessages(messages);
+        // 过滤消息
+        const messageInjections = this.filterMessages(messages, rulesByRole);
+        this.insertSystemMessages(request, requestType, messages, messageInjections);
+      }
+      this.insertSystemMessages(request, 'anthropic', null, [{ index: 0, injections: systemInjections }]);
 
       logDebug('Filter processing completed');
 
     } catch (error) {
+      if (error.blocked) {
+        throw error;
+      }
       logError('Error filtering request', error);
+    } finally {
+      const duration = elapsedMs(startedAt);
+      this.recordTiming('request', duration);
+      logDebug(`Keyword filter took ${duration.toFixed(2)}ms (${requestType}, ${scopedRules.length} rules)`);
     }
 
-    // 处理 system 字段（主要用于 Anthropic 格式）
-    if (request.system && Array.isArray(request.system)) {
-      logDebug(`Processing system field with ${request.system.length} items`);
-      this.filterSystemField(request.system);
+    return request;
+  }
+
+  /**
+   * 插入 inject_before/inject_after（target: system）规则产生的系统消息。
+   * Anthropic 格式的 messages 中不能包含系统消息，统一插入到 system 字段的开头或结尾
+   * @param {Array} injectionsByMessage - [{ index, injections: [{ position, text }] }]
+   */
+  insertSystemMessages(request, requestType, messages, injectionsByMessage) {
+    const pending = injectionsByMessage.filter(entry => entry.injections.length > 0);
+    if (pending.length === 0) {
+      return;
     }
 
-    return request;
+    if (requestType === 'anthropic') {
+      if (typeof request.system === 'string') {
+        request.system = [{ type: 'text', text: request.system }];
+      } else if (!Array.isArray(request.system)) {
+        request.system = [];
+      }
+      const all = pending.flatMap(entry => entry.injections);
+      const before = all.filter(item => item.position === 'before').map(item => ({ type: 'text', text: item.text }));
+      const after = all.filter(item => item.position === 'after').map(item => ({ type: 'text', text: item.text }));
+      request.system.unshift(...before);
+      request.system.push(...after);
+      logDebug(`Injected ${all.length} system prompt blocks`);
+      return;
+    }
+
+    // 从后往前插入，避免影响前面消息的下标
+    for (const { index, injections } of [...pending].sort((a, b) => b.index - a.index)) {
+      const toMessage = item => ({ role: 'system', content: item.text });
+      messages.splice(index + 1, 0, ...injections.filter(item => item.position === 'after').map(toMessage));
+      messages.splice(index, 0, ...injections.filter(item => item.position === 'before').map(toMessage));
+      logDebug(`Injected ${injections.length} system messages around message ${index + 1}`);
+    }
+  }
+
+  /**
+   * 请求方向的规则应用：命中 block 规则时抛出错误，需要插入的系统消息收集到 injections 中
+   */
+  applyRequestRules(text, contentItem, rules, injections) {
+    const result = this.applyRulesToText(text, contentItem, { rules });
+    if (result.action === 'block') {
+      this.stats.totalBlocked++;
+      logInfo(`Request blocked by keyword filter rule: ${result.ruleId}`);
+      throw createBlockedError(result);
+    }
+    if (result.injections && result.injections.length > 0) {
+      injections.push(...result.injections);
+    }
+    return result;
   }
 
   /**
    * 过滤消息数组
    * @param {Array} messages - 消息数组
+   * @param {Object} rulesByRole - 角色 -> 适用的规则
+   * @returns {Array} 需要插入的系统消息 [{ index, injections }]
    */
-  filterMessages(messages) {
+  filterMessages(messages, rulesByRole) {
+    const injectionsByMessage = [];
     if (!Array.isArray(messages)) {
-      return;
+      return injectionsByMessage;
     }
 
     for (let i = 0; i < messages.length; i++) {
       const message = messages[i];
-      logDebug(`Processing message ${i + 1}/${messages.length} - role: ${message.role}`);
+      const role = getMessageRole(message);
+      const rules = rulesByRole[role] || [];
+      const injections = [];
+      injectionsByMessage.push({ index: i, injections });
+      logDebug(`Processing message ${i + 1}/${messages.length} - role: ${role}`);
+
+      // Responses 的工具调用结果
+      if (message.type === 'function_call_output') {
+        if (rules.length > 0 && typeof message.output === 'string') {
+          const result = this.applyRequestRules(message.output, null, rules, injections);
+          if (result.action === 'replace') {
+            message.output = result.text;
+            this.stats.totalFiltered++;
+          } else if (result.action === 'remove') {
+            message.output = '';
+            this.stats.totalFiltered++;
+          }
+        }
+        continue;
+      }
 
-      // 只处理用户消息
-      if (message.role !== 'user') {
-        logDebug(`Skipping non-user message (role: ${message.role})`);
+      // 没有适用于该角色的规则时跳过；user 消息中可能包含 tool_result，仍需处理
+      if (rules.length === 0 && !(role === 'user' && rulesByRole.tool.length > 0)) {
+        logDebug(`Skipping message without applicable rules (role: ${role})`);
         continue;
       }
 
@@ -170,7 +885,7 @@ class KeywordFilter {
         // 字符串类型 content
         logDebug(`Message content is string, length: ${message.content.length}`);
         logDebug(`Content preview: ${message.content.substring(0, 100)}...`);
-        const result = this.applyRulesToText(message.content, null);
+        const result = this.applyRequestRules(message.content, null, rules, injections);
         if (result.action === 'replace') {
           logDebug(`Content replaced by rule: ${result.ruleId}`);
           message.content = result.text;
@@ -181,34 +896,45 @@ class KeywordFilter {
       } else if (Array.isArray(message.content)) {
         // 数组类型 content
         logDebug(`Message content is array, length: ${message.content.length}`);
-        message.content = this.filterContentArray(message.content);
+        message.content = this.filterContentArray(message.content, rules, rulesByRole.tool, injections);
       } else {
         logDebug(`Message content type: ${typeof message.content}`);
       }
     }
+
+    return injectionsByMessage;
   }
 
   /**
    * 过滤 content 数组
    * @param {Array} contentArray - content 数组
+   * @param {Array} rules - 适用于文本块的规则
+   * @param {Array} toolRules - 适用于 Anthropic tool_result 块的规则
+   * @param {Array} injections - 收集需要插入的系统消息
    * @returns {Array} 过滤后的 content 数组
    */
-  filterContentArray(contentArray) {
+  filterContentArray(contentArray, rules = this.rules, toolRules = [], injections = []) {
     const filtered = [];
 
     for (const item of contentArray) {
+      // Anthropic 的工具调用结果，按 tool 角色处理
+      if (item.type === 'tool_result') {
+        filtered.push(toolRules.length > 0 ? this.filterToolResult(item, toolRules, injections) : item);
+        continue;
+      }
+
       // 只处理文本类型
       const isTextType = item.type === 'text' ||
                         item.type === 'input_text' ||
                         item.type === 'output_text';
 
-      if (!isTextType || !item.text) {
+      if (!isTextType || !item.text || rules.length === 0) {
         filtered.push(item);
         continue;
       }
 
       // 应用规则
-      const result = this.applyRulesToText(item.text, item);
+      const result = this.applyRequestRules(item.text, item, rules, injections);
 
       if (result.action === 'remove') {
         // 删除整个 content 块
@@ -233,13 +959,35 @@ class KeywordFilter {
     return filtered;
   }
 
+  /**
+   * 过滤 Anthropic tool_result 块，content 可以是字符串或 content 数组
+   * @returns {Object} 过滤后的 tool_result 块
+   */
+  filterToolResult(item, rules, injections) {
+    if (typeof item.content === 'string') {
+      const result = this.applyRequestRules(item.content, item, rules, injections);
+      if (result.action === 'keep') {
+        return item;
+      }
+      this.stats.totalFiltered++;
+      return { ...item, content: result.action === 'remove' ? '' : result.text };
+    }
+    if (Array.isArray(item.content)) {
+      return { ...item, content: this.filterContentArray(item.content, rules, [], injections) };
+    }
+    return item;
+  }
+
   /**
    * 过滤 system 字段
    * @param {Array} systemArray - system 数组
+   * @param {Array} rules - 适用于系统提示词的规则
+   * @returns {Array} 需要插入的系统提示词 [{ position, text }]
    */
-  filterSystemField(systemArray) {
+  filterSystemField(systemArray, rules = this.rules) {
+    const injections = [];
     if (!Array.isArray(systemArray)) {
-      return;
+      return injections;
     }
 
     logDebug(`Processing system field with ${systemArray.length} items`);
@@ -253,7 +1001,7 @@ class KeywordFilter {
         logDebug(`System item text length: ${item.text.length}`);
         logDebug(`System item text preview: ${item.text.substring(0, 100)}...`);
 
-        const result = this.applyRulesToText(item.text, item);
+        const result = this.applyRequestRules(item.text, item, rules, injections);
         if (result.action === 'replace') {
           logDebug(`System text replaced by rule: ${result.ruleId}`);
           systemArray[i].text = result.text;
@@ -272,96 +1020,84 @@ class KeywordFilter {
     }
 
     logDebug(`System field filtering completed. Remaining items: ${systemArray.length}`);
+    return injections;
   }
 
   /**
    * 对文本应用所有规则
    * @param {string} text - 要检查的文本
    * @param {Object} contentItem - content 对象（用于 remove_content 动作）
-   * @returns {Object} 处理结果
+   * @param {Object} options - { rules: 使用指定规则代替当前规则, dryRun: 不计入统计,
+   *   atStart/atEnd: 为 false 时跳过 prefix/suffix 规则（流式响应中文本不完整） }
+   * @returns {Object} 处理结果 { action: keep/replace/remove/block, text, ruleId, ruleIds, injections, error }
    */
-  applyRulesToText(text, contentItem) {
-    logDebug(`Checking text against ${this.rules.length} rules`);
+  applyRulesToText(text, contentItem, options = {}) {
+    const rules = options.rules || this.rules;
 
-    for (const rule of this.rules) {
+    let current = text;
+    let changed = false;
+    const matcher = new TextMatcher(text, this.literalIndex);
+    const matchedRuleIds = [];
+    const injections = [];
+
+    for (const rule of rules) {
       if (!rule.enabled) {
-        logDebug(`Skipping disabled rule: ${rule.id}`);
         continue;
       }
 
-      logDebug(`Testing rule: ${rule.id} (${rule.name})`);
-      logDebug(`  Pattern type: ${rule.pattern.type}, value: ${rule.pattern.value}`);
+      if ((rule.pattern.type === 'prefix' && options.atStart === false)
+        || (rule.pattern.type === 'suffix' && options.atEnd === false)) {
+        continue;
+      }
 
-      // 检查是否匹配
-      const matched = this.matchPattern(text, rule.pattern);
+      // 检查是否匹配；这里是热路径，只在命中时记录日志，每次调用最后输出一行汇总
+      const matched = matcher.matches(rule);
 
       if (matched) {
         // 记录匹配
-        this.stats.totalMatches++;
-        this.stats.ruleMatches[rule.id] = (this.stats.ruleMatches[rule.id] || 0) + 1;
+        if (!options.dryRun) {
+          this.stats.totalMatches++;
+          this.stats.ruleMatches[rule.id] = (this.stats.ruleMatches[rule.id] || 0) + 1;
+        }
 
-        logDebug(`✓ Rule MATCHED: ${rule.id} (${rule.name})`);
         if (this.shouldLog('logMatches')) {
           logDebug(`Rule matched: ${rule.id} (${rule.name})`);
         }
 
         // 执行动作
-        return this.executeAction(text, rule, contentItem);
-      } else {
-        logDebug(`✗ Rule NOT matched: ${rule.id}`);
-      }
-    }
-
-    // 没有匹配的规则，保持原样
-    logDebug('No rules matched, keeping original text');
-    return { action: 'keep', text };
-  }
-
-  /**
-   * 匹配模式
-   * @param {string} text - 要检查的文本
-   * @param {Object} pattern - 匹配模式
-   * @returns {boolean} 是否匹配
-   */
-  matchPattern(text, pattern) {
-    if (!text || !pattern || !pattern.value) {
-      return false;
-    }
-
-    let checkText = text;
-    let checkValue = pattern.value;
-
-    // 处理大小写
-    if (!pattern.caseSensitive) {
-      checkText = text.toLowerCase();
-      checkValue = pattern.value.toLowerCase();
-    }
-
-    // 根据类型进行匹配
-    switch (pattern.type) {
-      case 'contains':
-        return checkText.includes(checkValue);
-
-      case 'prefix':
-        return checkText.startsWith(checkValue);
-
-      case 'suffix':
-        return checkText.endsWith(checkValue);
+        const result = this.executeAction(current, rule, contentItem);
+        matchedRuleIds.push(rule.id);
+        if (result.injections) {
+          injections.push(...result.injections);
+        }
+        if (result.action === 'remove' || result.action === 'block') {
+          return { ...result, ruleIds: matchedRuleIds, injections };
+        }
+        if (result.action === 'replace') {
+          current = result.text;
+          matcher.setText(current);
+          changed = true;
+        }
 
-      case 'regex':
-        try {
-          const flags = pattern.caseSensitive ? '' : 'i';
-          const regex = new RegExp(pattern.value, flags);
-          return regex.test(text);
-        } catch (error) {
-          logError(`Invalid regex pattern in rule: ${pattern.value}`, error);
-          return false;
+        // 默认第一条命中的规则生效；continue 为 true 时继续对结果应用后续规则
+        if (rule.continue !== true) {
+          break;
         }
+      }
+    }
 
-      default:
-        logWarning(`Unknown pattern type: ${pattern.type}`);
-        return false;
+    logDebug(`Checked text against ${rules.length} rules, matched: ${matchedRuleIds.join(', ') || 'none'}`);
+    if (matchedRuleIds.length === 0) {
+      // 没有匹配的规则，保持原样
+      return { action: 'keep', text };
     }
+    return {
+      action: changed ? 'replace' : 'keep',
+      text: current,
+      ruleId: matchedRuleIds[0],
+      ruleIds: matchedRuleIds,
+      injections
+    };
   }
 
   /**
@@ -373,29 +1109,50 @@ class KeywordFilter {
    */
   executeAction(text, rule, contentItem) {
     const action = rule.action;
+    const compiled = getCompiledRule(rule);
 
     switch (action.type) {
       case 'remove_content':
         // 删除整个 content 块
         return { action: 'remove', ruleId: rule.id };
 
+      case 'block':
+        // 拒绝整个请求，由调用方返回错误
+        return {
+          action: 'block',
+          ruleId: rule.id,
+          error: {
+            status: action.status || 400,
+            code: action.code || 'content_blocked',
+            message: action.message || `Request blocked by keyword filter rule ${rule.id}`
+          }
+        };
+
+      case 'inject_before':
+      case 'inject_after': {
+        // target 为 system 时在命中的消息前/后插入一条系统消息，否则直接拼接到命中的文本前/后
+        const position = action.type === 'inject_before' ? 'before' : 'after';
+        const injected = action.text || '';
+        if (action.target === 'system') {
+          return { action: 'keep', text, ruleId: rule.id, injections: [{ position, text: injected }] };
+        }
+        return { action: 'replace', text: position === 'before' ? injected + text : text + injected, ruleId: rule.id };
+      }
+
       case 'replace':
         // 替换关键词
         const replacement = action.replacement || '';
         let newText = text;
 
         if (rule.pattern.type === 'regex') {
-          const flags = rule.pattern.caseSensitive ? 'g' : 'gi';
-          const regex = new RegExp(rule.pattern.value, flags);
-          newText = text.replace(regex, replacement);
+          // 正则替换支持 $1、$<name>、$& 等捕获组引用
+          newText = text.replace(compiled.globalRegex, replacement);
         } else {
-          // 简单替换（支持大小写不敏感）
-          const searchValue = rule.pattern.value;
-          if (rule.pattern.caseSensitive) {
-            newText = text.split(searchValue).join(replacement);
+          // 简单替换（支持大小写不敏感），替换内容按字面处理，不解析 $ 引用
+          if (compiled.caseSensitive) {
+            newText = text.split(rule.pattern.value).join(replacement);
           } else {
-            const regex = new RegExp(this.escapeRegex(searchValue), 'gi');
-            newText = text.replace(regex, replacement);
+            newText = text.replace(compiled.globalRegex, () => replacement);
           }
         }
 
@@ -407,32 +1164,29 @@ class KeywordFilter {
         const keyword = rule.pattern.value;
 
         if (rule.pattern.type === 'regex') {
-          const flags = rule.pattern.caseSensitive ? 'g' : 'gi';
-          const regex = new RegExp(rule.pattern.value, flags);
-          resultText = text.replace(regex, '');
+          resultText = text.replace(compiled.globalRegex, '');
         } else if (rule.pattern.type === 'prefix') {
-          if (rule.pattern.caseSensitive) {
+          if (compiled.caseSensitive) {
             if (text.startsWith(keyword)) {
               resultText = text.slice(keyword.length);
             }
-          } else if (text.toLowerCase().startsWith(keyword.toLowerCase())) {
+          } else if (text.slice(0, keyword.length).toLowerCase() === compiled.needle) {
             resultText = text.slice(keyword.length);
           }
         } else if (rule.pattern.type === 'suffix') {
-          if (rule.pattern.caseSensitive) {
+          if (compiled.caseSensitive) {
             if (text.endsWith(keyword)) {
               resultText = text.slice(0, -keyword.length);
             }
-          } else if (text.toLowerCase().endsWith(keyword.toLowerCase())) {
+          } else if (text.slice(-keyword.length).toLowerCase() === compiled.needle) {
             resultText = text.slice(0, -keyword.length);
           }
         } else {
           // contains 类型：删除所有出现
-          if (rule.pattern.caseSensitive) {
+          if (compiled.caseSensitive) {
             resultText = text.split(keyword).join('');
           } else {
-            const regex = new RegExp(this.escapeRegex(keyword), 'gi');
-            resultText = text.replace(regex, '');
+            resultText = text.replace(compiled.globalRegex, '');
           }
         }
 
@@ -450,7 +1204,7 @@ class KeywordFilter {
    * @returns {string} 转义后的字符串
    */
   escapeRegex(str) {
-    return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return escapeRegex(str);
   }
 
   /**
@@ -0,0 +1,156 @@
+import crypto from 'crypto';
+import { keywordFilter } from './keyword-filter.js';
+import { getPoolStatus } from './token-pool.js';
+import { getActiveStreamCount } from './rate-limiter.js';
+
+// Prometheus 指标：请求计数、上游延迟/首字延迟直方图、令牌刷新与冷却状态、关键词过滤命中
+
+const LATENCY_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 60, 120, 300];
+
+// 序列化后的 label -> 值
+const requestCounter = new Map();
+const refreshCounter = new Map();
+const upstreamLatency = new Map();
+const timeToFirstToken = new Map();
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([key, value]) => `${key}="${escapeLabelValue(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function increment(counter, labels, amount = 1) {
+  const key = formatLabels(labels);
+  counter.set(key, (counter.get(key) || 0) + amount);
+}
+
+function observe(histogram, labels, value) {
+  const key = JSON.stringify(labels);
+  if (!histogram.has(key)) {
+    histogram.set(key, { labels, buckets: LATENCY_BUCKETS.map(() => 0), sum: 0, count: 0 });
+  }
+  const series = histogram.get(key);
+  LATENCY_BUCKETS.forEach((bound, index) => {
+    if (value <= bound) series.buckets[index]++;
+  });
+  series.sum += value;
+  series.count++;
+}
+
+/**
+ * Count a finished /v1 request.
+ */
+export function recordRequestMetric(route, model, status) {
+  increment(requestCounter, { route, model: model || '', status: String(status) });
+}
+
+/**
+ * @param {string} endpointType - anthropic / openai / common
+ * @param {number|string} status - upstream status, or 'error' when the request failed
+ * @param {number} seconds - time until upstream response headers arrived
+ */
+export function recordUpstreamLatency(endpointType, status, seconds) {
+  observe(upstreamLatency, { endpoint_type: endpointType || 'unknown', status: String(status) }, seconds);
+}
+
+export function recordTimeToFirstToken(route, model, seconds) {
+  observe(timeToFirstToken, { route, model: model || '' }, seconds);
+}
+
+export function recordTokenRefresh(success) {
+  increment(refreshCounter, { result: success ? 'success' : 'failure' });
+}
+
+function writeMetric(lines, name, type, help, samples) {
+  lines.push(`# HELP ${name} ${help}`);
+  lines.push(`# TYPE ${name} ${type}`);
+  for (const [labels, value] of samples) {
+    lines.push(`${name}${labels} ${value}`);
+  }
+}
+
+function writeHistogram(lines, name, help, histogram) {
+  lines.push(`# HELP ${name} ${help}`);
+  lines.push(`# TYPE ${name} histogram`);
+  for (const series of histogram.values()) {
+    LATENCY_BUCKETS.forEach((bound, index) => {
+      lines.push(`${name}_bucket${formatLabels({ ...series.labels, le: String(bound) })} ${series.buckets[index]}`);
+    });
+    lines.push(`${name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+    lines.push(`${name}_sum${formatLabels(series.labels)} ${series.sum}`);
+    lines.push(`${name}_count${formatLabels(series.labels)} ${series.count}`);
+  }
+}
+
+/**
+ * Render all metrics in the Prometheus text exposition format.
+ */
+export function renderMetrics() {
+  const lines = [];
+
+  writeMetric(lines, 'droid2api_requests_total', 'counter',
+    'Finished /v1 requests by route, model and HTTP status.', requestCounter);
+  writeHistogram(lines, 'droid2api_upstream_latency_seconds',
+    'Time until the upstream endpoint returned response headers.', upstreamLatency);
+  writeHistogram(lines, 'droid2api_time_to_first_token_seconds',
+    'Time until the first generated token was streamed to the client.', timeToFirstToken);
+  writeMetric(lines, 'droid2api_inflight_streams', 'gauge',
+    'Streaming requests currently in progress.', [['', getActiveStreamCount()]]);
+  writeMetric(lines, 'droid2api_token_refresh_total', 'counter',
+    'Access token refreshes by result.', refreshCounter);
+
+  const filterStats = keywordFilter.getStats();
+  writeMetric(lines, 'droid2api_keyword_filter_enabled', 'gauge',
+    'Whether the keyword filter is enabled.', [['', filterStats.enabled ? 1 : 0]]);
+  writeMetric(lines, 'droid2api_keyword_filter_filtered_total', 'counter',
+    'Text fields changed by the keyword filter.', [['', filterStats.totalFiltered]]);
+  writeMetric(lines, 'droid2api_keyword_filter_matches_total', 'counter',
+    'Keyword filter matches by rule.',
+    Object.entries(filterStats.ruleMatches).map(([rule, count]) => [formatLabels({ rule }), count]));
+
+  const now = Date.now();
+  const tokens = getPoolStatus().tokens;
+  const tokenLabels = (token) => formatLabels({ token: token.key, type: token.type, label: token.label });
+  writeMetric(lines, 'droid2api_token_cooldown', 'gauge',
+    'Whether the server token is cooling down after an upstream auth or quota error.',
+    tokens.map((token) => [tokenLabels(token), token.cooldownUntil ? 1 : 0]));
+  writeMetric(lines, 'droid2api_token_cooldown_remaining_seconds', 'gauge',
+    'Seconds until the server token leaves cooldown.',
+    tokens.map((token) => [
+      tokenLabels(token),
+      token.cooldownUntil ? Math.max(Math.ceil((new Date(token.cooldownUntil).getTime() - now) / 1000), 0) : 0
+    ]));
+  writeMetric(lines, 'droid2api_token_requests_total', 'counter',
+    'Requests assigned to the server token by the pool.',
+    tokens.map((token) => [tokenLabels(token), token.requests]));
+  writeMetric(lines, 'droid2api_token_failures_total', 'counter',
+    'Upstream auth or quota failures of the server token.',
+    tokens.map((token) => [tokenLabels(token), token.failures]));
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * 常量时间比较 Authorization 头，避免通过响应时间逐字节猜出 METRICS_TOKEN
+ */
+function isMetricsAuthorized(authorization, metricsToken) {
+  const received = Buffer.from(authorization || '');
+  const expected = Buffer.from(`Bearer ${metricsToken}`);
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+}
+
+/**
+ * GET /metrics. 设置 METRICS_TOKEN 后需要 `Authorization: Bearer <METRICS_TOKEN>`
+ */
+export function handleMetrics(req, res) {
+  const metricsToken = process.env.METRICS_TOKEN;
+  if (metricsToken && !isMetricsAuthorized(req.headers.authorization, metricsToken)) {
+    res.setHeader('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  res.send(renderMetrics());
+}
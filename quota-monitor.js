@@ -0,0 +1,183 @@
+import fetch from 'node-fetch';
+import { logError, logInfo, logWarning } from './logger.js';
+import {
+  activateToken,
+  getActiveFactoryKey,
+  getQuotaSettings,
+  getTokenValue,
+  listTokens,
+  setTokenQuota
+} from './state.js';
+
+// 额度监控：定时查询每个 FACTORY_API_KEY 的剩余额度，额度不足时自动切换/移出号池
+
+const FACTORY_USAGE_ENDPOINT = 'https://app.factory.ai/api/organization/members/chat-usage';
+
+let monitorTimer = null;
+let checkInProgress = null;
+let lastCheckAt = null;
+let lastCheckError = null;
+
+function normalizeDate(value) {
+  if (!value && value !== 0) {
+    return null;
+  }
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    return null;
+  }
+  return date.toISOString();
+}
+
+export async function fetchFactoryUsage(tokenValue) {
+  const response = await fetch(FACTORY_USAGE_ENDPOINT, {
+    headers: {
+      Authorization: `Bearer ${tokenValue}`,
+      'User-Agent':
+        'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/141.0.0.0 Safari/537.36'
+    }
+  });
+
+  if (!response.ok) {
+    const errorBody = await response.text().catch(() => '');
+    const message = errorBody ? `${response.status} ${errorBody}` : `HTTP ${response.status}`;
+    throw new Error(`Factory API 请求失败：${message}`);
+  }
+
+  const payload = await response.json().catch(() => null);
+  if (!payload || !payload.usage || !payload.usage.standard) {
+    throw new Error('Factory API 返回格式不正确');
+  }
+
+  const usage = payload.usage;
+  const standard = usage.standard;
+  const totalAllowance = Number(standard.totalAllowance || 0);
+  const totalUsed = Number(standard.orgTotalTokensUsed || 0);
+  const remaining = totalAllowance - totalUsed;
+  const usedRatio = typeof standard.usedRatio === 'number'
+    ? standard.usedRatio
+    : totalAllowance > 0
+      ? totalUsed / totalAllowance
+      : 0;
+
+  return {
+    startDate: normalizeDate(usage.startDate),
+    endDate: normalizeDate(usage.endDate),
+    totalAllowance,
+    totalUsed,
+    remaining,
+    usedRatio,
+    fetchedAt: new Date().toISOString()
+  };
+}
+
+function isExhausted(usage, settings) {
+  // 返回中没有 totalAllowance（或为 0）时额度未知，不能据此判定为耗尽
+  if (!(usage.totalAllowance > 0)) {
+    return false;
+  }
+  if (usage.remaining <= settings.minRemainingTokens) {
+    return true;
+  }
+  return (1 - usage.usedRatio) < settings.minRemainingRatio;
+}
+
+/**
+ * Query and persist the usage of one factory key.
+ * @returns {Object} usage with an `exhausted` flag
+ */
+export async function refreshFactoryKeyQuota(id) {
+  const token = getTokenValue('factory', id);
+  if (!token) {
+    const error = new Error('Token 不存在');
+    error.status = 404;
+    throw error;
+  }
+  const usage = await fetchFactoryUsage(token.value);
+  const quota = { ...usage, exhausted: isExhausted(usage, getQuotaSettings()) };
+  setTokenQuota('factory', id, quota);
+  return quota;
+}
+
+/**
+ * 当前使用的 key 额度不足时，切换到剩余额度最多的 key；未查询过额度的 key 排在最后
+ */
+function switchFromExhaustedActiveKey() {
+  const active = getActiveFactoryKey();
+  if (!active || !active.quota || !active.quota.exhausted) {
+    return;
+  }
+  const candidates = listTokens('factory')
+    .filter((token) => token.id !== active.id && !(token.quota && token.quota.exhausted))
+    .sort((a, b) => (b.quota ? b.quota.remaining : -Infinity) - (a.quota ? a.quota.remaining : -Infinity));
+
+  if (candidates.length === 0) {
+    logWarning(`Active factory key ${active.label} is below the quota threshold and no other key is available`);
+    return;
+  }
+  activateToken('factory', candidates[0].id);
+  logInfo(`Active factory key ${active.label} is below the quota threshold, switched to ${candidates[0].label}`);
+}
+
+async function runQuotaCheck() {
+  const factoryKeys = listTokens('factory');
+  const errors = [];
+  for (const token of factoryKeys) {
+    try {
+      const quota = await refreshFactoryKeyQuota(token.id);
+      if (quota.exhausted) {
+        logWarning(`Factory key ${token.label} remaining allowance ${quota.remaining} is below the threshold`);
+      }
+    } catch (error) {
+      errors.push(`${token.label}: ${error.message}`);
+      logError(`Failed to query usage for factory key ${token.label}`, error);
+    }
+  }
+  switchFromExhaustedActiveKey();
+  lastCheckAt = new Date().toISOString();
+  lastCheckError = errors.length > 0 ? errors.join('; ') : null;
+}
+
+/**
+ * Check every factory key now. Concurrent callers share the same run.
+ */
+export function checkAllQuotas() {
+  if (!checkInProgress) {
+    checkInProgress = runQuotaCheck().finally(() => {
+      checkInProgress = null;
+    });
+  }
+  return checkInProgress;
+}
+
+export function startQuotaMonitor() {
+  stopQuotaMonitor();
+  const settings = getQuotaSettings();
+  if (!settings.enabled) {
+    logInfo('Quota monitor: DISABLED');
+    return;
+  }
+  logInfo(`Quota monitor: ENABLED (every ${settings.intervalMinutes} minutes)`);
+  checkAllQuotas().catch((error) => logError('Quota check failed', error));
+  monitorTimer = setInterval(() => {
+    checkAllQuotas().catch((error) => logError('Quota check failed', error));
+  }, settings.intervalMinutes * 60 * 1000);
+  monitorTimer.unref();
+}
+
+export function stopQuotaMonitor() {
+  if (monitorTimer) {
+    clearInterval(monitorTimer);
+    monitorTimer = null;
+  }
+}
+
+export function getQuotaMonitorStatus() {
+  return {
+    settings: getQuotaSettings(),
+    running: monitorTimer !== null,
+    checking: checkInProgress !== null,
+    lastCheckAt,
+    lastCheckError
+  };
+}
@@ -0,0 +1,305 @@
+import fs from 'fs';
+import path from 'path';
+import { logError } from './logger.js';
+import { getClientKeyById, getDefaultRateLimits, getStorePath } from './state.js';
+
+// 按调用方身份限制 RPM、并发流数量以及每日/每月 token 用量
+
+const WINDOW_MS = 60 * 1000;
+const PERSIST_INTERVAL_MS = 10 * 1000;
+
+// identity -> 最近一分钟内的请求时间戳
+const requestWindows = new Map();
+// identity -> 正在进行的流式请求数
+const activeStreams = new Map();
+// identity -> 展示名称，用于还没有 token 计数的身份
+const identityLabels = new Map();
+// identity -> { label, day, dayTokens, month, monthTokens }
+let tokenCounters = null;
+let countersDirty = false;
+let persistTimer = null;
+
+function getCountersPath() {
+  return path.join(path.dirname(getStorePath()), 'rate-limit-counters.json');
+}
+
+function loadCounters() {
+  if (tokenCounters) {
+    return tokenCounters;
+  }
+  tokenCounters = {};
+  const countersPath = getCountersPath();
+  if (fs.existsSync(countersPath)) {
+    try {
+      const parsed = JSON.parse(fs.readFileSync(countersPath, 'utf-8'));
+      if (parsed && typeof parsed === 'object') {
+        tokenCounters = parsed;
+      }
+    } catch (error) {
+      logError('Failed to read rate limit counters, starting from zero', error);
+    }
+  }
+  persistTimer = setInterval(() => {
+    evictExpiredEntries();
+    flushRateLimitCounters();
+  }, PERSIST_INTERVAL_MS);
+  persistTimer.unref();
+  return tokenCounters;
+}
+
+export function flushRateLimitCounters() {
+  if (!countersDirty) {
+    return;
+  }
+  try {
+    fs.writeFileSync(getCountersPath(), JSON.stringify(tokenCounters, null, 2), 'utf-8');
+    countersDirty = false;
+  } catch (error) {
+    logError('Failed to persist rate limit counters', error);
+  }
+}
+
+function currentPeriods(now = new Date()) {
+  const day = now.toISOString().slice(0, 10);
+  return { day, month: day.slice(0, 7) };
+}
+
+/**
+ * 删除窗口已过期的条目：上个月的 token 计数、一分钟内没有请求的时间窗口以及没有进行中流的计数，
+ * 避免见过的每个调用方身份都一直留在内存中
+ */
+function evictExpiredEntries() {
+  const counters = loadCounters();
+  const { month } = currentPeriods();
+  for (const [id, counter] of Object.entries(counters)) {
+    if (counter.month !== month) {
+      delete counters[id];
+      countersDirty = true;
+    }
+  }
+  const now = Date.now();
+  for (const id of [...requestWindows.keys()]) {
+    pruneWindow(id, now);
+  }
+  for (const [id, count] of activeStreams) {
+    if (count <= 0) {
+      activeStreams.delete(id);
+    }
+  }
+  for (const id of [...identityLabels.keys()]) {
+    if (!requestWindows.has(id) && !activeStreams.has(id)) {
+      identityLabels.delete(id);
+    }
+  }
+}
+
+/**
+ * @param {Object} identity - getClientIdentity 的结果
+ * @param {boolean} create - 为 false 时不为尚无用量的身份创建计数，只返回零值
+ */
+function getCounter(identity, create = true) {
+  const counters = loadCounters();
+  const { day, month } = currentPeriods();
+  if (!counters[identity.id] && !create) {
+    return { day, dayTokens: 0, month, monthTokens: 0 };
+  }
+  const counter = counters[identity.id] || { day, dayTokens: 0, month, monthTokens: 0 };
+  if (counter.day !== day) {
+    counter.day = day;
+    counter.dayTokens = 0;
+  }
+  if (counter.month !== month) {
+    counter.month = month;
+    counter.monthTokens = 0;
+  }
+  counter.label = identity.label;
+  counters[identity.id] = counter;
+  return counter;
+}
+
+function secondsUntilNextDay(now = new Date()) {
+  const next = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+  return Math.ceil((next - now.getTime()) / 1000);
+}
+
+function secondsUntilNextMonth(now = new Date()) {
+  const next = Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1);
+  return Math.ceil((next - now.getTime()) / 1000);
+}
+
+/**
+ * Resolve the caller identity from res.locals.tokenInfo.
+ * 客户端密钥按密钥区分；透传的 Factory token 按 token 区分；AUTH_TOKEN 调用方共享一个身份
+ */
+export function getClientIdentity(tokenInfo) {
+  if (!tokenInfo) {
+    return null;
+  }
+  const defaults = getDefaultRateLimits();
+  if (tokenInfo.clientKeyId) {
+    const clientKey = getClientKeyById(tokenInfo.clientKeyId);
+    const limits = { ...defaults };
+    for (const [key, value] of Object.entries(clientKey?.rateLimits || {})) {
+      if (value !== null) {
+        limits[key] = value;
+      }
+    }
+    return { id: `client:${tokenInfo.clientKeyId}`, label: tokenInfo.clientLabel, limits };
+  }
+  if (tokenInfo.source === 'client') {
+    return { id: `token:${tokenInfo.tokenHash}`, label: tokenInfo.tokenSnippet, limits: defaults };
+  }
+  return { id: 'auth-token', label: 'AUTH_TOKEN', limits: defaults };
+}
+
+function pruneWindow(identityId, now) {
+  const timestamps = (requestWindows.get(identityId) || []).filter((time) => now - time < WINDOW_MS);
+  if (timestamps.length > 0) {
+    requestWindows.set(identityId, timestamps);
+  } else {
+    requestWindows.delete(identityId);
+  }
+  return timestamps;
+}
+
+/**
+ * Check the caller's limits before sending a request upstream.
+ * @param {Object} tokenInfo - res.locals.tokenInfo
+ * @param {Object} options - { streaming }
+ * @returns {Object} { allowed, headers, limitType, message, retryAfter, release }
+ */
+export function checkRateLimit(tokenInfo, { streaming = false } = {}) {
+  const identity = getClientIdentity(tokenInfo);
+  const result = { allowed: true, headers: {}, release: null };
+  if (!identity) {
+    return result;
+  }
+
+  const { limits } = identity;
+  const now = Date.now();
+  const timestamps = pruneWindow(identity.id, now);
+  const counter = getCounter(identity, false);
+
+  const budgets = [];
+  if (limits.dailyTokens !== null) {
+    budgets.push({ name: 'daily', limit: limits.dailyTokens, used: counter.dayTokens, reset: secondsUntilNextDay() });
+  }
+  if (limits.monthlyTokens !== null) {
+    budgets.push({ name: 'monthly', limit: limits.monthlyTokens, used: counter.monthTokens, reset: secondsUntilNextMonth() });
+  }
+  // 响应头中的 token 额度取剩余最少的一项
+  const tightest = budgets.reduce((best, budget) => (
+    !best || budget.limit - budget.used < best.limit - best.used ? budget : best
+  ), null);
+  if (tightest) {
+    result.headers['x-ratelimit-limit-tokens'] = String(tightest.limit);
+    result.headers['x-ratelimit-remaining-tokens'] = String(Math.max(tightest.limit - tightest.used, 0));
+    result.headers['x-ratelimit-reset-tokens'] = `${tightest.reset}s`;
+  }
+
+  const requestReset = timestamps.length > 0 ? Math.ceil((timestamps[0] + WINDOW_MS - now) / 1000) : 0;
+  if (limits.requestsPerMinute !== null) {
+    result.headers['x-ratelimit-limit-requests'] = String(limits.requestsPerMinute);
+    result.headers['x-ratelimit-remaining-requests'] = String(Math.max(limits.requestsPerMinute - timestamps.length - 1, 0));
+    result.headers['x-ratelimit-reset-requests'] = `${requestReset}s`;
+  }
+
+  const exhausted = budgets.find((budget) => budget.used >= budget.limit);
+  if (exhausted) {
+    return {
+      ...result,
+      allowed: false,
+      limitType: 'tokens',
+      message: `${exhausted.name === 'daily' ? 'Daily' : 'Monthly'} token budget of ${exhausted.limit} exceeded for ${identity.label}.`,
+      retryAfter: exhausted.reset
+    };
+  }
+
+  if (limits.requestsPerMinute !== null && timestamps.length >= limits.requestsPerMinute) {
+    result.headers['x-ratelimit-remaining-requests'] = '0';
+    return {
+      ...result,
+      allowed: false,
+      limitType: 'requests',
+      message: `Rate limit of ${limits.requestsPerMinute} requests per minute reached for ${identity.label}.`,
+      retryAfter: Math.max(requestReset, 1)
+    };
+  }
+
+  const streams = activeStreams.get(identity.id) || 0;
+  if (streaming && limits.concurrentStreams !== null && streams >= limits.concurrentStreams) {
+    return {
+      ...result,
+      allowed: false,
+      limitType: 'requests',
+      message: `Limit of ${limits.concurrentStreams} concurrent streams reached for ${identity.label}.`,
+      retryAfter: 1
+    };
+  }
+
+  timestamps.push(now);
+  requestWindows.set(identity.id, timestamps);
+  identityLabels.set(identity.id, identity.label);
+  if (streaming) {
+    activeStreams.set(identity.id, streams + 1);
+    let released = false;
+    result.release = () => {
+      if (released) return;
+      released = true;
+      const remaining = (activeStreams.get(identity.id) || 1) - 1;
+      if (remaining > 0) {
+        activeStreams.set(identity.id, remaining);
+      } else {
+        activeStreams.delete(identity.id);
+      }
+    };
+  }
+  return result;
+}
+
+/**
+ * Add the tokens of a finished request to the caller's daily and monthly counters.
+ * @param {Object} tokenInfo - res.locals.tokenInfo
+ * @param {Object} usage - res.locals.usage
+ */
+export function recordTokenUsage(tokenInfo, usage) {
+  const identity = getClientIdentity(tokenInfo);
+  if (!identity || !usage) {
+    return;
+  }
+  const tokens = Number(usage.totalTokens || 0);
+  if (tokens <= 0) {
+    return;
+  }
+  const counter = getCounter(identity);
+  counter.dayTokens += tokens;
+  counter.monthTokens += tokens;
+  countersDirty = true;
+}
+
+export function getActiveStreamCount() {
+  let total = 0;
+  for (const count of activeStreams.values()) {
+    total += count;
+  }
+  return total;
+}
+
+export function getRateLimitStatus() {
+  const counters = loadCounters();
+  const now = Date.now();
+  const { day, month } = currentPeriods();
+  const ids = new Set([...Object.keys(counters), ...requestWindows.keys(), ...activeStreams.keys()]);
+  const identities = [...ids].map((id) => {
+    const counter = counters[id];
+    return {
+      id,
+      label: counter?.label || identityLabels.get(id) || id,
+      dayTokens: counter?.day === day ? counter.dayTokens : 0,
+      monthTokens: counter?.month === month ? counter.monthTokens : 0,
+      requestsLastMinute: pruneWindow(id, now).length,
+      activeStreams: activeStreams.get(id) || 0
+    };
+  });
+  return { defaults: getDefaultRateLimits(), identities };
+}
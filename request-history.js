@@ -0,0 +1,260 @@
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { logError } from './logger.js';
+import { getStorePath } from './state.js';
+
+// 持久化请求历史：追加写入 JSONL 文件，支持按条件查询与导出。
+// 文件超过 REQUEST_HISTORY_MAX_MB 时轮转为 <文件名>.1（只保留一份），查询最多读取两个文件
+
+const DEFAULT_MAX_HISTORY_MB = 50;
+
+const CSV_COLUMNS = [
+  'timestamp',
+  'method',
+  'path',
+  'endpointType',
+  'model',
+  'redirectedModel',
+  'stream',
+  'status',
+  'durationMs',
+  'ttftMs',
+  'promptTokens',
+  'completionTokens',
+  'totalTokens',
+  'client',
+  'clientIp',
+  'tokenSource',
+  'tokenSnippet',
+  'upstreamToken',
+  'error'
+];
+
+let historyStream = null;
+// 当前文件的大小（字节），用于判断是否需要轮转
+let historyBytes = 0;
+
+export function getHistoryPath() {
+  const configured = process.env.REQUEST_HISTORY_PATH;
+  if (configured) {
+    return path.isAbsolute(configured) ? configured : path.join(process.cwd(), configured);
+  }
+  return path.join(path.dirname(getStorePath()), 'request-history.jsonl');
+}
+
+function getRotatedPath() {
+  return `${getHistoryPath()}.1`;
+}
+
+function getMaxHistoryBytes() {
+  const configured = Number(process.env.REQUEST_HISTORY_MAX_MB);
+  return (configured > 0 ? configured : DEFAULT_MAX_HISTORY_MB) * 1024 * 1024;
+}
+
+function getHistoryStream() {
+  if (!historyStream) {
+    const historyPath = getHistoryPath();
+    fs.mkdirSync(path.dirname(historyPath), { recursive: true });
+    historyBytes = fs.existsSync(historyPath) ? fs.statSync(historyPath).size : 0;
+    // 同步打开文件，保证轮转时文件已经存在
+    historyStream = fs.createWriteStream(null, { fd: fs.openSync(historyPath, 'a') });
+    historyStream.on('error', (error) => {
+      logError('Failed to write request history', error);
+      historyStream = null;
+    });
+  }
+  return historyStream;
+}
+
+/**
+ * Append one finished request to the history file.
+ */
+export function appendRequestHistory(entry) {
+  try {
+    const line = `${JSON.stringify(entry)}\n`;
+    getHistoryStream().write(line);
+    historyBytes += Buffer.byteLength(line);
+    if (historyBytes >= getMaxHistoryBytes()) {
+      rotateHistory();
+    }
+  } catch (error) {
+    logError('Failed to write request history', error);
+  }
+}
+
+/**
+ * 把当前文件改名为 .1（覆盖上一份），下一条记录写入新文件。
+ * 已排队的写入仍会落到改名后的文件中
+ */
+function rotateHistory() {
+  const stream = historyStream;
+  historyStream = null;
+  historyBytes = 0;
+  try {
+    fs.renameSync(getHistoryPath(), getRotatedPath());
+  } catch (error) {
+    logError('Failed to rotate request history', error);
+  }
+  stream.end();
+}
+
+/**
+ * 关闭历史文件并等待已排队的写入落盘，进程退出前调用
+ */
+export function closeRequestHistory() {
+  const stream = historyStream;
+  historyStream = null;
+  if (!stream) {
+    return Promise.resolve();
+  }
+  return new Promise((resolve) => {
+    stream.once('error', resolve);
+    stream.end(resolve);
+  });
+}
+
+function parseTime(value) {
+  if (!value) {
+    return null;
+  }
+  const time = /^\d+$/.test(String(value)) ? Number(value) : new Date(value).getTime();
+  return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * status 支持精确状态码（429）、状态码段（4xx）或 error（>= 400）
+ */
+function matchesStatus(status, filter) {
+  if (!filter) {
+    return true;
+  }
+  if (filter === 'error') {
+    return status >= 400;
+  }
+  const range = /^([1-5])xx$/i.exec(filter);
+  if (range) {
+    return Math.floor(status / 100) === Number(range[1]);
+  }
+  return String(status) === String(filter);
+}
+
+function buildMatcher(filters = {}) {
+  const from = parseTime(filters.from);
+  const to = parseTime(filters.to);
+  const model = filters.model ? String(filters.model).toLowerCase() : null;
+  const client = filters.client ? String(filters.client).toLowerCase() : null;
+
+  return (entry) => {
+    const time = new Date(entry.timestamp).getTime();
+    if (from !== null && time < from) return false;
+    if (to !== null && time > to) return false;
+    if (!matchesStatus(entry.status, filters.status)) return false;
+    if (model && ![entry.model, entry.redirectedModel].some((value) => value && value.toLowerCase().includes(model))) {
+      return false;
+    }
+    if (client && ![entry.client, entry.clientId].some((value) => value && value.toLowerCase().includes(client))) {
+      return false;
+    }
+    return true;
+  };
+}
+
+async function* readHistory() {
+  // 先读轮转出去的旧文件，保证按时间从旧到新
+  for (const historyPath of [getRotatedPath(), getHistoryPath()]) {
+    if (!fs.existsSync(historyPath)) {
+      continue;
+    }
+    const lines = readline.createInterface({
+      input: fs.createReadStream(historyPath, { encoding: 'utf-8' }),
+      crlfDelay: Infinity
+    });
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        yield JSON.parse(line);
+      } catch (error) {
+        // 跳过写入中断产生的残缺行
+      }
+    }
+  }
+}
+
+/**
+ * Iterate over every matching entry, oldest first.
+ * @param {Object} filters - same as queryRequestHistory, limit/offset are ignored
+ */
+export async function* iterateRequestHistory(filters = {}) {
+  const matcher = buildMatcher(filters);
+  for await (const entry of readHistory()) {
+    if (matcher(entry)) {
+      yield entry;
+    }
+  }
+}
+
+/**
+ * Query the history, newest first.
+ * @param {Object} filters - { from, to, model, status, client, limit, offset }
+ * @returns {Promise<Object>} { total, entries }
+ */
+export async function queryRequestHistory(filters = {}) {
+  const matcher = buildMatcher(filters);
+  const limit = Math.min(Math.max(parseInt(filters.limit, 10) || 100, 1), 1000);
+  const offset = Math.max(parseInt(filters.offset, 10) || 0, 0);
+  const keep = offset + limit;
+
+  // 只保留最新的 offset + limit 条，避免整个文件驻留内存
+  let recent = [];
+  let total = 0;
+  for await (const entry of readHistory()) {
+    if (!matcher(entry)) continue;
+    total++;
+    recent.push(entry);
+    if (recent.length > keep * 2) {
+      recent = recent.slice(-keep);
+    }
+  }
+  const entries = recent.slice(-keep).reverse().slice(offset, offset + limit);
+  return { total, entries };
+}
+
+function toCsvValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsvRow(entry) {
+  const row = {
+    ...entry,
+    promptTokens: entry.usage?.promptTokens,
+    completionTokens: entry.usage?.completionTokens,
+    totalTokens: entry.usage?.totalTokens
+  };
+  return CSV_COLUMNS.map((column) => toCsvValue(row[column])).join(',');
+}
+
+/**
+ * Stream every matching entry (oldest first) as CSV or JSONL.
+ * @param {Object} filters - same as queryRequestHistory, limit/offset are ignored
+ * @param {'csv'|'jsonl'} format
+ * @param {import('stream').Writable} output
+ */
+export async function exportRequestHistory(filters, format, output) {
+  async function* lines() {
+    if (format === 'csv') {
+      yield `${CSV_COLUMNS.join(',')}\n`;
+    }
+    for await (const entry of iterateRequestHistory(filters)) {
+      yield format === 'csv' ? `${toCsvRow(entry)}\n` : `${JSON.stringify(entry)}\n`;
+    }
+  }
+  // pipeline 处理背压：客户端读得慢时暂停读取历史文件，而不是把整个导出缓冲在内存中
+  await pipeline(Readable.from(lines()), output);
+}
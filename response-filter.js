@@ -0,0 +1,365 @@
+import { logDebug } from './logger.js';
+import { keywordFilter } from './keyword-filter.js';
+
+// 响应方向的关键词过滤：改写非流式响应中的文本；流式响应中每个文本块使用滑动缓冲区，
+// 跨 chunk 边界的匹配也能被处理。format 取值：
+//   chat      - chat.completion（/v1/chat/completions）
+//   responses - Responses API（/v1/responses）
+//   anthropic - Messages API（/v1/messages）
+
+function parseEvent(block) {
+  let event = null;
+  const dataLines = [];
+  for (const line of block.split('\n')) {
+    if (line.startsWith('event:')) {
+      event = line.slice(6).trim();
+    } else if (line.startsWith('data:')) {
+      dataLines.push(line.slice(5).replace(/^ /, ''));
+    }
+  }
+  const dataText = dataLines.length > 0 ? dataLines.join('\n') : null;
+  let data = null;
+  if (dataText && dataText !== '[DONE]') {
+    try {
+      data = JSON.parse(dataText);
+    } catch (e) {
+      // 非 JSON 的 data 行原样转发
+    }
+  }
+  return { raw: `${block}\n\n`, event, dataText, data };
+}
+
+function serializeEvent(event, data) {
+  return `${event ? `event: ${event}\n` : ''}data: ${JSON.stringify(data)}\n\n`;
+}
+
+/**
+ * 按 key 管理每个文本块的过滤器，并记录最后一个 delta 事件作为补发剩余文本时的模板
+ */
+class TextBlocks {
+  constructor(rules) {
+    this.rules = rules;
+    this.blocks = new Map();
+  }
+
+  get(key) {
+    if (!this.blocks.has(key)) {
+      this.blocks.set(key, { filter: keywordFilter.createResponseTextFilter(this.rules), template: null, emitted: '' });
+    }
+    return this.blocks.get(key);
+  }
+
+  push(key, text, template) {
+    const block = this.get(key);
+    block.template = template;
+    const output = block.filter.push(text);
+    block.emitted += output;
+    return output;
+  }
+
+  /**
+   * @returns {Object} { text: 块中剩余的文本, template }
+   */
+  flush(key) {
+    const block = this.blocks.get(key);
+    if (!block) {
+      return { text: '', template: null };
+    }
+    const text = block.filter.flush();
+    block.emitted += text;
+    return { text, template: block.template };
+  }
+
+  emittedText(key) {
+    return this.blocks.get(key)?.emitted;
+  }
+
+  keys() {
+    return [...this.blocks.keys()];
+  }
+}
+
+class ChatStreamFilter {
+  constructor(rules) {
+    this.blocks = new TextBlocks(rules);
+  }
+
+  flushChoice(index) {
+    const { text, template } = this.blocks.flush(index);
+    if (!text || !template) {
+      return [];
+    }
+    return [serializeEvent(null, { ...template, choices: [{ index, delta: { content: text }, finish_reason: null }] })];
+  }
+
+  handle(parsed) {
+    if (parsed.dataText === '[DONE]') {
+      return [...this.finish(), parsed.raw];
+    }
+    const data = parsed.data;
+    if (!data || !Array.isArray(data.choices)) {
+      return [parsed.raw];
+    }
+
+    const before = [];
+    let changed = false;
+    let hasOtherContent = Boolean(data.usage);
+    for (const choice of data.choices) {
+      const index = choice.index ?? 0;
+      const delta = choice.delta || {};
+      if (typeof delta.content === 'string' && delta.content) {
+        const template = { id: data.id, object: data.object, created: data.created, model: data.model };
+        delta.content = this.blocks.push(index, delta.content, template);
+        changed = true;
+      }
+      if (choice.finish_reason || delta.tool_calls) {
+        before.push(...this.flushChoice(index));
+      }
+      if (choice.finish_reason || Object.entries(delta).some(([key, value]) => key !== 'content' && value)
+        || delta.content) {
+        hasOtherContent = true;
+      }
+    }
+    if (!changed) {
+      return [...before, parsed.raw];
+    }
+    return hasOtherContent ? [...before, serializeEvent(parsed.event, data)] : before;
+  }
+
+  finish() {
+    return this.blocks.keys().flatMap((index) => this.flushChoice(index));
+  }
+}
+
+class ResponsesStreamFilter {
+  constructor(rules) {
+    this.blocks = new TextBlocks(rules);
+    // 下一个 sequence_number。过滤会扣下或补发 delta 事件，因此所有事件按发出顺序重新编号
+    this.sequence = null;
+  }
+
+  serialize(event, data) {
+    if (this.sequence !== null) {
+      data.sequence_number = this.sequence++;
+    }
+    return serializeEvent(event, data);
+  }
+
+  passThrough(parsed) {
+    return this.sequence !== null && typeof parsed.data?.sequence_number === 'number'
+      ? this.serialize(parsed.event, parsed.data)
+      : parsed.raw;
+  }
+
+  flushBlock(key) {
+    const { text, template } = this.blocks.flush(key);
+    if (!text || !template) {
+      return [];
+    }
+    return [this.serialize('response.output_text.delta', { ...template, delta: text })];
+  }
+
+  /**
+   * 把 done / completed 事件中的完整文本替换为实际发出的文本
+   */
+  rewriteItem(item) {
+    if (!item || !Array.isArray(item.content)) {
+      return;
+    }
+    item.content.forEach((part, index) => {
+      const emitted = this.blocks.emittedText(`${item.id}:${index}`);
+      if (part.type === 'output_text' && emitted !== undefined) {
+        part.text = emitted;
+      }
+    });
+  }
+
+  handle(parsed) {
+    const data = parsed.data;
+    const type = data?.type || parsed.event;
+    if (!data) {
+      return [parsed.raw];
+    }
+    if (this.sequence === null && typeof data.sequence_number === 'number') {
+      this.sequence = data.sequence_number;
+    }
+
+    if (type === 'response.output_text.delta' && typeof data.delta === 'string') {
+      const { delta, sequence_number: _sequenceNumber, ...template } = data;
+      const output = this.blocks.push(`${data.item_id}:${data.content_index}`, delta, template);
+      return output ? [this.serialize(parsed.event, { ...data, delta: output })] : [];
+    }
+    if (type === 'response.output_text.done') {
+      const key = `${data.item_id}:${data.content_index}`;
+      const before = this.flushBlock(key);
+      const emitted = this.blocks.emittedText(key);
+      if (emitted !== undefined) {
+        data.text = emitted;
+      }
+      return [...before, this.serialize(parsed.event, data)];
+    }
+    if (type === 'response.content_part.done' && data.part?.type === 'output_text') {
+      const emitted = this.blocks.emittedText(`${data.item_id}:${data.content_index}`);
+      if (emitted !== undefined) {
+        data.part.text = emitted;
+      }
+      return [this.serialize(parsed.event, data)];
+    }
+    if (type === 'response.output_item.done') {
+      this.rewriteItem(data.item);
+      return [this.serialize(parsed.event, data)];
+    }
+    if (['response.completed', 'response.incomplete', 'response.failed'].includes(type)) {
+      const before = this.finish();
+      (data.response?.output || []).forEach((item) => this.rewriteItem(item));
+      return [...before, this.serialize(parsed.event, data)];
+    }
+    return [this.passThrough(parsed)];
+  }
+
+  finish() {
+    return this.blocks.keys().flatMap((key) => this.flushBlock(key));
+  }
+}
+
+class AnthropicStreamFilter {
+  constructor(rules) {
+    this.blocks = new TextBlocks(rules);
+  }
+
+  flushBlock(index) {
+    const { text, template } = this.blocks.flush(index);
+    if (!text || !template) {
+      return [];
+    }
+    return [serializeEvent('content_block_delta', { ...template, delta: { type: 'text_delta', text } })];
+  }
+
+  handle(parsed) {
+    const data = parsed.data;
+    const type = data?.type || parsed.event;
+    if (!data) {
+      return [parsed.raw];
+    }
+
+    if (type === 'content_block_delta' && data.delta?.type === 'text_delta') {
+      const output = this.blocks.push(data.index, data.delta.text || '', { type: data.type, index: data.index });
+      return output ? [serializeEvent(parsed.event, { ...data, delta: { ...data.delta, text: output } })] : [];
+    }
+    if (type === 'content_block_stop') {
+      return [...this.flushBlock(data.index), parsed.raw];
+    }
+    if (type === 'message_delta' || type === 'message_stop') {
+      return [...this.finish(), parsed.raw];
+    }
+    return [parsed.raw];
+  }
+
+  finish() {
+    return this.blocks.keys().flatMap((index) => this.flushBlock(index));
+  }
+}
+
+function elapsedMs(start) {
+  return Number(process.hrtime.bigint() - start) / 1e6;
+}
+
+const STREAM_FILTERS = {
+  chat: ChatStreamFilter,
+  responses: ResponsesStreamFilter,
+  anthropic: AnthropicStreamFilter
+};
+
+/**
+ * 包装一个 SSE 流（上游响应体或 transformer 输出），对其中的文本 delta 应用 response 规则。
+ * 没有适用于本次请求的 response 规则时原样返回
+ * @param {AsyncIterable<Buffer|string>} stream
+ * @param {'chat'|'responses'|'anthropic'} format
+ * @param {Object} context - 请求信息，用于匹配规则的 conditions（见 getFilterContext）
+ */
+export async function* filterResponseStream(stream, format, context = {}) {
+  const rules = keywordFilter.getResponseRules(context);
+  if (rules.length === 0) {
+    yield* stream;
+    return;
+  }
+  logDebug(`Applying ${rules.length} response keyword rules to ${format} stream`);
+
+  const filter = new STREAM_FILTERS[format](rules);
+  const decoder = new TextDecoder();
+  let pending = '';
+  // 只统计过滤本身的耗时，不包括等待上游的时间
+  let duration = 0;
+  try {
+    for await (const chunk of stream) {
+      const startedAt = process.hrtime.bigint();
+      pending += (typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true })).replace(/\r\n/g, '\n');
+      const events = pending.split('\n\n');
+      pending = events.pop();
+      const output = events
+        .filter((block) => block.trim())
+        .flatMap((block) => filter.handle(parseEvent(block)))
+        .join('');
+      duration += elapsedMs(startedAt);
+      if (output) {
+        yield output;
+      }
+    }
+    const startedAt = process.hrtime.bigint();
+    pending += decoder.decode();
+    const rest = [
+      ...(pending.trim() ? filter.handle(parseEvent(pending)) : []),
+      ...filter.finish()
+    ].join('');
+    duration += elapsedMs(startedAt);
+    if (rest) {
+      yield rest;
+    }
+  } finally {
+    keywordFilter.recordTiming('response', duration);
+    logDebug(`Keyword filter took ${duration.toFixed(2)}ms (${format} stream, ${rules.length} rules)`);
+  }
+}
+
+/**
+ * 对非流式响应体中的文本应用 response 规则（原地修改）
+ * @param {Object} data - chat.completion / Responses / Anthropic Message 响应
+ * @param {'chat'|'responses'|'anthropic'} format
+ * @param {Object} context - 请求信息，用于匹配规则的 conditions
+ */
+export function filterResponseBody(data, format, context = {}) {
+  const rules = keywordFilter.getResponseRules(context);
+  if (rules.length === 0 || !data || typeof data !== 'object') {
+    return data;
+  }
+
+  const startedAt = process.hrtime.bigint();
+  if (format === 'chat' && Array.isArray(data.choices)) {
+    for (const choice of data.choices) {
+      if (typeof choice.message?.content === 'string' && choice.message.content) {
+        choice.message.content = keywordFilter.filterResponseText(choice.message.content, rules).text;
+      }
+    }
+  } else if (format === 'responses' && Array.isArray(data.output)) {
+    for (const item of data.output) {
+      if (!Array.isArray(item.content)) continue;
+      item.content = item.content.filter((part) => {
+        if (part.type !== 'output_text' || !part.text) return true;
+        const result = keywordFilter.filterResponseText(part.text, rules);
+        part.text = result.text;
+        return !result.removed;
+      });
+    }
+  } else if (format === 'anthropic' && Array.isArray(data.content)) {
+    data.content = data.content.filter((block) => {
+      if (block.type !== 'text' || !block.text) return true;
+      const result = keywordFilter.filterResponseText(block.text, rules);
+      block.text = result.text;
+      return !result.removed;
+    });
+  }
+  const duration = elapsedMs(startedAt);
+  keywordFilter.recordTiming('response', duration);
+  logDebug(`Keyword filter took ${duration.toFixed(2)}ms (${format} response, ${rules.length} rules)`);
+  return data;
+}
@@ -1,22 +1,46 @@
 import express from 'express';
-import fetch from 'node-fetch';
-import { getConfig, getModelById, getEndpointByType, getSystemPrompt, getModelReasoning, getRedirectedModelId } from './config.js';
+import fetch, { Response } from 'node-fetch';
+import { getConfig, getModelById, getEndpointByType, getSystemPrompt, getModelReasoning, getReasoningOutput, getRedirectedModelId } from './config.js';
 import { logInfo, logDebug, logError, logRequest, logResponse } from './logger.js';
 import { transformToAnthropic, getAnthropicHeaders } from './transformers/request-anthropic.js';
 import { transformToOpenAI, getOpenAIHeaders } from './transformers/request-openai.js';
 import { transformToCommon, getCommonHeaders } from './transformers/request-common.js';
-import { AnthropicResponseTransformer } from './transformers/response-anthropic.js';
-import { OpenAIResponseTransformer } from './transformers/response-openai.js';
-import { getApiKey } from './auth.js';
+import { transformMessagesToResponses, transformMessagesToCommon } from './transformers/request-messages.js';
+import { transformResponsesToAnthropic, transformResponsesToCommon } from './transformers/request-responses.js';
+import { AnthropicResponseTransformer, anthropicUsageToOpenAI } from './transformers/response-anthropic.js';
+import { OpenAIResponseTransformer, responsesUsageToOpenAI } from './transformers/response-openai.js';
+import { MessagesResponseTransformer, convertResponsesToMessage, convertChatCompletionToMessage } from './transformers/response-messages.js';
+import { ResponsesResponseTransformer, convertMessageToResponse, convertChatCompletionToResponse } from './transformers/response-responses.js';
+import { toFinishReason } from './transformers/utils.js';
+import { getApiKey, getClientKeyError, getPooledApiKey, identifyCaller, refreshAuthInfo, resolveClientKey } from './auth.js';
+import { isFailoverStatus, markPoolTokenFailure, markPoolTokenSuccess } from './token-pool.js';
+import { checkRateLimit } from './rate-limiter.js';
+import { recordUpstreamLatency } from './metrics.js';
 import { keywordFilter } from './keyword-filter.js';
+import { filterResponseBody, filterResponseStream } from './response-filter.js';
 
 const router = express.Router();
 
+/**
+ * Attach reasoning text to a chat.completion message according to the configured output mode.
+ */
+function applyReasoningOutput(message, reasoningText, reasoningOutput) {
+  if (!reasoningText || reasoningOutput === 'none') {
+    return message;
+  }
+  if (reasoningOutput === 'think_tags') {
+    message.content = `<think>${reasoningText}</think>\n\n${message.content || ''}`;
+  } else {
+    message.reasoning_content = reasoningText;
+  }
+  return message;
+}
+
 /**
  * Convert a /v1/responses API result to a /v1/chat/completions-compatible format.
  * Works for non-streaming responses.
  */
-function convertResponseToChatCompletion(resp) {
+function convertResponseToChatCompletion(resp, reasoningOutput = 'reasoning_content') {
   if (!resp || typeof resp !== 'object') {
     throw new Error('Invalid response object');
   }
@@ -24,6 +48,38 @@ function convertResponseToChatCompletion(resp) {
   const outputMsg = (resp.output || []).find(o => o.type === 'message');
   const textBlocks = outputMsg?.content?.filter(c => c.type === 'output_text') || [];
   const content = textBlocks.map(c => c.text).join('');
+  const toolCalls = (resp.output || [])
+    .filter(o => o.type === 'function_call')
+    .map(o => ({
+      id: o.call_id || o.id,
+      type: 'function',
+      function: {
+        name: o.name,
+        arguments: o.arguments || ''
+      }
+    }));
+
+  const message = {
+    role: outputMsg?.role || 'assistant',
+    content: content || (toolCalls.length > 0 ? null : '')
+  };
+  if (toolCalls.length > 0) {
+    message.tool_calls = toolCalls;
+  }
+
+  const reasoningText = (resp.output || [])
+    .filter(o => o.type === 'reasoning')
+    .flatMap(o => (o.summary || []).map(part => part.text || ''))
+    .filter(Boolean)
+    .join('\n\n');
+  applyReasoningOutput(message, reasoningText, reasoningOutput);
+
+  let finishReason = resp.status === 'completed' ? 'stop' : 'unknown';
+  if (toolCalls.length > 0) {
+    finishReason = 'tool_calls';
+  } else if (resp.status === 'incomplete') {
+    finishReason = 'length';
+  }
 
   const chatCompletion = {
     id: resp.id ? resp.id.replace(/^resp_/, 'chatcmpl-') : `chatcmpl-${Date.now()}`,
@@ -33,29 +89,364 @@ function convertResponseToChatCompletion(resp) {
     choices: [
       {
         index: 0,
-        message: {
-          role: outputMsg?.role || 'assistant',
-          content: content || ''
-        },
-        finish_reason: resp.status === 'completed' ? 'stop' : 'unknown'
+        message,
+        finish_reason: finishReason
       }
     ],
-    usage: {
-      prompt_tokens: resp.usage?.input_tokens ?? 0,
-      completion_tokens: resp.usage?.output_tokens ?? 0,
-      total_tokens: resp.usage?.total_tokens ?? 0
-    }
+    usage: responsesUsageToOpenAI(resp.usage)
   };
 
   return chatCompletion;
 }
 
+/**
+ * Convert a /v1/messages (Anthropic) result to a /v1/chat/completions-compatible format.
+ * Works for non-streaming responses.
+ */
+function convertAnthropicToChatCompletion(resp, reasoningOutput = 'reasoning_content') {
+  if (!resp || typeof resp !== 'object' || resp.type !== 'message') {
+    throw new Error('Invalid Anthropic message object');
+  }
+
+  const blocks = Array.isArray(resp.content) ? resp.content : [];
+  const content = blocks
+    .filter(block => block.type === 'text')
+    .map(block => block.text)
+    .join('');
+  const toolCalls = blocks
+    .filter(block => block.type === 'tool_use')
+    .map(block => ({
+      id: block.id,
+      type: 'function',
+      function: {
+        name: block.name,
+        arguments: JSON.stringify(block.input ?? {})
+      }
+    }));
+
+  const message = {
+    role: 'assistant',
+    content: content || (toolCalls.length > 0 ? null : '')
+  };
+  if (toolCalls.length > 0) {
+    message.tool_calls = toolCalls;
+  }
+
+  const reasoningText = blocks
+    .filter(block => block.type === 'thinking')
+    .map(block => block.thinking)
+    .join('');
+  applyReasoningOutput(message, reasoningText, reasoningOutput);
+
+  return {
+    id: resp.id ? resp.id.replace(/^msg_/, 'chatcmpl-') : `chatcmpl-${Date.now()}`,
+    object: 'chat.completion',
+    created: Math.floor(Date.now() / 1000),
+    model: resp.model || 'unknown-model',
+    choices: [
+      {
+        index: 0,
+        message,
+        finish_reason: toFinishReason(resp.stop_reason)
+      }
+    ],
+    usage: anthropicUsageToOpenAI(resp.usage)
+  };
+}
+
+/**
+ * Save chat.completion usage on res.locals so the request log can pick it up.
+ */
+function recordUsage(res, usage) {
+  if (!usage) {
+    return;
+  }
+  res.locals.usage = {
+    promptTokens: usage.prompt_tokens ?? 0,
+    completionTokens: usage.completion_tokens ?? 0,
+    totalTokens: usage.total_tokens ?? 0,
+    cacheReadTokens: usage.prompt_tokens_details?.cached_tokens ?? usage.cache_read_input_tokens ?? 0,
+    cacheCreationTokens: usage.cache_creation_input_tokens ?? 0
+  };
+}
+
+/**
+ * Track usage from the Anthropic Messages / Responses SSE events written to the client.
+ * @returns {Function} call with every chunk written to the client
+ */
+function createStreamUsageRecorder(res) {
+  let lineBuffer = '';
+  let anthropicUsage = {};
+
+  const handleEvent = (event) => {
+    if (event.type === 'message_start' || event.type === 'message_delta') {
+      // message_delta 中的 usage 为累计值，覆盖 message_start 中的同名字段
+      const usage = event.type === 'message_start' ? event.message?.usage : event.usage;
+      if (!usage) return;
+      for (const [key, value] of Object.entries(usage)) {
+        if (typeof value === 'number') anthropicUsage[key] = value;
+      }
+      recordUsage(res, anthropicUsageToOpenAI(anthropicUsage));
+    } else if (event.type === 'response.completed' && event.response?.usage) {
+      recordUsage(res, responsesUsageToOpenAI(event.response.usage));
+    }
+  };
+
+  return (chunk) => {
+    lineBuffer += chunk.toString();
+    const lines = lineBuffer.split('\n');
+    lineBuffer = lines.pop() || '';
+    for (const line of lines) {
+      if (!line.startsWith('data:') || !line.includes('"usage"')) continue;
+      try {
+        handleEvent(JSON.parse(line.slice(5).trim()));
+      } catch (e) {
+        // 忽略无法解析的行
+      }
+    }
+  };
+}
+
+/**
+ * Forward a Chat Completions SSE stream from a common upstream to the client and record its usage.
+ * 上游总是被要求返回 usage，客户端没有设置 stream_options.include_usage 时在转发前去掉 usage
+ * @param {AsyncIterable<Buffer|string>} stream
+ * @param {boolean} includeUsage - whether the client asked for the usage chunk
+ */
+async function forwardCommonStream(res, stream, includeUsage) {
+  const decoder = new TextDecoder();
+  let pending = '';
+
+  const handleEvent = (block) => {
+    const line = block.split('\n').find((item) => item.startsWith('data:'));
+    if (!line || !line.includes('"usage"')) {
+      return `${block}\n\n`;
+    }
+    let data;
+    try {
+      data = JSON.parse(line.slice(5).trim());
+    } catch (e) {
+      // 无法解析的行原样转发
+      return `${block}\n\n`;
+    }
+    recordUsage(res, data.usage);
+    if (includeUsage || !('usage' in data)) {
+      return `${block}\n\n`;
+    }
+    // 只携带 usage 的结束块整体去掉，其余块只删除 usage 字段
+    if (!data.choices?.length) {
+      return '';
+    }
+    delete data.usage;
+    return `data: ${JSON.stringify(data)}\n\n`;
+  };
+
+  for await (const chunk of stream) {
+    pending += (typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true })).replace(/\r\n/g, '\n');
+    const events = pending.split('\n\n');
+    pending = events.pop();
+    const output = events.filter((block) => block.trim()).map(handleEvent).join('');
+    if (output) {
+      res.write(output);
+    }
+  }
+  pending += decoder.decode();
+  if (pending.trim()) {
+    res.write(handleEvent(pending.replace(/\n+$/, '')));
+  }
+}
+
+/**
+ * Send a request upstream. A 401 on a refresh-token credential refreshes the access token and
+ * retries once. In pool mode an auth or quota error (401/402/429) then puts the current
+ * token on cooldown and the request is retried transparently with the next token.
+ * @param {Object} res - Express response; res.locals.tokenInfo is updated when the token changes
+ * @param {string} url - upstream URL
+ * @param {Function} buildHeaders - (authHeader) => upstream headers
+ * @param {Object} body - upstream request body
+ */
+async function fetchUpstream(res, url, buildHeaders, body) {
+  const triedKeys = new Set();
+  const refreshedTokenIds = new Set();
+  let authInfo = res.locals.tokenInfo;
+
+  for (;;) {
+    const headers = buildHeaders(authInfo.header);
+    logRequest('POST', url, headers, body);
+
+    const endpointType = res.locals.requestMeta?.endpointType;
+    const fetchStartedAt = Date.now();
+    let response;
+    try {
+      response = await fetch(url, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(body)
+      });
+    } catch (error) {
+      recordUpstreamLatency(endpointType, 'error', (Date.now() - fetchStartedAt) / 1000);
+      throw error;
+    }
+    recordUpstreamLatency(endpointType, response.status, (Date.now() - fetchStartedAt) / 1000);
+
+    if (response.status === 401 && authInfo.refreshTokenId && !refreshedTokenIds.has(authInfo.refreshTokenId)) {
+      refreshedTokenIds.add(authInfo.refreshTokenId);
+      const refreshed = await refreshAuthInfo(authInfo);
+      if (refreshed) {
+        await response.text().catch(() => '');
+        logInfo('Upstream returned 401, retrying once with a refreshed access token');
+        authInfo = refreshed;
+        res.locals.tokenInfo = authInfo;
+        continue;
+      }
+    }
+
+    const poolTokenKey = authInfo.poolTokenKey;
+    if (!poolTokenKey) {
+      return response;
+    }
+    if (!isFailoverStatus(response.status)) {
+      if (response.ok) {
+        markPoolTokenSuccess(poolTokenKey);
+      }
+      return response;
+    }
+
+    const errorText = await response.text();
+    const retryAfter = parseInt(response.headers.get('retry-after'), 10);
+    markPoolTokenFailure(poolTokenKey, response.status, errorText.slice(0, 200), Number.isNaN(retryAfter) ? null : retryAfter);
+    triedKeys.add(poolTokenKey);
+
+    try {
+      authInfo = await getPooledApiKey(triedKeys);
+    } catch (error) {
+      // 号池中没有其他可用令牌，返回最后一次的上游错误
+      logError('No more pool tokens to retry with', error);
+      return new Response(errorText, { status: response.status, headers: response.headers });
+    }
+
+    logInfo(`Upstream returned ${response.status}, retrying with next pool token (${authInfo.tokenSnippet})`);
+    res.locals.tokenInfo = authInfo;
+  }
+}
+
+/**
+ * Enforce the route scope of proxy client keys. Model scope is checked in each handler
+ * once the model is known (see isModelAllowed).
+ */
+function authorizeClientKey(req, res, next) {
+  if (!req.path.startsWith('/v1/')) {
+    return next();
+  }
+  const authorization = req.headers.authorization
+    || (req.headers['x-api-key'] ? `Bearer ${req.headers['x-api-key']}` : null);
+  const clientKey = resolveClientKey(authorization);
+  if (!clientKey) {
+    return next();
+  }
+
+  const clientKeyError = getClientKeyError(clientKey);
+  if (clientKeyError) {
+    return res.status(401).json({ error: clientKeyError });
+  }
+  if (clientKey.allowedRoutes.length > 0 && !clientKey.allowedRoutes.includes(req.path)) {
+    return res.status(403).json({ error: `Client key is not allowed to access ${req.path}` });
+  }
+
+  res.locals.clientKey = clientKey;
+  next();
+}
+
+/**
+ * 关键词过滤规则 conditions 匹配所需的请求信息：路由、模型（请求的与重定向后的）以及客户端密钥
+ */
+function getFilterContext(res, route, requestedModel, modelId) {
+  const clientKey = res.locals.clientKey;
+  return {
+    route,
+    model: requestedModel,
+    redirectedModel: modelId,
+    clientId: clientKey?.id,
+    clientLabel: clientKey?.label
+  };
+}
+
+/**
+ * 客户端密钥限制了模型时，请求的模型名或重定向后的模型 ID 需在允许列表中
+ */
+function isModelAllowed(res, requestedModel, modelId) {
+  const clientKey = res.locals.clientKey;
+  if (!clientKey || clientKey.allowedModels.length === 0) {
+    return true;
+  }
+  return clientKey.allowedModels.includes(requestedModel) || clientKey.allowedModels.includes(modelId);
+}
+
+/**
+ * Apply the caller's rate limits and token budgets, setting x-ratelimit-* headers.
+ * Sends an OpenAI- or Anthropic-shaped 429 and returns true when the request must be rejected.
+ */
+function rejectIfRateLimited(res, format, streaming) {
+  const result = checkRateLimit(res.locals.tokenInfo, { streaming });
+  for (const [name, value] of Object.entries(result.headers)) {
+    res.setHeader(name, value);
+  }
+  if (result.allowed) {
+    if (result.release) {
+      res.on('close', result.release);
+    }
+    return false;
+  }
+
+  logInfo(`Rate limited: ${result.message}`);
+  res.setHeader('retry-after', String(result.retryAfter));
+  if (format === 'anthropic') {
+    res.status(429).json({
+      type: 'error',
+      error: { type: 'rate_limit_error', message: result.message }
+    });
+  } else {
+    res.status(429).json({
+      error: {
+        message: result.message,
+        type: result.limitType,
+        param: null,
+        code: 'rate_limit_exceeded'
+      }
+    });
+  }
+  return true;
+}
+
+/**
+ * 请求命中 block 类型的关键词过滤规则时，返回 OpenAI 或 Anthropic 格式的错误
+ */
+function sendKeywordBlocked(res, format, error) {
+  res.locals.error = `Blocked by keyword filter rule ${error.ruleId}: ${error.message}`;
+  if (format === 'anthropic') {
+    return res.status(error.status).json({
+      type: 'error',
+      error: { type: 'invalid_request_error', message: error.message }
+    });
+  }
+  return res.status(error.status).json({
+    error: {
+      message: error.message,
+      type: 'invalid_request_error',
+      param: null,
+      code: error.code
+    }
+  });
+}
+
+router.use(authorizeClientKey);
+
 router.get('/v1/models', (req, res) => {
   logInfo('GET /v1/models');
   
   try {
     const config = getConfig();
-    const models = config.models.map(model => ({
+    const models = config.models.filter(model => isModelAllowed(res, model.id, model.id)).map(model => ({
       id: model.id,
       object: 'model',
       created: Date.now(),
@@ -90,9 +481,19 @@ async function handleChatCompletions(req, res) {
       messages: openaiRequest?.messages
     });
 
+    const modelId = getRedirectedModelId(openaiRequest.model);
+    res.locals.filterContext = getFilterContext(res, 'openai', openaiRequest.model, modelId);
+
     if (keywordFilter.isEnabled()) {
       logDebug('Keyword filter is ENABLED, applying filters...');
-      keywordFilter.filterRequest(openaiRequest, 'openai');
+      try {
+        keywordFilter.filterRequest(openaiRequest, 'openai', res.locals.filterContext);
+      } catch (error) {
+        if (error.blocked) {
+          return sendKeywordBlocked(res, 'openai', error);
+        }
+        throw error;
+      }
       logDebug('=== Request After Filter ===', {
         model: openaiRequest?.model,
         messages: openaiRequest?.messages
@@ -100,7 +501,6 @@ async function handleChatCompletions(req, res) {
     } else {
       logDebug('Keyword filter is DISABLED');
     }
-    const modelId = getRedirectedModelId(openaiRequest.model);
 
     if (!modelId) {
       return res.status(400).json({ error: 'model is required' });
@@ -111,6 +511,17 @@ async function handleChatCompletions(req, res) {
       return res.status(404).json({ error: `Model ${modelId} not found` });
     }
 
+    if (!isModelAllowed(res, openaiRequest.model, modelId)) {
+      return res.status(403).json({ error: `Model ${modelId} is not allowed for this client key` });
+    }
+
+    res.locals.requestMeta = {
+      model: openaiRequest.model,
+      redirectedModel: modelId,
+      endpointType: model.type,
+      stream: openaiRequest.stream === true
+    };
+
     const endpoint = getEndpointByType(model.type);
     if (!endpoint) {
       return res.status(500).json({ error: `Endpoint type ${model.type} not found` });
@@ -124,7 +535,13 @@ async function handleChatCompletions(req, res) {
       const clientAuthFromXApiKey = req.headers['x-api-key']
         ? `Bearer ${req.headers['x-api-key']}`
         : null;
-      authInfo = await getApiKey(req.headers.authorization || clientAuthFromXApiKey);
+      const clientAuthorization = req.headers.authorization || clientAuthFromXApiKey;
+      // 先按调用方身份检查限流，被拒绝的请求不会占用号池令牌
+      res.locals.tokenInfo = identifyCaller(clientAuthorization);
+      if (rejectIfRateLimited(res, 'openai', openaiRequest.stream === true)) {
+        return;
+      }
+      authInfo = await getApiKey(clientAuthorization);
       res.locals.tokenInfo = authInfo;
     } catch (error) {
       logError('Failed to get API key', error);
@@ -137,9 +554,8 @@ async function handleChatCompletions(req, res) {
     }
 
     let transformedRequest;
-    let headers;
+    let buildHeaders;
     const clientHeaders = req.headers;
-    const authHeader = authInfo.header;
 
     // Log received client headers for debugging
     logDebug('Client headers received', {
@@ -153,26 +569,31 @@ async function handleChatCompletions(req, res) {
     const requestWithRedirectedModel = { ...openaiRequest, model: modelId };
     const isStreamingRequest = requestWithRedirectedModel.stream === true;
 
+    // 推理内容输出方式：请求体 reasoning_output 或 x-reasoning-output 头可覆盖配置
+    const reasoningOutput = getReasoningOutput(
+      modelId,
+      openaiRequest.reasoning_output || clientHeaders['x-reasoning-output']
+    );
+    delete requestWithRedirectedModel.reasoning_output;
+
     if (model.type === 'anthropic') {
       transformedRequest = transformToAnthropic(requestWithRedirectedModel);
-      headers = getAnthropicHeaders(authHeader, clientHeaders, isStreamingRequest, modelId);
+      buildHeaders = (authHeader) => getAnthropicHeaders(authHeader, clientHeaders, isStreamingRequest, modelId);
     } else if (model.type === 'openai') {
       transformedRequest = transformToOpenAI(requestWithRedirectedModel);
-      headers = getOpenAIHeaders(authHeader, clientHeaders);
+      buildHeaders = (authHeader) => getOpenAIHeaders(authHeader, clientHeaders);
     } else if (model.type === 'common') {
       transformedRequest = transformToCommon(requestWithRedirectedModel);
-      headers = getCommonHeaders(authHeader, clientHeaders);
+      if (isStreamingRequest) {
+        // 总是向上游请求 usage 用于记录，是否转发给客户端由 forwardCommonStream 决定
+        transformedRequest.stream_options = { ...transformedRequest.stream_options, include_usage: true };
+      }
+      buildHeaders = (authHeader) => getCommonHeaders(authHeader, clientHeaders);
     } else {
       return res.status(500).json({ error: `Unknown endpoint type: ${model.type}` });
     }
 
-    logRequest('POST', endpoint.base_url, headers, transformedRequest);
-
-    const response = await fetch(endpoint.base_url, {
-      method: 'POST',
-      headers,
-      body: JSON.stringify(transformedRequest)
-    });
+    const response = await fetchUpstream(res, endpoint.base_url, buildHeaders, transformedRequest);
 
     logInfo(`Response status: ${response.status}`);
 
@@ -195,32 +616,42 @@ async function handleChatCompletions(req, res) {
       // common 类型直接转发，不使用 transformer
       if (model.type === 'common') {
         try {
-          for await (const chunk of response.body) {
-            res.write(chunk);
-          }
+          await forwardCommonStream(
+            res,
+            filterResponseStream(response.body, 'chat', res.locals.filterContext),
+            openaiRequest.stream_options?.include_usage === true
+          );
           res.end();
           logInfo('Stream forwarded (common type)');
         } catch (streamError) {
+          res.locals.error = streamError.message;
           logError('Stream error', streamError);
           res.end();
         }
       } else {
         // anthropic 和 openai 类型使用 transformer
+        const transformerOptions = {
+          reasoningOutput,
+          includeUsage: openaiRequest.stream_options?.include_usage === true
+        };
         let transformer;
         if (model.type === 'anthropic') {
-          transformer = new AnthropicResponseTransformer(modelId, `chatcmpl-${Date.now()}`);
+          transformer = new AnthropicResponseTransformer(modelId, `chatcmpl-${Date.now()}`, transformerOptions);
         } else if (model.type === 'openai') {
-          transformer = new OpenAIResponseTransformer(modelId, `chatcmpl-${Date.now()}`);
+          transformer = new OpenAIResponseTransformer(modelId, `chatcmpl-${Date.now()}`, transformerOptions);
         }
 
         try {
-          for await (const chunk of transformer.transformStream(response.body)) {
+          for await (const chunk of filterResponseStream(transformer.transformStream(response.body), 'chat', res.locals.filterContext)) {
             res.write(chunk);
           }
+          recordUsage(res, transformer.getUsage());
           res.end();
           logInfo('Stream completed');
         } catch (streamError) {
+          res.locals.error = streamError.message;
           logError('Stream error', streamError);
+          recordUsage(res, transformer.getUsage());
           res.end();
         }
       }
@@ -228,7 +659,19 @@ async function handleChatCompletions(req, res) {
       const data = await response.json();
       if (model.type === 'openai') {
         try {
-          const converted = convertResponseToChatCompletion(data);
+          const converted = filterResponseBody(convertResponseToChatCompletion(data, reasoningOutput), 'chat', res.locals.filterContext);
+          recordUsage(res, converted.usage);
+          logResponse(200, null, converted);
+          res.json(converted);
+        } catch (e) {
+          // 如果转换失败，回退为原始数据
+          logResponse(200, null, data);
+          res.json(data);
+        }
+      } else if (model.type === 'anthropic') {
+        try {
+          const converted = filterResponseBody(convertAnthropicToChatCompletion(data, reasoningOutput), 'chat', res.locals.filterContext);
+          recordUsage(res, converted.usage);
           logResponse(200, null, converted);
           res.json(converted);
         } catch (e) {
@@ -237,7 +680,9 @@ async function handleChatCompletions(req, res) {
           res.json(data);
         }
       } else {
-        // anthropic/common: 保持现有逻辑，直接转发
+        // common: 保持现有逻辑，直接转发
+        filterResponseBody(data, 'chat', res.locals.filterContext);
+        recordUsage(res, data?.usage);
         logResponse(200, null, data);
         res.json(data);
       }
@@ -264,9 +709,19 @@ async function handleDirectResponses(req, res) {
       input: openaiRequest?.input
     });
 
+    const modelId = getRedirectedModelId(openaiRequest.model);
+    res.locals.filterContext = getFilterContext(res, 'responses', openaiRequest.model, modelId);
+
     if (keywordFilter.isEnabled()) {
       logDebug('Keyword filter is ENABLED, applying filters...');
-      keywordFilter.filterRequest(openaiRequest, 'responses');
+      try {
+        keywordFilter.filterRequest(openaiRequest, 'responses', res.locals.filterContext);
+      } catch (error) {
+        if (error.blocked) {
+          return sendKeywordBlocked(res, 'openai', error);
+        }
+        throw error;
+      }
       logDebug('=== Request After Filter ===', {
         model: openaiRequest?.model,
         input: openaiRequest?.input
@@ -274,7 +729,6 @@ async function handleDirectResponses(req, res) {
     } else {
       logDebug('Keyword filter is DISABLED');
     }
-    const modelId = getRedirectedModelId(openaiRequest.model);
 
     if (!modelId) {
       return res.status(400).json({ error: 'model is required' });
@@ -285,20 +739,27 @@ async function handleDirectResponses(req, res) {
       return res.status(404).json({ error: `Model ${modelId} not found` });
     }
 
-    // 只允许 openai 类型端点
-    if (model.type !== 'openai') {
-      return res.status(400).json({ 
-        error: 'Invalid endpoint type',
-        message: `/v1/responses 接口只支持 openai 类型端点，当前模型 ${modelId} 是 ${model.type} 类型`
-      });
+    if (!isModelAllowed(res, openaiRequest.model, modelId)) {
+      return res.status(403).json({ error: `Model ${modelId} is not allowed for this client key` });
     }
 
+    res.locals.requestMeta = {
+      model: openaiRequest.model,
+      redirectedModel: modelId,
+      endpointType: model.type,
+      stream: openaiRequest.stream === true
+    };
+
     const endpoint = getEndpointByType(model.type);
     if (!endpoint) {
       return res.status(500).json({ error: `Endpoint type ${model.type} not found` });
     }
 
-    logInfo(`Direct forwarding to ${model.type} endpoint: ${endpoint.base_url}`);
+    if (model.type === 'openai') {
+      logInfo(`Direct forwarding to ${model.type} endpoint: ${endpoint.base_url}`);
+    } else {
+      logInfo(`Translating Responses request for ${model.type} endpoint: ${endpoint.base_url}`);
+    }
 
     // Get API key - support client x-api-key for anthropic endpoint
     let authInfo;
@@ -306,7 +767,13 @@ async function handleDirectResponses(req, res) {
       const clientAuthFromXApiKey = req.headers['x-api-key']
         ? `Bearer ${req.headers['x-api-key']}`
         : null;
-      authInfo = await getApiKey(req.headers.authorization || clientAuthFromXApiKey);
+      const clientAuthorization = req.headers.authorization || clientAuthFromXApiKey;
+      // 先按调用方身份检查限流，被拒绝的请求不会占用号池令牌
+      res.locals.tokenInfo = identifyCaller(clientAuthorization);
+      if (rejectIfRateLimited(res, 'openai', openaiRequest.stream === true)) {
+        return;
+      }
+      authInfo = await getApiKey(clientAuthorization);
       res.locals.tokenInfo = authInfo;
     } catch (error) {
       logError('Failed to get API key', error);
@@ -320,8 +787,19 @@ async function handleDirectResponses(req, res) {
 
     const clientHeaders = req.headers;
 
+    // anthropic / common 类型模型：转换为对应上游格式，再把响应转换回 Responses 格式
+    if (model.type !== 'openai') {
+      return await handleTranslatedResponses(res, {
+        responsesRequest: openaiRequest,
+        modelId,
+        model,
+        endpoint,
+        clientHeaders
+      });
+    }
+
     // 获取 headers
-    const headers = getOpenAIHeaders(authInfo.header, clientHeaders);
+    const buildHeaders = (authHeader) => getOpenAIHeaders(authHeader, clientHeaders);
 
     // 注入系统提示到 instructions 字段，并更新重定向后的模型ID
     const systemPrompt = getSystemPrompt();
@@ -351,14 +829,8 @@ async function handleDirectResponses(req, res) {
       delete modifiedRequest.reasoning;
     }
 
-    logRequest('POST', endpoint.base_url, headers, modifiedRequest);
-
     // 转发修改后的请求
-    const response = await fetch(endpoint.base_url, {
-      method: 'POST',
-      headers,
-      body: JSON.stringify(modifiedRequest)
-    });
+    const response = await fetchUpstream(res, endpoint.base_url, buildHeaders, modifiedRequest);
 
     logInfo(`Response status: ${response.status}`);
 
@@ -379,20 +851,26 @@ async function handleDirectResponses(req, res) {
       res.setHeader('Cache-Control', 'no-cache');
       res.setHeader('Connection', 'keep-alive');
 
+      const trackUsage = createStreamUsageRecorder(res);
       try {
-        // 直接将原始响应流转发给客户端
-        for await (const chunk of response.body) {
+        // 直接将原始响应流转发给客户端（仅在有 response 过滤规则时改写文本）
+        for await (const chunk of filterResponseStream(response.body, 'responses', res.locals.filterContext)) {
           res.write(chunk);
+          trackUsage(chunk);
         }
         res.end();
         logInfo('Stream forwarded successfully');
       } catch (streamError) {
+        res.locals.error = streamError.message;
         logError('Stream error', streamError);
         res.end();
       }
     } else {
       // 直接转发非流式响应，不做任何转换
-      const data = await response.json();
+      const data = filterResponseBody(await response.json(), 'responses', res.locals.filterContext);
+      if (data?.usage) {
+        recordUsage(res, responsesUsageToOpenAI(data.usage));
+      }
       logResponse(200, null, data);
       res.json(data);
     }
@@ -406,6 +884,72 @@ async function handleDirectResponses(req, res) {
   }
 }
 
+// 将 Responses 请求转换后发送到 anthropic / common 端点，并把响应转换回 Responses 格式
+async function handleTranslatedResponses(res, { responsesRequest, modelId, model, endpoint, clientHeaders }) {
+  const requestWithRedirectedModel = { ...responsesRequest, model: modelId };
+  const isStreaming = responsesRequest.stream === true;
+
+  let transformedRequest;
+  let buildHeaders;
+  if (model.type === 'anthropic') {
+    transformedRequest = transformResponsesToAnthropic(requestWithRedirectedModel);
+    buildHeaders = (authHeader) => getAnthropicHeaders(authHeader, clientHeaders, isStreaming, modelId);
+  } else if (model.type === 'common') {
+    transformedRequest = transformResponsesToCommon(requestWithRedirectedModel);
+    buildHeaders = (authHeader) => getCommonHeaders(authHeader, clientHeaders);
+  } else {
+    return res.status(500).json({ error: `Unknown endpoint type: ${model.type}` });
+  }
+
+  const response = await fetchUpstream(res, endpoint.base_url, buildHeaders, transformedRequest);
+
+  logInfo(`Response status: ${response.status}`);
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    logError(`Endpoint error: ${response.status}`, new Error(errorText));
+    return res.status(response.status).json({
+      error: `Endpoint returned ${response.status}`,
+      details: errorText
+    });
+  }
+
+  if (isStreaming) {
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+
+    const transformer = new ResponsesResponseTransformer(modelId, model.type);
+    const trackUsage = createStreamUsageRecorder(res);
+    try {
+      for await (const chunk of filterResponseStream(transformer.transformStream(response.body), 'responses', res.locals.filterContext)) {
+        res.write(chunk);
+        trackUsage(chunk);
+      }
+      res.end();
+      logInfo('Stream completed (translated to Responses format)');
+    } catch (streamError) {
+      res.locals.error = streamError.message;
+      logError('Stream error', streamError);
+      res.end();
+    }
+  } else {
+    const data = await response.json();
+    try {
+      const converted = filterResponseBody(model.type === 'anthropic'
+        ? convertMessageToResponse(data, modelId)
+        : convertChatCompletionToResponse(data, modelId), 'responses', res.locals.filterContext);
+      recordUsage(res, model.type === 'anthropic' ? anthropicUsageToOpenAI(data.usage) : data.usage);
+      logResponse(200, null, converted);
+      res.json(converted);
+    } catch (e) {
+      // 如果转换失败，回退为原始数据
+      logResponse(200, null, data);
+      res.json(data);
+    }
+  }
+}
+
 // 直接转发 Anthropic 请求（不做格式转换）
 async function handleDirectMessages(req, res) {
   logInfo('POST /v1/messages');
@@ -418,9 +962,19 @@ async function handleDirectMessages(req, res) {
       messages: anthropicRequest?.messages
     });
 
+    const modelId = getRedirectedModelId(anthropicRequest.model);
+    res.locals.filterContext = getFilterContext(res, 'anthropic', anthropicRequest.model, modelId);
+
     if (keywordFilter.isEnabled()) {
       logDebug('Keyword filter is ENABLED, applying filters...');
-      keywordFilter.filterRequest(anthropicRequest, 'anthropic');
+      try {
+        keywordFilter.filterRequest(anthropicRequest, 'anthropic', res.locals.filterContext);
+      } catch (error) {
+        if (error.blocked) {
+          return sendKeywordBlocked(res, 'anthropic', error);
+        }
+        throw error;
+      }
       logDebug('=== Request After Filter ===', {
         model: anthropicRequest?.model,
         messages: anthropicRequest?.messages
@@ -428,7 +982,6 @@ async function handleDirectMessages(req, res) {
     } else {
       logDebug('Keyword filter is DISABLED');
     }
-    const modelId = getRedirectedModelId(anthropicRequest.model);
 
     if (!modelId) {
       return res.status(400).json({ error: 'model is required' });
@@ -439,20 +992,27 @@ async function handleDirectMessages(req, res) {
       return res.status(404).json({ error: `Model ${modelId} not found` });
     }
 
-    // 只允许 anthropic 类型端点
-    if (model.type !== 'anthropic') {
-      return res.status(400).json({ 
-        error: 'Invalid endpoint type',
-        message: `/v1/messages 接口只支持 anthropic 类型端点，当前模型 ${modelId} 是 ${model.type} 类型`
-      });
+    if (!isModelAllowed(res, anthropicRequest.model, modelId)) {
+      return res.status(403).json({ error: `Model ${modelId} is not allowed for this client key` });
     }
 
+    res.locals.requestMeta = {
+      model: anthropicRequest.model,
+      redirectedModel: modelId,
+      endpointType: model.type,
+      stream: anthropicRequest.stream === true
+    };
+
     const endpoint = getEndpointByType(model.type);
     if (!endpoint) {
       return res.status(500).json({ error: `Endpoint type ${model.type} not found` });
     }
 
-    logInfo(`Direct forwarding to ${model.type} endpoint: ${endpoint.base_url}`);
+    if (model.type === 'anthropic') {
+      logInfo(`Direct forwarding to ${model.type} endpoint: ${endpoint.base_url}`);
+    } else {
+      logInfo(`Translating Anthropic request for ${model.type} endpoint: ${endpoint.base_url}`);
+    }
 
     // Get API key - support client x-api-key for anthropic endpoint
     let authInfo;
@@ -460,7 +1020,13 @@ async function handleDirectMessages(req, res) {
       const clientAuthFromXApiKey = req.headers['x-api-key']
         ? `Bearer ${req.headers['x-api-key']}`
         : null;
-      authInfo = await getApiKey(req.headers.authorization || clientAuthFromXApiKey);
+      const clientAuthorization = req.headers.authorization || clientAuthFromXApiKey;
+      // 先按调用方身份检查限流，被拒绝的请求不会占用号池令牌
+      res.locals.tokenInfo = identifyCaller(clientAuthorization);
+      if (rejectIfRateLimited(res, 'anthropic', anthropicRequest.stream === true)) {
+        return;
+      }
+      authInfo = await getApiKey(clientAuthorization);
       res.locals.tokenInfo = authInfo;
     } catch (error) {
       logError('Failed to get API key', error);
@@ -474,9 +1040,20 @@ async function handleDirectMessages(req, res) {
 
     const clientHeaders = req.headers;
 
+    // openai / common 类型模型：转换为对应上游格式，再把响应转换回 Anthropic 格式
+    if (model.type !== 'anthropic') {
+      return await handleTranslatedMessages(res, {
+        anthropicRequest,
+        modelId,
+        model,
+        endpoint,
+        clientHeaders
+      });
+    }
+
     // 获取 headers
     const isStreaming = anthropicRequest.stream === true;
-    const headers = getAnthropicHeaders(authInfo.header, clientHeaders, isStreaming, modelId);
+    const buildHeaders = (authHeader) => getAnthropicHeaders(authHeader, clientHeaders, isStreaming, modelId);
 
     // 注入系统提示到 system 字段，并更新重定向后的模型ID
     const systemPrompt = getSystemPrompt();
@@ -517,14 +1094,8 @@ async function handleDirectMessages(req, res) {
       delete modifiedRequest.thinking;
     }
 
-    logRequest('POST', endpoint.base_url, headers, modifiedRequest);
-
     // 转发修改后的请求
-    const response = await fetch(endpoint.base_url, {
-      method: 'POST',
-      headers,
-      body: JSON.stringify(modifiedRequest)
-    });
+    const response = await fetchUpstream(res, endpoint.base_url, buildHeaders, modifiedRequest);
 
     logInfo(`Response status: ${response.status}`);
 
@@ -543,20 +1114,26 @@ async function handleDirectMessages(req, res) {
       res.setHeader('Cache-Control', 'no-cache');
       res.setHeader('Connection', 'keep-alive');
 
+      const trackUsage = createStreamUsageRecorder(res);
       try {
-        // 直接将原始响应流转发给客户端
-        for await (const chunk of response.body) {
+        // 直接将原始响应流转发给客户端（仅在有 response 过滤规则时改写文本）
+        for await (const chunk of filterResponseStream(response.body, 'anthropic', res.locals.filterContext)) {
           res.write(chunk);
+          trackUsage(chunk);
         }
         res.end();
         logInfo('Stream forwarded successfully');
       } catch (streamError) {
+        res.locals.error = streamError.message;
         logError('Stream error', streamError);
         res.end();
       }
     } else {
       // 直接转发非流式响应，不做任何转换
-      const data = await response.json();
+      const data = filterResponseBody(await response.json(), 'anthropic', res.locals.filterContext);
+      if (data?.usage) {
+        recordUsage(res, anthropicUsageToOpenAI(data.usage));
+      }
       logResponse(200, null, data);
       res.json(data);
     }
@@ -570,6 +1147,72 @@ async function handleDirectMessages(req, res) {
   }
 }
 
+// 将 Anthropic 请求转换后发送到 openai / common 端点，并把响应转换回 Anthropic 格式
+async function handleTranslatedMessages(res, { anthropicRequest, modelId, model, endpoint, clientHeaders }) {
+  const requestWithRedirectedModel = { ...anthropicRequest, model: modelId };
+  const isStreaming = anthropicRequest.stream === true;
+
+  let transformedRequest;
+  let buildHeaders;
+  if (model.type === 'openai') {
+    transformedRequest = transformMessagesToResponses(requestWithRedirectedModel);
+    buildHeaders = (authHeader) => getOpenAIHeaders(authHeader, clientHeaders);
+  } else if (model.type === 'common') {
+    transformedRequest = transformMessagesToCommon(requestWithRedirectedModel);
+    buildHeaders = (authHeader) => getCommonHeaders(authHeader, clientHeaders);
+  } else {
+    return res.status(500).json({ error: `Unknown endpoint type: ${model.type}` });
+  }
+
+  const response = await fetchUpstream(res, endpoint.base_url, buildHeaders, transformedRequest);
+
+  logInfo(`Response status: ${response.status}`);
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    logError(`Endpoint error: ${response.status}`, new Error(errorText));
+    return res.status(response.status).json({
+      error: `Endpoint returned ${response.status}`,
+      details: errorText
+    });
+  }
+
+  if (isStreaming) {
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+
+    const transformer = new MessagesResponseTransformer(modelId, model.type);
+    const trackUsage = createStreamUsageRecorder(res);
+    try {
+      for await (const chunk of filterResponseStream(transformer.transformStream(response.body), 'anthropic', res.locals.filterContext)) {
+        res.write(chunk);
+        trackUsage(chunk);
+      }
+      res.end();
+      logInfo('Stream completed (translated to Anthropic format)');
+    } catch (streamError) {
+      res.locals.error = streamError.message;
+      logError('Stream error', streamError);
+      res.end();
+    }
+  } else {
+    const data = await response.json();
+    try {
+      const converted = filterResponseBody(model.type === 'openai'
+        ? convertResponsesToMessage(data, modelId)
+        : convertChatCompletionToMessage(data, modelId), 'anthropic', res.locals.filterContext);
+      recordUsage(res, model.type === 'openai' ? responsesUsageToOpenAI(data.usage) : data.usage);
+      logResponse(200, null, converted);
+      res.json(converted);
+    } catch (e) {
+      // 如果转换失败，回退为原始数据
+      logResponse(200, null, data);
+      res.json(data);
+    }
+  }
+}
+
 // 处理 Anthropic count_tokens 请求
 async function handleCountTokens(req, res) {
   logInfo('POST /v1/messages/count_tokens');
@@ -587,6 +1230,17 @@ async function handleCountTokens(req, res) {
       return res.status(404).json({ error: `Model ${modelId} not found` });
     }
 
+    if (!isModelAllowed(res, anthropicRequest.model, modelId)) {
+      return res.status(403).json({ error: `Model ${modelId} is not allowed for this client key` });
+    }
+
+    res.locals.requestMeta = {
+      model: anthropicRequest.model,
+      redirectedModel: modelId,
+      endpointType: model.type,
+      stream: anthropicRequest.stream === true
+    };
+
     // 只允许 anthropic 类型端点
     if (model.type !== 'anthropic') {
       return res.status(400).json({
@@ -606,7 +1260,13 @@ async function handleCountTokens(req, res) {
       const clientAuthFromXApiKey = req.headers['x-api-key']
         ? `Bearer ${req.headers['x-api-key']}`
         : null;
-      authInfo = await getApiKey(req.headers.authorization || clientAuthFromXApiKey);
+      const clientAuthorization = req.headers.authorization || clientAuthFromXApiKey;
+      // 先按调用方身份检查限流，被拒绝的请求不会占用号池令牌
+      res.locals.tokenInfo = identifyCaller(clientAuthorization);
+      if (rejectIfRateLimited(res, 'anthropic', false)) {
+        return;
+      }
+      authInfo = await getApiKey(clientAuthorization);
       res.locals.tokenInfo = authInfo;
     } catch (error) {
       logError('Failed to get API key', error);
@@ -617,19 +1277,13 @@ async function handleCountTokens(req, res) {
     }
 
     const clientHeaders = req.headers;
-    const headers = getAnthropicHeaders(authInfo.header, clientHeaders, false, modelId);
+    const buildHeaders = (authHeader) => getAnthropicHeaders(authHeader, clientHeaders, false, modelId);
 
     // 构建 count_tokens 端点 URL
     const countTokensUrl = endpoint.base_url.replace('/v1/messages', '/v1/messages/count_tokens');
 
     logInfo(`Forwarding to count_tokens endpoint: ${countTokensUrl}`);
-    logRequest('POST', countTokensUrl, headers, anthropicRequest);
-
-    const response = await fetch(countTokensUrl, {
-      method: 'POST',
-      headers,
-      body: JSON.stringify(anthropicRequest)
-    });
+    const response = await fetchUpstream(res, countTokensUrl, buildHeaders, anthropicRequest);
 
     logInfo(`Response status: ${response.status}`);
 
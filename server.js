@@ -1,16 +1,36 @@
 import express from 'express';
 import session from 'express-session';
 import path from 'path';
-import { loadConfig, isDevMode, getPort } from './config.js';
+import { loadConfig, isDevMode, getPort, watchConfig } from './config.js';
 import { logInfo, logError } from './logger.js';
 import router from './routes.js';
 import { initializeAuth } from './auth.js';
+import { startQuotaMonitor } from './quota-monitor.js';
+import { flushRateLimitCounters, getClientIdentity, recordTokenUsage } from './rate-limiter.js';
+import { appendRequestHistory, closeRequestHistory } from './request-history.js';
+import { handleMetrics, recordRequestMetric, recordTimeToFirstToken } from './metrics.js';
+import { handleHealthz, handleReadyz } from './health.js';
 import dashboardRouter from './dashboard.js';
 import { initializeDashboardState, recordRequestLog } from './state.js';
 import { keywordFilter } from './keyword-filter.js';
 
 const app = express();
 
+// 收到退出信号后等待进行中的请求结束的最长时间，docker stop 默认 10 秒后强制结束进程
+const SHUTDOWN_TIMEOUT_MS = 8000;
+
+// SSE 中携带非空生成内容的字段（文本、推理、工具参数）
+const TOKEN_CHUNK_PATTERN = /"(text|thinking|partial_json|delta|content|reasoning_content|arguments)"\s*:\s*"[^"]/;
+
+function extractErrorMessage(body) {
+  const error = body.error;
+  const message = typeof error === 'string'
+    ? error
+    : error?.message || body.message || JSON.stringify(body);
+  const details = typeof body.details === 'string' ? body.details : null;
+  return (details ? `${message}: ${details}` : message).slice(0, 1000);
+}
+
 initializeDashboardState();
 
 app.use(express.json({ limit: '50mb' }));
@@ -28,6 +48,9 @@ app.use(session({
 
 app.use((req, res, next) => {
   res.locals.tokenInfo = null;
+  res.locals.usage = null;
+  res.locals.requestMeta = null;
+  res.locals.error = null;
   next();
 });
 
@@ -36,6 +59,31 @@ app.use((req, res, next) => {
     ? process.hrtime.bigint()
     : Date.now();
 
+  // 记录第一次写出生成内容的时间，用于计算首字延迟（TTFT）；非流式响应以响应结束时间为准
+  let firstTokenAt = null;
+  const originalWrite = res.write;
+  const originalEnd = res.end;
+  res.write = function (chunk, ...args) {
+    if (firstTokenAt === null && chunk && TOKEN_CHUNK_PATTERN.test(chunk.toString())) {
+      firstTokenAt = Date.now();
+    }
+    return originalWrite.call(this, chunk, ...args);
+  };
+  res.end = function (...args) {
+    if (firstTokenAt === null) firstTokenAt = Date.now();
+    return originalEnd.apply(this, args);
+  };
+  const startedAt = Date.now();
+
+  // 错误响应的正文写入请求历史
+  const originalJson = res.json;
+  res.json = function (body) {
+    if (res.statusCode >= 400 && !res.locals.error && body) {
+      res.locals.error = extractErrorMessage(body);
+    }
+    return originalJson.call(this, body);
+  };
+
   res.on('finish', () => {
     const pathForLog = (req.originalUrl || req.url || '').split('?')[0];
     if (!pathForLog.startsWith('/v1/')) {
@@ -58,7 +106,42 @@ app.use((req, res, next) => {
       durationMs: Math.round(durationMs * 100) / 100,
       clientIp,
       tokenSource: res.locals.tokenInfo?.source || 'none',
-      tokenSnippet: res.locals.tokenInfo?.tokenSnippet
+      tokenSnippet: res.locals.tokenInfo?.tokenSnippet,
+      usage: res.locals.usage
+    });
+    recordTokenUsage(res.locals.tokenInfo, res.locals.usage);
+
+    const meta = res.locals.requestMeta || {};
+    const metricModel = meta.redirectedModel || meta.model;
+    // 指标只使用已注册的路由，未匹配的路径（如 404）归为 other，避免标签数量无限增长
+    const metricRoute = req.route ? `${req.baseUrl}${req.route.path}` : 'other';
+    recordRequestMetric(metricRoute, metricModel, res.statusCode);
+    if (meta.stream && res.statusCode < 400 && firstTokenAt !== null) {
+      recordTimeToFirstToken(metricRoute, metricModel, (firstTokenAt - startedAt) / 1000);
+    }
+
+    const identity = getClientIdentity(res.locals.tokenInfo);
+    appendRequestHistory({
+      timestamp: new Date(startedAt).toISOString(),
+      method: req.method,
+      path: pathForLog,
+      endpointType: meta.endpointType || null,
+      model: meta.model || null,
+      redirectedModel: meta.redirectedModel || null,
+      stream: meta.stream === true,
+      status: res.statusCode,
+      durationMs: Math.round(durationMs * 100) / 100,
+      ttftMs: firstTokenAt !== null ? firstTokenAt - startedAt : null,
+      usage: res.locals.usage,
+      client: identity ? identity.label : null,
+      clientId: identity ? identity.id : null,
+      clientIp,
+      tokenSource: res.locals.tokenInfo?.source || 'none',
+      tokenSnippet: res.locals.tokenInfo?.tokenSnippet || null,
+      // 服务器令牌按 type:id 归类，刷新后 access token 变化也能归到同一个令牌
+      upstreamTokenId: res.locals.tokenInfo?.tokenKey || res.locals.tokenInfo?.tokenSnippet || null,
+      upstreamToken: res.locals.tokenInfo?.tokenLabel || res.locals.tokenInfo?.tokenSnippet || null,
+      error: res.locals.error
     });
   });
 
@@ -68,7 +151,8 @@ app.use((req, res, next) => {
 app.use((req, res, next) => {
   res.header('Access-Control-Allow-Origin', '*');
   res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key, anthropic-version');
+  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key, anthropic-version, X-Reasoning-Output');
+  res.header('Access-Control-Expose-Headers', 'x-ratelimit-limit-requests, x-ratelimit-remaining-requests, x-ratelimit-reset-requests, x-ratelimit-limit-tokens, x-ratelimit-remaining-tokens, x-ratelimit-reset-tokens, retry-after');
   
   if (req.method === 'OPTIONS') {
     return res.sendStatus(200);
@@ -76,6 +160,10 @@ app.use((req, res, next) => {
   next();
 });
 
+app.get('/healthz', handleHealthz);
+app.get('/readyz', handleReadyz);
+app.get('/metrics', handleMetrics);
+
 app.use('/dashboard', dashboardRouter);
 
 app.use(router);
@@ -164,16 +252,47 @@ app.use((err, req, res, next) => {
   });
 });
 
+/**
+ * 停止接收新请求，等待进行中的请求结束（最多 SHUTDOWN_TIMEOUT_MS），
+ * 然后保存限流计数并写完请求历史，避免重启时丢失最近记录的用量
+ */
+function registerShutdownHandlers(server) {
+  let shuttingDown = false;
+  const shutdown = async (signal) => {
+    if (shuttingDown) {
+      return;
+    }
+    shuttingDown = true;
+    logInfo(`Received ${signal}, shutting down...`);
+    await new Promise((resolve) => {
+      const timer = setTimeout(resolve, SHUTDOWN_TIMEOUT_MS);
+      server.close(() => {
+        clearTimeout(timer);
+        resolve();
+      });
+    });
+    flushRateLimitCounters();
+    await closeRequestHistory();
+    process.exit(0);
+  };
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
+}
+
 (async () => {
   try {
     loadConfig();
     logInfo('Configuration loaded successfully');
+    watchConfig();
     logInfo(`Dev mode: ${isDevMode()}`);
 
     // Initialize auth system (load and setup API key if needed)
     // This won't throw error if no auth config is found - will use client auth
     await initializeAuth();
 
+    // 后台定时查询 FACTORY_API_KEY 剩余额度
+    startQuotaMonitor();
+
     const filterConfigPath = path.resolve(process.cwd(), 'keywords-filter.json');
     keywordFilter.loadConfig(filterConfigPath);
     if (keywordFilter.isEnabled()) {
@@ -213,6 +332,7 @@ app.use((err, req, res, next) => {
           process.exit(1);
         }
       });
+    registerShutdownHandlers(server);
   } catch (error) {
     logError('Failed to start server', error);
     process.exit(1);
@@ -1,3 +1,4 @@
+import crypto from 'crypto';
 import fs from 'fs';
 import os from 'os';
 import path from 'path';
@@ -10,6 +11,35 @@ const STORE_PATH = configuredStorePath
   : path.join(process.cwd(), 'data', 'token-store.json');
 const FACTORY_AUTH_PATH = path.join(os.homedir(), '.factory', 'auth.json');
 const MAX_LOGS = 100;
+const POOL_STRATEGIES = ['round-robin', 'least-used', 'weighted'];
+const DEFAULT_POOL_SETTINGS = {
+  enabled: false,
+  strategy: 'round-robin',
+  authCooldownSeconds: 1800,
+  rateLimitCooldownSeconds: 60
+};
+const DEFAULT_QUOTA_SETTINGS = {
+  enabled: true,
+  intervalMinutes: 30,
+  minRemainingTokens: 0,
+  minRemainingRatio: 0.02
+};
+
+// null 表示不限制
+const DEFAULT_RATE_LIMITS = {
+  requestsPerMinute: null,
+  concurrentStreams: null,
+  dailyTokens: null,
+  monthlyTokens: null
+};
+
+export const CLIENT_KEY_ROUTES = [
+  '/v1/models',
+  '/v1/chat/completions',
+  '/v1/responses',
+  '/v1/messages',
+  '/v1/messages/count_tokens'
+];
 
 let initialized = false;
 let requestLogs = [];
@@ -17,7 +47,11 @@ let tokenStore = {
   factoryKeys: [],
   refreshTokens: [],
   activeFactoryKeyId: null,
-  activeRefreshTokenId: null
+  activeRefreshTokenId: null,
+  poolSettings: { ...DEFAULT_POOL_SETTINGS },
+  quotaSettings: { ...DEFAULT_QUOTA_SETTINGS },
+  clientKeys: [],
+  defaultRateLimits: { ...DEFAULT_RATE_LIMITS }
 };
 let authStatus = {
   authTokenConfigured: false,
@@ -68,7 +102,11 @@ function loadStore() {
         factoryKeys: Array.isArray(parsed.factoryKeys) ? parsed.factoryKeys : [],
         refreshTokens: Array.isArray(parsed.refreshTokens) ? parsed.refreshTokens : [],
         activeFactoryKeyId: parsed.activeFactoryKeyId || null,
-        activeRefreshTokenId: parsed.activeRefreshTokenId || null
+        activeRefreshTokenId: parsed.activeRefreshTokenId || null,
+        poolSettings: { ...DEFAULT_POOL_SETTINGS, ...(parsed.poolSettings || {}) },
+        quotaSettings: { ...DEFAULT_QUOTA_SETTINGS, ...(parsed.quotaSettings || {}) },
+        clientKeys: Array.isArray(parsed.clientKeys) ? parsed.clientKeys : [],
+        defaultRateLimits: { ...DEFAULT_RATE_LIMITS, ...(parsed.defaultRateLimits || {}) }
       };
     } catch (error) {
       console.error('[ERROR] Failed to read token store, using defaults', error);
@@ -175,7 +213,8 @@ export function recordRequestLog(entry) {
     durationMs: entry.durationMs,
     clientIp: entry.clientIp,
     tokenSource: entry.tokenSource || 'none',
-    tokenSnippet: entry.tokenSnippet ? entry.tokenSnippet : 'N/A'
+    tokenSnippet: entry.tokenSnippet ? entry.tokenSnippet : 'N/A',
+    usage: entry.usage || null
   };
   requestLogs.push(normalized);
   if (requestLogs.length > MAX_LOGS) {
@@ -193,7 +232,9 @@ function sanitizeToken(token) {
     id: token.id,
     label: token.label,
     snippet: maskToken(token.value),
-    readOnly: Boolean(token.readOnly)
+    readOnly: Boolean(token.readOnly),
+    weight: typeof token.weight === 'number' ? token.weight : 1,
+    quota: token.quota || null
   };
 }
 
@@ -288,6 +329,270 @@ export function updateTokenValue(type, id, value) {
   persistStore();
 }
 
+export function listTokens(type) {
+  requireInitialization();
+  const collection = type === 'factory' ? tokenStore.factoryKeys : tokenStore.refreshTokens;
+  return collection.map((token) => ({ ...token }));
+}
+
+export function setTokenWeight(type, id, weight) {
+  requireInitialization();
+  const collection = type === 'factory' ? tokenStore.factoryKeys : tokenStore.refreshTokens;
+  const token = collection.find((item) => item.id === id);
+  if (!token) {
+    throw new Error('Token not found');
+  }
+  const parsed = Number(weight);
+  if (!Number.isFinite(parsed) || parsed < 0) {
+    throw new Error('Weight must be a non-negative number');
+  }
+  token.weight = parsed;
+  persistStore();
+  return getTokenStoreSnapshot();
+}
+
+export function getPoolSettings() {
+  requireInitialization();
+  return { ...tokenStore.poolSettings };
+}
+
+export function updatePoolSettings(update) {
+  requireInitialization();
+  const next = { ...tokenStore.poolSettings };
+  if (update.enabled !== undefined) {
+    next.enabled = update.enabled === true;
+  }
+  if (update.strategy !== undefined) {
+    if (!POOL_STRATEGIES.includes(update.strategy)) {
+      throw new Error(`strategy must be one of: ${POOL_STRATEGIES.join(', ')}`);
+    }
+    next.strategy = update.strategy;
+  }
+  for (const key of ['authCooldownSeconds', 'rateLimitCooldownSeconds']) {
+    if (update[key] !== undefined) {
+      const parsed = Number(update[key]);
+      if (!Number.isFinite(parsed) || parsed < 0) {
+        throw new Error(`${key} must be a non-negative number`);
+      }
+      next[key] = parsed;
+    }
+  }
+  tokenStore.poolSettings = next;
+  persistStore();
+  return getPoolSettings();
+}
+
+export function setTokenQuota(type, id, quota) {
+  requireInitialization();
+  const collection = type === 'factory' ? tokenStore.factoryKeys : tokenStore.refreshTokens;
+  const token = collection.find((item) => item.id === id);
+  if (!token) {
+    throw new Error('Token not found');
+  }
+  token.quota = quota;
+  persistStore();
+}
+
+export function getQuotaSettings() {
+  requireInitialization();
+  return { ...tokenStore.quotaSettings };
+}
+
+export function updateQuotaSettings(update) {
+  requireInitialization();
+  const next = { ...tokenStore.quotaSettings };
+  if (update.enabled !== undefined) {
+    next.enabled = update.enabled === true;
+  }
+  if (update.intervalMinutes !== undefined) {
+    const parsed = Number(update.intervalMinutes);
+    if (!Number.isFinite(parsed) || parsed < 1) {
+      throw new Error('intervalMinutes must be at least 1');
+    }
+    next.intervalMinutes = parsed;
+  }
+  if (update.minRemainingTokens !== undefined) {
+    const parsed = Number(update.minRemainingTokens);
+    if (!Number.isFinite(parsed) || parsed < 0) {
+      throw new Error('minRemainingTokens must be a non-negative number');
+    }
+    next.minRemainingTokens = parsed;
+  }
+  if (update.minRemainingRatio !== undefined) {
+    const parsed = Number(update.minRemainingRatio);
+    if (!Number.isFinite(parsed) || parsed < 0 || parsed > 1) {
+      throw new Error('minRemainingRatio must be between 0 and 1');
+    }
+    next.minRemainingRatio = parsed;
+  }
+  tokenStore.quotaSettings = next;
+  persistStore();
+  return getQuotaSettings();
+}
+
+function normalizeRateLimits(input, current = DEFAULT_RATE_LIMITS) {
+  if (!input || typeof input !== 'object') {
+    throw new Error('rateLimits must be an object');
+  }
+  const next = { ...DEFAULT_RATE_LIMITS, ...current };
+  for (const key of Object.keys(DEFAULT_RATE_LIMITS)) {
+    if (input[key] === undefined) {
+      continue;
+    }
+    if (input[key] === null || input[key] === '') {
+      next[key] = null;
+      continue;
+    }
+    const parsed = Number(input[key]);
+    if (!Number.isInteger(parsed) || parsed <= 0) {
+      throw new Error(`${key} must be a positive integer or null`);
+    }
+    next[key] = parsed;
+  }
+  return next;
+}
+
+function normalizeClientKeyFields(input, target) {
+  if (input.label !== undefined) {
+    target.label = String(input.label || '').trim() || 'Client Key';
+  }
+  if (input.allowedModels !== undefined) {
+    if (!Array.isArray(input.allowedModels)) {
+      throw new Error('allowedModels must be an array');
+    }
+    target.allowedModels = input.allowedModels.map((model) => String(model).trim()).filter(Boolean);
+  }
+  if (input.allowedRoutes !== undefined) {
+    if (!Array.isArray(input.allowedRoutes)) {
+      throw new Error('allowedRoutes must be an array');
+    }
+    const invalid = input.allowedRoutes.filter((route) => !CLIENT_KEY_ROUTES.includes(route));
+    if (invalid.length > 0) {
+      throw new Error(`Unknown routes: ${invalid.join(', ')}`);
+    }
+    target.allowedRoutes = [...input.allowedRoutes];
+  }
+  if (input.expiresAt !== undefined) {
+    if (input.expiresAt === null || input.expiresAt === '') {
+      target.expiresAt = null;
+    } else {
+      const date = new Date(input.expiresAt);
+      if (Number.isNaN(date.getTime())) {
+        throw new Error('expiresAt must be a valid date');
+      }
+      target.expiresAt = date.toISOString();
+    }
+  }
+  if (input.enabled !== undefined) {
+    target.enabled = input.enabled === true;
+  }
+  if (input.rateLimits !== undefined) {
+    target.rateLimits = normalizeRateLimits(input.rateLimits || {}, target.rateLimits);
+  }
+  return target;
+}
+
+function sanitizeClientKey(clientKey) {
+  return {
+    id: clientKey.id,
+    label: clientKey.label,
+    snippet: maskToken(clientKey.key),
+    allowedModels: clientKey.allowedModels,
+    allowedRoutes: clientKey.allowedRoutes,
+    expiresAt: clientKey.expiresAt,
+    enabled: clientKey.enabled,
+    rateLimits: { ...DEFAULT_RATE_LIMITS, ...(clientKey.rateLimits || {}) },
+    createdAt: clientKey.createdAt,
+    lastUsedAt: clientKey.lastUsedAt || null
+  };
+}
+
+export function listClientKeys() {
+  requireInitialization();
+  return tokenStore.clientKeys.map(sanitizeClientKey);
+}
+
+/**
+ * Create a proxy API key for a client. The full key is only returned here.
+ * @param {Object} input - { label, allowedModels, allowedRoutes, expiresAt, enabled }
+ * 空的 allowedModels / allowedRoutes 表示不限制
+ */
+export function createClientKey(input = {}) {
+  requireInitialization();
+  const clientKey = normalizeClientKeyFields({ label: '', ...input }, {
+    id: `client-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    key: `sk-d2a-${crypto.randomBytes(24).toString('hex')}`,
+    allowedModels: [],
+    allowedRoutes: [],
+    expiresAt: null,
+    enabled: true,
+    createdAt: new Date().toISOString()
+  });
+  tokenStore.clientKeys.push(clientKey);
+  persistStore();
+  return { ...sanitizeClientKey(clientKey), key: clientKey.key };
+}
+
+export function updateClientKey(id, update = {}) {
+  requireInitialization();
+  const clientKey = tokenStore.clientKeys.find((item) => item.id === id);
+  if (!clientKey) {
+    throw new Error('Client key not found');
+  }
+  normalizeClientKeyFields(update, clientKey);
+  persistStore();
+  return sanitizeClientKey(clientKey);
+}
+
+export function removeClientKey(id) {
+  requireInitialization();
+  const index = tokenStore.clientKeys.findIndex((item) => item.id === id);
+  if (index === -1) {
+    throw new Error('Client key not found');
+  }
+  tokenStore.clientKeys.splice(index, 1);
+  persistStore();
+}
+
+export function findClientKey(value) {
+  requireInitialization();
+  if (!value) {
+    return null;
+  }
+  const clientKey = tokenStore.clientKeys.find((item) => item.key === value);
+  return clientKey ? { ...clientKey } : null;
+}
+
+export function getClientKeyById(id) {
+  requireInitialization();
+  const clientKey = tokenStore.clientKeys.find((item) => item.id === id);
+  return clientKey ? sanitizeClientKey(clientKey) : null;
+}
+
+export function getDefaultRateLimits() {
+  requireInitialization();
+  return { ...tokenStore.defaultRateLimits };
+}
+
+export function updateDefaultRateLimits(update) {
+  requireInitialization();
+  tokenStore.defaultRateLimits = normalizeRateLimits(update || {}, tokenStore.defaultRateLimits);
+  persistStore();
+  return getDefaultRateLimits();
+}
+
+export function getStorePath() {
+  return STORE_PATH;
+}
+
+export function touchClientKey(id) {
+  const clientKey = tokenStore.clientKeys.find((item) => item.id === id);
+  if (clientKey) {
+    // 仅更新内存，随下一次写入一起持久化
+    clientKey.lastUsedAt = new Date().toISOString();
+  }
+}
+
 export function updateAuthStatus(update) {
   authStatus = { ...authStatus, ...update };
 }
@@ -0,0 +1,95 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { AhoCorasick } from '../aho-corasick.js';
+import { keywordFilter } from '../keyword-filter.js';
+
+function search(values, text) {
+  const automaton = new AhoCorasick(values.map((value) => ({ value, payload: value })));
+  return [...automaton.search(text)].sort();
+}
+
+describe('AhoCorasick', () => {
+  it('finds overlapping keywords in one pass', () => {
+    assert.deepEqual(search(['he', 'she', 'his', 'hers'], 'ushers'), ['he', 'hers', 'she']);
+  });
+
+  it('reports keywords reachable only through failure links', () => {
+    assert.deepEqual(search(['abcd', 'bc', 'c'], 'xabcx'), ['bc', 'c']);
+    assert.deepEqual(search(['aab', 'ab'], 'aaab'), ['aab', 'ab']);
+  });
+
+  it('returns an empty set when nothing matches and ignores empty keywords', () => {
+    assert.deepEqual(search(['', 'foo'], 'bar'), []);
+    assert.deepEqual(search([], 'anything'), []);
+  });
+
+  it('returns every payload registered for the same keyword', () => {
+    const automaton = new AhoCorasick([{ value: 'x', payload: 1 }, { value: 'x', payload: 2 }]);
+    assert.deepEqual([...automaton.search('x')], [1, 2]);
+  });
+
+  it('matches characters outside the BMP', () => {
+    assert.deepEqual(search(['😀ok', '中文'], 'say 😀ok in 中文'), ['中文', '😀ok']);
+  });
+});
+
+describe('KeywordFilter literal index', () => {
+  let tempDir;
+
+  // 规则数量需达到建立 Aho-Corasick 索引的阈值
+  const fillers = Array.from({ length: 10 }, (item, index) => ({
+    id: `filler-${index}`,
+    enabled: true,
+    pattern: { type: 'contains', value: `unused-keyword-${index}` },
+    action: { type: 'replace', replacement: '' }
+  }));
+
+  function load(rules) {
+    const configPath = path.join(tempDir, 'keywords-filter.json');
+    fs.writeFileSync(configPath, JSON.stringify({ enabled: true, rules: [...rules, ...fillers] }));
+    keywordFilter.loadConfig(configPath);
+  }
+
+  before(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'keyword-index-'));
+  });
+
+  after(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('matches case-insensitive and case-sensitive literals through the index', () => {
+    load([
+      { id: 'insensitive', enabled: true, pattern: { type: 'contains', value: 'Secret' }, action: { type: 'replace', replacement: '[x]' } },
+      { id: 'sensitive', enabled: true, pattern: { type: 'contains', value: 'Token', caseSensitive: true }, action: { type: 'delete_keyword' } }
+    ]);
+    assert.ok(keywordFilter.literalIndex.rules.size >= 8);
+    assert.equal(keywordFilter.testText('a SECRET value').text, 'a [x] value');
+    assert.equal(keywordFilter.testText('a Token here').text, 'a  here');
+    assert.equal(keywordFilter.testText('a token here').action, 'keep');
+  });
+
+  it('keeps rule order and rescans the text after a continue rule rewrites it', () => {
+    load([
+      { id: 'first', enabled: true, continue: true, pattern: { type: 'contains', value: 'foo' }, action: { type: 'replace', replacement: 'bar' } },
+      { id: 'second', enabled: true, pattern: { type: 'contains', value: 'bar' }, action: { type: 'replace', replacement: 'baz' } },
+      { id: 'third', enabled: true, pattern: { type: 'contains', value: 'baz' }, action: { type: 'replace', replacement: 'never' } }
+    ]);
+    const result = keywordFilter.testText('foo');
+    assert.equal(result.text, 'baz');
+    assert.deepEqual(result.matched.map((rule) => rule.id), ['first', 'second']);
+  });
+
+  it('records request filter timing in the stats', () => {
+    load([{ id: 'mask', enabled: true, pattern: { type: 'contains', value: 'secret' }, action: { type: 'replace', replacement: '***' } }]);
+    const before = keywordFilter.getStats().timing.request.count;
+    const request = keywordFilter.filterRequest({ messages: [{ role: 'user', content: 'my secret' }] }, 'openai');
+    assert.equal(request.messages[0].content, 'my ***');
+    const timing = keywordFilter.getStats().timing.request;
+    assert.equal(timing.count, before + 1);
+    assert.ok(timing.maxMs >= timing.lastMs && timing.lastMs >= 0);
+  });
+});
@@ -0,0 +1,112 @@
+import { after, afterEach, before, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import http from 'http';
+import https from 'https';
+import os from 'os';
+import path from 'path';
+
+// state.js 在加载时读取 TOKEN_STORE_PATH，需要先设置再动态导入
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-refresh-'));
+process.env.TOKEN_STORE_PATH = path.join(tempDir, 'token-store.json');
+delete process.env.FACTORY_API_KEY;
+delete process.env.DROID_REFRESH_KEY;
+
+const { addToken, initializeDashboardState, listTokens, removeToken } = await import('../state.js');
+const { isRefreshTokenUsable, warmRefreshTokens } = await import('../auth.js');
+
+const MINUTE = 60 * 1000;
+
+function jwt(payload) {
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+  return `${encode({ alg: 'none' })}.${encode(payload)}.signature`;
+}
+
+describe('refresh scheduling', () => {
+  // 本地 WorkOS 替身：返回下一次测试设置的响应
+  let nextResponse;
+  let server;
+  let scheduledDelays;
+
+  before(async () => {
+    initializeDashboardState();
+    server = http.createServer((req, res) => {
+      req.resume();
+      req.on('end', () => {
+        res.writeHead(nextResponse.status, { 'content-type': 'application/json' });
+        res.end(JSON.stringify(nextResponse.body));
+      });
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    const { port } = server.address();
+    // auth.js 通过 node-fetch 请求 https://api.workos.com，这里转发到本地替身
+    mock.method(https, 'request', (url, options) => http.request(`http://127.0.0.1:${port}/`, { ...options, agent: undefined }));
+  });
+
+  beforeEach(() => {
+    scheduledDelays = [];
+    const originalSetTimeout = globalThis.setTimeout;
+    mock.method(globalThis, 'setTimeout', (callback, delay, ...args) => {
+      // 只记录刷新定时器（至少 30 秒），不影响 HTTP 内部的短定时器
+      if (delay >= 30 * 1000) {
+        scheduledDelays.push(delay);
+      }
+      return originalSetTimeout(callback, delay, ...args);
+    });
+  });
+
+  afterEach(() => {
+    globalThis.setTimeout.mock.restore();
+    for (const token of listTokens('refresh')) {
+      removeToken('refresh', token.id);
+    }
+  });
+
+  after(async () => {
+    mock.restoreAll();
+    await new Promise((resolve) => server.close(resolve));
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('refreshes ten minutes before the exp claim of the access token', async () => {
+    const expiresAt = Date.now() + 60 * MINUTE;
+    nextResponse = { status: 200, body: { access_token: jwt({ exp: Math.floor(expiresAt / 1000) }) } };
+    addToken('refresh', 'rt-exp-claim', 'exp');
+
+    await warmRefreshTokens();
+
+    assert.equal(scheduledDelays.length, 1);
+    assert.ok(Math.abs(scheduledDelays[0] - 50 * MINUTE) < 5 * 1000);
+    assert.equal(isRefreshTokenUsable(listTokens('refresh')[0]), true);
+  });
+
+  it('falls back to a six hour lifetime when the token has no exp claim', async () => {
+    nextResponse = { status: 200, body: { access_token: 'opaque-access-token' } };
+    addToken('refresh', 'rt-no-exp', 'opaque');
+
+    await warmRefreshTokens();
+
+    assert.equal(scheduledDelays.length, 1);
+    assert.ok(Math.abs(scheduledDelays[0] - (6 * 60 - 10) * MINUTE) < 5 * 1000);
+  });
+
+  it('waits in segments when the token outlives the setTimeout limit', async () => {
+    const expiresAt = Date.now() + 40 * 24 * 60 * MINUTE;
+    nextResponse = { status: 200, body: { access_token: jwt({ exp: Math.floor(expiresAt / 1000) }) } };
+    addToken('refresh', 'rt-long-lived', 'long');
+
+    await warmRefreshTokens();
+
+    assert.deepEqual(scheduledDelays, [2 ** 31 - 1]);
+  });
+
+  it('marks a token unusable when its refresh fails', async () => {
+    nextResponse = { status: 400, body: { error: 'invalid_grant' } };
+    addToken('refresh', 'rt-revoked', 'revoked');
+
+    await warmRefreshTokens();
+
+    assert.deepEqual(scheduledDelays, []);
+    assert.equal(isRefreshTokenUsable(listTokens('refresh')[0]), false);
+  });
+});
@@ -0,0 +1,159 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { transformToAnthropic } from '../transformers/request-anthropic.js';
+import { transformToOpenAI } from '../transformers/request-openai.js';
+import { AnthropicResponseTransformer } from '../transformers/response-anthropic.js';
+import { OpenAIResponseTransformer } from '../transformers/response-openai.js';
+
+function sse(type, data) {
+  return `event: ${type}\ndata: ${JSON.stringify({ type, ...data })}\n\n`;
+}
+
+async function collectChunks(transformer, events) {
+  const source = (async function* () {
+    yield* events;
+  })();
+  let output = '';
+  for await (const chunk of transformer.transformStream(source)) {
+    output += chunk;
+  }
+  const payloads = output.trim().split('\n\n').map((block) => block.slice('data: '.length));
+  assert.equal(payloads.pop(), '[DONE]');
+  return payloads.map((payload) => JSON.parse(payload));
+}
+
+function toolCallDeltas(chunks) {
+  return chunks.flatMap((chunk) => chunk.choices[0]?.delta.tool_calls || []);
+}
+
+describe('Anthropic stream to chat.completion chunks', () => {
+  it('emits tool_calls deltas with per-call indexes', async () => {
+    const chunks = await collectChunks(new AnthropicResponseTransformer('claude', 'chatcmpl-1'), [
+      sse('message_start', { message: { id: 'msg_1', usage: { input_tokens: 5 } } }),
+      sse('content_block_start', { index: 0, content_block: { type: 'text', text: '' } }),
+      sse('content_block_delta', { index: 0, delta: { type: 'text_delta', text: 'Checking.' } }),
+      sse('content_block_stop', { index: 0 }),
+      sse('content_block_start', { index: 1, content_block: { type: 'tool_use', id: 'toolu_1', name: 'get_weather', input: {} } }),
+      sse('content_block_delta', { index: 1, delta: { type: 'input_json_delta', partial_json: '{"city":' } }),
+      sse('content_block_delta', { index: 1, delta: { type: 'input_json_delta', partial_json: '"Paris"}' } }),
+      sse('content_block_stop', { index: 1 }),
+      sse('content_block_start', { index: 2, content_block: { type: 'tool_use', id: 'toolu_2', name: 'get_time', input: {} } }),
+      sse('content_block_delta', { index: 2, delta: { type: 'input_json_delta', partial_json: '{}' } }),
+      sse('content_block_stop', { index: 2 }),
+      sse('message_delta', { delta: { stop_reason: 'tool_use' }, usage: { output_tokens: 12 } }),
+      sse('message_stop', {})
+    ]);
+
+    assert.deepEqual(toolCallDeltas(chunks), [
+      { index: 0, id: 'toolu_1', type: 'function', function: { name: 'get_weather', arguments: '' } },
+      { index: 0, function: { arguments: '{"city":' } },
+      { index: 0, function: { arguments: '"Paris"}' } },
+      { index: 1, id: 'toolu_2', type: 'function', function: { name: 'get_time', arguments: '' } },
+      { index: 1, function: { arguments: '{}' } }
+    ]);
+    assert.equal(chunks.find((chunk) => chunk.choices[0].delta.content).choices[0].delta.content, 'Checking.');
+    assert.equal(chunks.at(-1).choices[0].finish_reason, 'tool_calls');
+  });
+});
+
+describe('transformToAnthropic', () => {
+  const toolCall = (id, name, args) => ({ id, type: 'function', function: { name, arguments: args } });
+
+  it('maps a multi-turn tool conversation to tool_use and tool_result blocks', () => {
+    const request = transformToAnthropic({
+      model: 'test-model',
+      messages: [
+        { role: 'user', content: 'weather and time in Paris?' },
+        { role: 'assistant', content: 'Checking.', tool_calls: [toolCall('call_1', 'get_weather', '{"city":"Paris"}'), toolCall('call_2', 'get_time', '')] },
+        { role: 'tool', tool_call_id: 'call_1', content: 'sunny' },
+        { role: 'tool', tool_call_id: 'call_2', content: [{ type: 'text', text: '12:00' }] },
+        { role: 'user', content: 'thanks' }
+      ]
+    });
+
+    assert.deepEqual(request.messages, [
+      { role: 'user', content: [{ type: 'text', text: 'weather and time in Paris?' }] },
+      {
+        role: 'assistant',
+        content: [
+          { type: 'text', text: 'Checking.' },
+          { type: 'tool_use', id: 'call_1', name: 'get_weather', input: { city: 'Paris' } },
+          { type: 'tool_use', id: 'call_2', name: 'get_time', input: {} }
+        ]
+      },
+      {
+        role: 'user',
+        content: [
+          { type: 'tool_result', tool_use_id: 'call_1', content: 'sunny' },
+          { type: 'tool_result', tool_use_id: 'call_2', content: [{ type: 'text', text: '12:00' }] },
+          { type: 'text', text: 'thanks' }
+        ]
+      }
+    ]);
+  });
+
+  it('converts function tools and maps tool_choice', () => {
+    const tools = [{ type: 'function', function: { name: 'get_weather', description: 'Weather', parameters: { type: 'object' } } }];
+    const base = { model: 'test-model', messages: [{ role: 'user', content: 'hi' }], tools };
+
+    assert.deepEqual(transformToAnthropic(base).tools, [{ name: 'get_weather', description: 'Weather', input_schema: { type: 'object' } }]);
+    assert.deepEqual(transformToAnthropic({ ...base, tool_choice: 'auto' }).tool_choice, { type: 'auto' });
+    assert.deepEqual(transformToAnthropic({ ...base, tool_choice: 'none' }).tool_choice, { type: 'none' });
+    assert.deepEqual(transformToAnthropic({ ...base, tool_choice: 'required' }).tool_choice, { type: 'any' });
+    assert.deepEqual(
+      transformToAnthropic({ ...base, tool_choice: { type: 'function', function: { name: 'get_weather' } }, parallel_tool_calls: false }).tool_choice,
+      { type: 'tool', name: 'get_weather', disable_parallel_tool_use: true }
+    );
+    assert.equal(transformToAnthropic(base).tool_choice, undefined);
+  });
+});
+
+describe('transformToOpenAI', () => {
+  it('maps tool calls and tool results to function_call items', () => {
+    const request = transformToOpenAI({
+      model: 'test-model',
+      messages: [
+        { role: 'user', content: 'weather in Paris?' },
+        { role: 'assistant', content: null, tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Paris"}' } }] },
+        { role: 'tool', tool_call_id: 'call_1', content: [{ type: 'text', text: 'sunny' }] }
+      ],
+      tools: [{ type: 'function', function: { name: 'get_weather', description: 'Weather', parameters: { type: 'object' } } }],
+      tool_choice: { type: 'function', function: { name: 'get_weather' } }
+    });
+
+    assert.deepEqual(request.input, [
+      { role: 'user', content: [{ type: 'input_text', text: 'weather in Paris?' }] },
+      { type: 'function_call', call_id: 'call_1', name: 'get_weather', arguments: '{"city":"Paris"}' },
+      { type: 'function_call_output', call_id: 'call_1', output: 'sunny' }
+    ]);
+    assert.deepEqual(request.tools, [
+      { type: 'function', name: 'get_weather', description: 'Weather', parameters: { type: 'object' }, strict: false }
+    ]);
+    assert.deepEqual(request.tool_choice, { type: 'function', name: 'get_weather' });
+  });
+});
+
+describe('Responses stream to chat.completion chunks', () => {
+  it('emits tool_calls deltas for function_call items and reasoning deltas', async () => {
+    const chunks = await collectChunks(new OpenAIResponseTransformer('gpt', 'chatcmpl-2'), [
+      sse('response.created', { response: { id: 'resp_1' } }),
+      sse('response.reasoning_summary_text.delta', { delta: 'Need tools.' }),
+      sse('response.output_item.added', { output_index: 1, item: { type: 'function_call', id: 'fc_1', call_id: 'call_1', name: 'get_weather' } }),
+      sse('response.function_call_arguments.delta', { output_index: 1, item_id: 'fc_1', delta: '{"city":"Paris"}' }),
+      sse('response.function_call_arguments.done', { output_index: 1, item_id: 'fc_1', arguments: '{"city":"Paris"}' }),
+      // 没有增量参数的调用在 done 事件中一次性补发
+      sse('response.output_item.added', { output_index: 2, item: { type: 'function_call', id: 'fc_2', call_id: 'call_2', name: 'get_time' } }),
+      sse('response.function_call_arguments.done', { item_id: 'fc_2', arguments: '{}' }),
+      sse('response.completed', { response: { status: 'completed', usage: { input_tokens: 5, output_tokens: 7 } } })
+    ]);
+
+    assert.deepEqual(toolCallDeltas(chunks), [
+      { index: 0, id: 'call_1', type: 'function', function: { name: 'get_weather', arguments: '' } },
+      { index: 0, function: { arguments: '{"city":"Paris"}' } },
+      { index: 1, id: 'call_2', type: 'function', function: { name: 'get_time', arguments: '' } },
+      { index: 1, function: { arguments: '{}' } }
+    ]);
+    assert.ok(chunks.some((chunk) => chunk.choices[0].delta.reasoning_content === 'Need tools.'));
+    assert.equal(chunks.at(-1).choices[0].finish_reason, 'tool_calls');
+  });
+});
@@ -0,0 +1,90 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// state.js 在加载时读取 TOKEN_STORE_PATH，config.json 的模型列表由环境变量覆盖，需要先设置再动态导入
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'client-key-scopes-'));
+process.env.TOKEN_STORE_PATH = path.join(tempDir, 'token-store.json');
+process.env.DROID2API_MODELS = JSON.stringify([
+  { id: 'model-a', type: 'common' },
+  { id: 'model-b', type: 'common' }
+]);
+process.env.DROID2API_MODEL_REDIRECTS = JSON.stringify({ 'alias-b': 'model-b' });
+delete process.env.FACTORY_API_KEY;
+delete process.env.DROID_REFRESH_KEY;
+
+const { createClientKey, initializeDashboardState } = await import('../state.js');
+const { default: router } = await import('../routes.js');
+
+describe('client key scopes', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    initializeDashboardState();
+    const app = express();
+    app.use(express.json());
+    app.use(router);
+    server = await new Promise((resolve) => {
+      const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  function request(route, key, body) {
+    return fetch(`${baseUrl}${route}`, {
+      method: body ? 'POST' : 'GET',
+      headers: { authorization: `Bearer ${key}`, 'content-type': 'application/json' },
+      body: body && JSON.stringify(body)
+    });
+  }
+
+  const chat = (model) => ({ model, messages: [{ role: 'user', content: 'hi' }] });
+
+  it('rejects routes outside allowedRoutes', async () => {
+    const { key } = createClientKey({ allowedRoutes: ['/v1/models'] });
+    assert.equal((await request('/v1/models', key)).status, 200);
+    const response = await request('/v1/chat/completions', key, chat('model-a'));
+    assert.equal(response.status, 403);
+    assert.deepEqual(await response.json(), { error: 'Client key is not allowed to access /v1/chat/completions' });
+  });
+
+  it('lists and accepts only allowed models', async () => {
+    const { key } = createClientKey({ allowedModels: ['model-a'] });
+    const models = await (await request('/v1/models', key)).json();
+    assert.deepEqual(models.data.map((model) => model.id), ['model-a']);
+
+    const rejected = await request('/v1/chat/completions', key, chat('model-b'));
+    assert.equal(rejected.status, 403);
+    assert.deepEqual(await rejected.json(), { error: 'Model model-b is not allowed for this client key' });
+    const anthropicRejected = await request('/v1/messages', key, { ...chat('model-b'), max_tokens: 10 });
+    assert.equal(anthropicRejected.status, 403);
+  });
+
+  it('matches either the requested model or its redirect target', async () => {
+    const { key } = createClientKey({ allowedModels: ['model-b'] });
+    // 通过模型检查后才会去取上游令牌，测试中没有配置服务器令牌
+    const response = await request('/v1/chat/completions', key, chat('alias-b'));
+    assert.equal(response.status, 503);
+    assert.equal((await response.json()).error, 'API key not available');
+  });
+
+  it('rejects disabled and expired keys', async () => {
+    const disabled = createClientKey({ enabled: false });
+    const expired = createClientKey({ expiresAt: new Date(Date.now() - 1000).toISOString() });
+    const disabledResponse = await request('/v1/models', disabled.key);
+    assert.equal(disabledResponse.status, 401);
+    assert.deepEqual(await disabledResponse.json(), { error: 'Client key is disabled' });
+    const expiredResponse = await request('/v1/models', expired.key);
+    assert.equal(expiredResponse.status, 401);
+    assert.deepEqual(await expiredResponse.json(), { error: 'Client key has expired' });
+  });
+});
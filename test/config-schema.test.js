@@ -0,0 +1,111 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyEnvOverrides, validateConfig } from '../config-schema.js';
+
+function baseConfig() {
+  return {
+    port: 3000,
+    endpoint: [
+      { name: 'anthropic', base_url: 'https://api.example.com/v1/messages' },
+      { name: 'openai', base_url: 'https://api.example.com/v1/responses' }
+    ],
+    models: [
+      { id: 'claude-sonnet', type: 'anthropic', reasoning: 'auto' },
+      { id: 'gpt-5', type: 'openai', pricing: { input: 1.25, output: 10 } }
+    ],
+    model_redirects: { sonnet: 'claude-sonnet' }
+  };
+}
+
+describe('validateConfig', () => {
+  it('accepts a valid config', () => {
+    assert.deepEqual(validateConfig(baseConfig()), { errors: [], warnings: [] });
+  });
+
+  it('rejects non-object configs', () => {
+    assert.deepEqual(validateConfig([]).errors, ['config.json must contain a JSON object']);
+  });
+
+  it('requires endpoint and models', () => {
+    const { errors } = validateConfig({});
+    assert.ok(errors.includes('endpoint is required'));
+    assert.ok(errors.includes('models is required'));
+  });
+
+  it('warns about unknown top-level keys', () => {
+    const { errors, warnings } = validateConfig({ ...baseConfig(), extra: true });
+    assert.deepEqual(errors, []);
+    assert.deepEqual(warnings, ['Unknown top-level key "extra" is ignored']);
+  });
+
+  it('checks top-level types and the port range', () => {
+    const { errors } = validateConfig({ ...baseConfig(), port: 70000, dev_mode: 'yes' });
+    assert.ok(errors.includes('dev_mode must be a boolean, got string'));
+    assert.ok(errors.includes('port 70000 must be an integer between 1 and 65535'));
+  });
+
+  it('reports invalid and duplicated endpoints', () => {
+    const config = baseConfig();
+    config.endpoint.push({ name: 'openai', base_url: 'not a url' });
+    const { errors } = validateConfig(config);
+    assert.ok(errors.includes('endpoint[2].name "openai" is duplicated'));
+    assert.ok(errors.includes('endpoint[2].base_url "not a url" is not a valid URL'));
+  });
+
+  it('reports models without a matching endpoint or with bad fields', () => {
+    const config = baseConfig();
+    config.models.push(
+      { id: 'gpt-5', type: 'openai' },
+      { id: 'x', type: 'missing', reasoning: 'extreme', pricing: { input: -1, foo: 1 } }
+    );
+    const { errors } = validateConfig(config);
+    assert.ok(errors.includes('models[2] (gpt-5): duplicate model id "gpt-5"'));
+    assert.ok(errors.some((error) => error.startsWith('models[3] (x).type "missing" has no matching endpoint')));
+    assert.ok(errors.some((error) => error.startsWith('models[3] (x).reasoning "extreme" must be one of')));
+    assert.ok(errors.includes('models[3] (x).pricing.input must be a non-negative number'));
+    assert.ok(errors.some((error) => error.startsWith('models[3] (x).pricing.foo is not supported')));
+  });
+
+  it('requires redirect targets to be configured models', () => {
+    const config = baseConfig();
+    config.model_redirects.haiku = 'claude-haiku';
+    const { errors } = validateConfig(config);
+    assert.deepEqual(errors, ['model_redirects["haiku"] points to "claude-haiku", which is not a configured model id']);
+  });
+
+  it('detects redirect cycles once', () => {
+    const config = baseConfig();
+    config.model_redirects = { a: 'b', b: 'a' };
+    const cycles = validateConfig(config).errors.filter((error) => error.includes('cycle'));
+    assert.equal(cycles.length, 1);
+  });
+});
+
+describe('applyEnvOverrides', () => {
+  it('parses values by the type of the top-level key', () => {
+    const { config, overrides } = applyEnvOverrides(baseConfig(), {
+      DROID2API_PORT: '8080',
+      DROID2API_DEV_MODE: '1',
+      DROID2API_SYSTEM_PROMPT: 'line one\\nline two',
+      DROID2API_MODEL_REDIRECTS: '{"fast":"gpt-5"}',
+      UNRELATED: 'x'
+    });
+    assert.equal(config.port, 8080);
+    assert.equal(config.dev_mode, true);
+    assert.equal(config.system_prompt, 'line one\nline two');
+    assert.deepEqual(config.model_redirects, { fast: 'gpt-5' });
+    assert.deepEqual(overrides.sort(), ['dev_mode', 'model_redirects', 'port', 'system_prompt']);
+  });
+
+  it('does not modify the original config', () => {
+    const original = baseConfig();
+    applyEnvOverrides(original, { DROID2API_PORT: '8080' });
+    assert.equal(original.port, 3000);
+  });
+
+  it('rejects malformed values', () => {
+    assert.throws(() => applyEnvOverrides(baseConfig(), { DROID2API_PORT: 'abc' }), /DROID2API_PORT must be a number/);
+    assert.throws(() => applyEnvOverrides(baseConfig(), { DROID2API_DEV_MODE: 'maybe' }), /must be true or false/);
+    assert.throws(() => applyEnvOverrides(baseConfig(), { DROID2API_MODELS: '[' }), /must be valid JSON/);
+  });
+});
@@ -0,0 +1,77 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// state.js 在加载时读取 TOKEN_STORE_PATH，需要先设置再动态导入
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rate-limiter-'));
+process.env.TOKEN_STORE_PATH = path.join(tempDir, 'token-store.json');
+
+const { initializeDashboardState, updateDefaultRateLimits } = await import('../state.js');
+const { identifyCaller } = await import('../auth.js');
+const { checkRateLimit, getClientIdentity, getRateLimitStatus, recordTokenUsage } = await import('../rate-limiter.js');
+
+describe('rate limiter', () => {
+  before(() => {
+    initializeDashboardState();
+  });
+
+  after(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('keys pass-through tokens by a hash of the full token', () => {
+    const first = identifyCaller('Bearer abcd-1111-wxyz');
+    const second = identifyCaller('Bearer abcd-2222-wxyz');
+    assert.equal(first.tokenSnippet, second.tokenSnippet);
+    const firstIdentity = getClientIdentity(first);
+    assert.notEqual(firstIdentity.id, getClientIdentity(second).id);
+    assert.equal(firstIdentity.label, first.tokenSnippet);
+    assert.ok(!firstIdentity.id.includes('1111'));
+  });
+
+  it('enforces requests per minute per caller', () => {
+    updateDefaultRateLimits({ requestsPerMinute: 2, concurrentStreams: null, dailyTokens: null, monthlyTokens: null });
+    const caller = identifyCaller('Bearer rpm-caller-token');
+    const other = identifyCaller('Bearer rpm-other-token');
+    assert.equal(checkRateLimit(caller).allowed, true);
+    assert.equal(checkRateLimit(caller).allowed, true);
+    const rejected = checkRateLimit(caller);
+    assert.equal(rejected.allowed, false);
+    assert.equal(rejected.limitType, 'requests');
+    assert.equal(rejected.headers['x-ratelimit-remaining-requests'], '0');
+    assert.equal(checkRateLimit(other).allowed, true);
+  });
+
+  it('limits concurrent streams until they are released', () => {
+    updateDefaultRateLimits({ requestsPerMinute: null, concurrentStreams: 1, dailyTokens: null, monthlyTokens: null });
+    const caller = identifyCaller('Bearer stream-caller-token');
+    const first = checkRateLimit(caller, { streaming: true });
+    assert.equal(first.allowed, true);
+    assert.equal(checkRateLimit(caller, { streaming: true }).allowed, false);
+    first.release();
+    assert.equal(checkRateLimit(caller, { streaming: true }).allowed, true);
+  });
+
+  it('rejects callers over their daily token budget', () => {
+    updateDefaultRateLimits({ requestsPerMinute: null, concurrentStreams: null, dailyTokens: 100, monthlyTokens: null });
+    const caller = identifyCaller('Bearer budget-caller-token');
+    assert.equal(checkRateLimit(caller).allowed, true);
+    recordTokenUsage(caller, { totalTokens: 100 });
+    const rejected = checkRateLimit(caller);
+    assert.equal(rejected.allowed, false);
+    assert.equal(rejected.limitType, 'tokens');
+    assert.equal(rejected.headers['x-ratelimit-remaining-tokens'], '0');
+  });
+
+  it('lists callers with recent requests even before they use tokens', () => {
+    updateDefaultRateLimits({ requestsPerMinute: 10, concurrentStreams: null, dailyTokens: null, monthlyTokens: null });
+    const caller = identifyCaller('Bearer listed-caller-token');
+    checkRateLimit(caller);
+    const identity = getRateLimitStatus().identities.find((item) => item.id === getClientIdentity(caller).id);
+    assert.equal(identity.label, caller.tokenSnippet);
+    assert.equal(identity.requestsLastMinute, 1);
+    assert.equal(identity.dayTokens, 0);
+  });
+});
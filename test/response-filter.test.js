@@ -0,0 +1,214 @@
+import { after, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { keywordFilter } from '../keyword-filter.js';
+import { filterResponseBody, filterResponseStream } from '../response-filter.js';
+
+const RULES = [
+  {
+    id: 'mask-secret',
+    enabled: true,
+    direction: 'response',
+    pattern: { type: 'contains', value: 'secret' },
+    action: { type: 'replace', replacement: '***' }
+  },
+  {
+    id: 'drop-forbidden',
+    enabled: true,
+    direction: 'response',
+    pattern: { type: 'contains', value: 'FORBIDDEN' },
+    action: { type: 'remove_content' }
+  },
+  {
+    id: 'only-gpt',
+    enabled: true,
+    direction: 'response',
+    conditions: { models: ['gpt-*'] },
+    pattern: { type: 'contains', value: 'gpt-only' },
+    action: { type: 'replace', replacement: 'scoped' }
+  }
+];
+
+let tempDir;
+
+function writeRules(rules, enabled = true, options = {}) {
+  const configPath = path.join(tempDir, 'keywords-filter.json');
+  fs.writeFileSync(configPath, JSON.stringify({ enabled, rules, ...options }));
+  keywordFilter.loadConfig(configPath);
+}
+
+async function collect(chunks, format, context) {
+  const source = (async function* () {
+    yield* chunks;
+  })();
+  let output = '';
+  for await (const chunk of filterResponseStream(source, format, context)) {
+    output += chunk;
+  }
+  return output;
+}
+
+function parseEvents(output) {
+  return output.trim().split('\n\n').map((block) => {
+    const data = block.split('\n').find((line) => line.startsWith('data: ')).slice(6);
+    return data === '[DONE]' ? data : JSON.parse(data);
+  });
+}
+
+function sse(data, event = null) {
+  return `${event ? `event: ${event}\n` : ''}data: ${typeof data === 'string' ? data : JSON.stringify(data)}\n\n`;
+}
+
+function chatDelta(content, extra = {}) {
+  return sse({ id: 'c1', object: 'chat.completion.chunk', choices: [{ index: 0, delta: { content }, finish_reason: null, ...extra }] });
+}
+
+before(() => {
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'response-filter-'));
+});
+
+after(() => {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+describe('filterResponseStream', () => {
+  beforeEach(() => writeRules(RULES));
+
+  it('passes the stream through unchanged when no rules apply', async () => {
+    writeRules(RULES, false);
+    const chunks = [chatDelta('a secret'), sse('[DONE]')];
+    assert.equal(await collect(chunks, 'chat'), chunks.join(''));
+  });
+
+  it('replaces keywords split across chat chunks and flushes before finish_reason', async () => {
+    const chunks = [
+      chatDelta('the sec'),
+      chatDelta('ret is out'),
+      sse({ id: 'c1', choices: [{ index: 0, delta: {}, finish_reason: 'stop' }] }),
+      sse('[DONE]')
+    ];
+    const events = parseEvents(await collect(chunks, 'chat'));
+    const text = events
+      .filter((event) => event !== '[DONE]')
+      .map((event) => event.choices[0].delta.content || '')
+      .join('');
+    assert.equal(text, 'the *** is out');
+    const finishIndex = events.findIndex((event) => event.choices?.[0].finish_reason === 'stop');
+    assert.ok(events.slice(0, finishIndex).map((event) => event.choices[0].delta.content).join('').endsWith('is out'));
+    assert.equal(events.at(-1), '[DONE]');
+  });
+
+  it('handles SSE events split in the middle of a line', async () => {
+    const raw = chatDelta('my secret') + sse('[DONE]');
+    const chunks = [raw.slice(0, 17), raw.slice(17, 40), raw.slice(40)];
+    const events = parseEvents(await collect(chunks, 'chat'));
+    assert.equal(events.filter((event) => event !== '[DONE]').map((event) => event.choices[0].delta.content).join(''), 'my ***');
+  });
+
+  it('rewrites Anthropic text deltas and flushes at content_block_stop', async () => {
+    const chunks = [
+      sse({ type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } }, 'content_block_start'),
+      sse({ type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'top se' } }, 'content_block_delta'),
+      sse({ type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'cret!' } }, 'content_block_delta'),
+      sse({ type: 'content_block_stop', index: 0 }, 'content_block_stop'),
+      sse({ type: 'message_stop' }, 'message_stop')
+    ];
+    const events = parseEvents(await collect(chunks, 'anthropic'));
+    const stopIndex = events.findIndex((event) => event.type === 'content_block_stop');
+    const text = events.slice(0, stopIndex)
+      .filter((event) => event.type === 'content_block_delta')
+      .map((event) => event.delta.text)
+      .join('');
+    assert.equal(text, 'top ***!');
+  });
+
+  it('drops the rest of a block after a remove_content match', async () => {
+    const chunks = [
+      sse({ type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'FORBIDDEN text' } }, 'content_block_delta'),
+      sse({ type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: ' more' } }, 'content_block_delta'),
+      sse({ type: 'content_block_stop', index: 0 }, 'content_block_stop')
+    ];
+    const events = parseEvents(await collect(chunks, 'anthropic'));
+    assert.deepEqual(events.map((event) => event.type), ['content_block_stop']);
+  });
+
+  it('keeps Responses sequence numbers contiguous and rewrites done events', async () => {
+    let sequence = 0;
+    const event = (type, extra) => sse({ type, sequence_number: sequence++, ...extra }, type);
+    const chunks = [
+      event('response.created', {}),
+      event('response.output_text.delta', { item_id: 'm', content_index: 0, delta: 'a sec' }),
+      event('response.output_text.delta', { item_id: 'm', content_index: 0, delta: 'ret' }),
+      event('response.output_text.done', { item_id: 'm', content_index: 0, text: 'a secret' }),
+      event('response.completed', {
+        response: { output: [{ id: 'm', type: 'message', content: [{ type: 'output_text', text: 'a secret' }] }] }
+      })
+    ];
+    const events = parseEvents(await collect(chunks, 'responses'));
+    assert.deepEqual(events.map((item) => item.sequence_number), events.map((item, index) => index));
+    const deltas = events.filter((item) => item.type === 'response.output_text.delta').map((item) => item.delta);
+    assert.equal(deltas.join(''), 'a ***');
+    assert.equal(events.find((item) => item.type === 'response.output_text.done').text, 'a ***');
+    assert.equal(events.at(-1).response.output[0].content[0].text, 'a ***');
+  });
+
+  it('does not rewrite regex replacements again as the buffer slides', async () => {
+    const rules = [{
+      id: 'redact-password',
+      enabled: true,
+      direction: 'response',
+      pattern: { type: 'regex', value: 'password' },
+      action: { type: 'replace', replacement: '<redacted password>' }
+    }];
+    writeRules(rules, true, { responseBufferSize: 20 });
+    const words = Array.from({ length: 30 }, (item, index) => (index % 4 === 0 ? 'password ' : `word${index} `));
+    const events = parseEvents(await collect([...words.map((word) => chatDelta(word)), sse('[DONE]')], 'chat'));
+    const text = events
+      .filter((event) => event !== '[DONE]')
+      .map((event) => event.choices[0].delta.content)
+      .join('');
+    assert.equal(text, keywordFilter.filterResponseText(words.join(''), rules).text);
+    assert.equal(text.split('<redacted password>').length - 1, 8);
+    assert.ok(!text.includes('<redacted <redacted'));
+  });
+
+  it('applies only the rules whose conditions match the request', async () => {
+    const chunks = [chatDelta('gpt-only'), sse('[DONE]')];
+    const text = (output) => parseEvents(output)
+      .filter((event) => event !== '[DONE]')
+      .map((event) => event.choices[0].delta.content)
+      .join('');
+    assert.equal(text(await collect(chunks, 'chat', { model: 'gpt-5' })), 'scoped');
+    assert.equal(text(await collect(chunks, 'chat', { model: 'claude-sonnet' })), 'gpt-only');
+  });
+});
+
+describe('filterResponseBody', () => {
+  before(() => writeRules(RULES));
+
+  it('rewrites chat completion messages', () => {
+    const data = { choices: [{ index: 0, message: { role: 'assistant', content: 'the secret' } }] };
+    filterResponseBody(data, 'chat');
+    assert.equal(data.choices[0].message.content, 'the ***');
+  });
+
+  it('rewrites and removes Responses output_text parts', () => {
+    const data = {
+      output: [{
+        type: 'message',
+        content: [{ type: 'output_text', text: 'secret' }, { type: 'output_text', text: 'FORBIDDEN' }]
+      }]
+    };
+    filterResponseBody(data, 'responses');
+    assert.deepEqual(data.output[0].content, [{ type: 'output_text', text: '***' }]);
+  });
+
+  it('rewrites Anthropic text blocks and leaves other blocks alone', () => {
+    const toolUse = { type: 'tool_use', id: 't', name: 'secret', input: {} };
+    const data = { content: [{ type: 'text', text: 'a secret' }, toolUse, { type: 'text', text: 'FORBIDDEN' }] };
+    filterResponseBody(data, 'anthropic');
+    assert.deepEqual(data.content, [{ type: 'text', text: 'a ***' }, toolUse]);
+  });
+});
@@ -0,0 +1,139 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { transformResponsesToAnthropic, transformResponsesToCommon } from '../transformers/request-responses.js';
+import { ResponsesResponseTransformer, convertMessageToResponse } from '../transformers/response-responses.js';
+
+// config.json 在第一次使用时加载，用环境变量覆盖模型列表，不依赖本地配置
+process.env.DROID2API_MODELS = JSON.stringify([{ id: 'thinking-model', type: 'anthropic', reasoning: 'auto' }]);
+process.env.DROID2API_MODEL_REDIRECTS = '{}';
+
+const toolTurn = [
+  { role: 'user', content: 'weather in Paris?' },
+  { type: 'function_call', call_id: 'call_1', name: 'get_weather', arguments: '{"city":"Paris"}' },
+  { type: 'function_call_output', call_id: 'call_1', output: [{ type: 'input_text', text: 'sunny' }] }
+];
+
+function sse(type, data) {
+  return `event: ${type}\ndata: ${JSON.stringify({ type, ...data })}\n\n`;
+}
+
+async function collect(transformer, chunks) {
+  const source = (async function* () {
+    yield* chunks;
+  })();
+  let output = '';
+  for await (const chunk of transformer.transformStream(source)) {
+    output += chunk;
+  }
+  return output.trim().split('\n\n').map((block) => JSON.parse(block.split('\n')[1].slice(6)));
+}
+
+describe('transformResponsesToAnthropic', () => {
+  it('converts function calls and outputs to tool_use and tool_result blocks', () => {
+    const request = transformResponsesToAnthropic({
+      model: 'plain-model',
+      input: toolTurn,
+      tool_choice: { type: 'function', name: 'get_weather' },
+      parallel_tool_calls: false
+    });
+    assert.deepEqual(request.messages.slice(1), [
+      { role: 'assistant', content: [{ type: 'tool_use', id: 'call_1', name: 'get_weather', input: { city: 'Paris' } }] },
+      { role: 'user', content: [{ type: 'tool_result', tool_use_id: 'call_1', content: 'sunny' }] }
+    ]);
+    assert.deepEqual(request.tool_choice, { type: 'tool', name: 'get_weather', disable_parallel_tool_use: true });
+  });
+
+  it('replays signed reasoning items as thinking blocks before the tool call', () => {
+    const request = transformResponsesToAnthropic({
+      model: 'thinking-model',
+      reasoning: { effort: 'high' },
+      input: [
+        toolTurn[0],
+        { type: 'reasoning', summary: [{ type: 'summary_text', text: 'Need the weather.' }], encrypted_content: 'sig-1' },
+        ...toolTurn.slice(1)
+      ]
+    });
+    assert.deepEqual(request.thinking, { type: 'enabled', budget_tokens: 24576 });
+    assert.deepEqual(request.messages[1].content.map((block) => block.type), ['thinking', 'tool_use']);
+    assert.deepEqual(request.messages[1].content[0], { type: 'thinking', thinking: 'Need the weather.', signature: 'sig-1' });
+  });
+
+  it('turns thinking off when the last tool call has no reasoning to replay', () => {
+    const request = transformResponsesToAnthropic({
+      model: 'thinking-model',
+      reasoning: { effort: 'high' },
+      temperature: 0.2,
+      input: [
+        { role: 'user', content: 'hi' },
+        { type: 'reasoning', summary: [{ type: 'summary_text', text: 'old' }], encrypted_content: 'sig-0' },
+        { role: 'assistant', content: [{ type: 'output_text', text: 'hello' }] },
+        ...toolTurn
+      ]
+    });
+    assert.equal(request.thinking, undefined);
+    assert.equal(request.temperature, 0.2);
+    assert.ok(request.messages.every((message) => message.content.every((block) => block.type !== 'thinking')));
+    assert.deepEqual(request.messages.map((message) => message.role), ['user', 'assistant', 'user', 'assistant', 'user']);
+  });
+
+  it('keeps thinking on when there is no tool call in flight', () => {
+    const request = transformResponsesToAnthropic({ model: 'thinking-model', reasoning: { effort: 'low' }, input: 'hi' });
+    assert.deepEqual(request.thinking, { type: 'enabled', budget_tokens: 4096 });
+  });
+});
+
+describe('transformResponsesToCommon', () => {
+  it('merges consecutive function calls into one assistant message', () => {
+    const request = transformResponsesToCommon({
+      model: 'plain-model',
+      input: [
+        toolTurn[0],
+        toolTurn[1],
+        { type: 'function_call', call_id: 'call_2', name: 'get_time', arguments: '' },
+        toolTurn[2]
+      ]
+    });
+    const messages = request.messages.filter((message) => message.role !== 'system');
+    assert.deepEqual(messages[1].tool_calls.map((call) => [call.id, call.function.arguments]), [
+      ['call_1', '{"city":"Paris"}'],
+      ['call_2', '{}']
+    ]);
+    assert.deepEqual(messages[2], { role: 'tool', tool_call_id: 'call_1', content: 'sunny' });
+  });
+});
+
+describe('Anthropic responses as Responses API output', () => {
+  it('keeps the thinking signature in encrypted_content', () => {
+    const response = convertMessageToResponse({
+      type: 'message',
+      stop_reason: 'tool_use',
+      content: [
+        { type: 'thinking', thinking: 'Need the weather.', signature: 'sig-1' },
+        { type: 'tool_use', id: 'toolu_1', name: 'get_weather', input: { city: 'Paris' } }
+      ]
+    }, 'thinking-model');
+    assert.equal(response.output[0].encrypted_content, 'sig-1');
+    assert.deepEqual(response.output[1], { ...response.output[1], type: 'function_call', call_id: 'toolu_1', arguments: '{"city":"Paris"}' });
+  });
+
+  it('carries the streamed signature_delta into the reasoning item', async () => {
+    const events = await collect(new ResponsesResponseTransformer('thinking-model', 'anthropic'), [
+      sse('message_start', { message: { usage: { input_tokens: 5 } } }),
+      sse('content_block_start', { index: 0, content_block: { type: 'thinking', thinking: '', signature: '' } }),
+      sse('content_block_delta', { index: 0, delta: { type: 'thinking_delta', thinking: 'Need the weather.' } }),
+      sse('content_block_delta', { index: 0, delta: { type: 'signature_delta', signature: 'sig-1' } }),
+      sse('content_block_stop', { index: 0 }),
+      sse('content_block_start', { index: 1, content_block: { type: 'tool_use', id: 'toolu_1', name: 'get_weather', input: {} } }),
+      sse('content_block_delta', { index: 1, delta: { type: 'input_json_delta', partial_json: '{"city":"Paris"}' } }),
+      sse('content_block_stop', { index: 1 }),
+      sse('message_delta', { delta: { stop_reason: 'tool_use' }, usage: { output_tokens: 9 } }),
+      sse('message_stop', {})
+    ]);
+    const completed = events.at(-1);
+    assert.equal(completed.type, 'response.completed');
+    const [reasoning, functionCall] = completed.response.output;
+    assert.equal(reasoning.encrypted_content, 'sig-1');
+    assert.equal(reasoning.summary[0].text, 'Need the weather.');
+    assert.equal(functionCall.arguments, '{"city":"Paris"}');
+  });
+});
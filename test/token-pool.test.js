@@ -0,0 +1,107 @@
+import { after, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// state.js 在加载时读取 TOKEN_STORE_PATH，需要先设置再动态导入
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'token-pool-'));
+process.env.TOKEN_STORE_PATH = path.join(tempDir, 'token-store.json');
+delete process.env.FACTORY_API_KEY;
+delete process.env.DROID_REFRESH_KEY;
+
+const { addToken, initializeDashboardState, listTokens, setTokenWeight, updatePoolSettings } = await import('../state.js');
+const {
+  getPoolStatus,
+  isFailoverStatus,
+  markPoolTokenFailure,
+  resetPoolTokenCooldown,
+  selectPoolToken
+} = await import('../token-pool.js');
+const { getPooledApiKey } = await import('../auth.js');
+
+function pick(count) {
+  return Array.from({ length: count }, () => selectPoolToken().label);
+}
+
+describe('token pool', () => {
+  let keys;
+
+  before(() => {
+    initializeDashboardState();
+    addToken('factory', 'fk-aaaa-1111', 'a');
+    addToken('factory', 'fk-bbbb-2222', 'b');
+    addToken('factory', 'fk-cccc-3333', 'c');
+    updatePoolSettings({ enabled: true, authCooldownSeconds: 300, rateLimitCooldownSeconds: 60 });
+    keys = Object.fromEntries(getPoolStatus().tokens.map((token) => [token.label, token.key]));
+  });
+
+  beforeEach(() => {
+    updatePoolSettings({ strategy: 'round-robin' });
+    for (const token of listTokens('factory')) {
+      setTokenWeight('factory', token.id, 1);
+    }
+    for (const key of Object.values(keys)) {
+      resetPoolTokenCooldown(key);
+    }
+  });
+
+  after(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('rotates through every token with round-robin', () => {
+    const labels = pick(6);
+    assert.deepEqual(new Set(labels.slice(0, 3)), new Set(['a', 'b', 'c']));
+    assert.deepEqual(labels.slice(3), labels.slice(0, 3));
+  });
+
+  it('spreads requests by weight and skips zero-weight tokens', () => {
+    updatePoolSettings({ strategy: 'weighted' });
+    const [a, b, c] = listTokens('factory');
+    setTokenWeight('factory', a.id, 2);
+    setTokenWeight('factory', b.id, 1);
+    setTokenWeight('factory', c.id, 0);
+    const labels = pick(6);
+    assert.equal(labels.filter((label) => label === 'a').length, 4);
+    assert.equal(labels.filter((label) => label === 'b').length, 2);
+    assert.ok(!labels.includes('c'));
+  });
+
+  it('skips tokens on cooldown until the cooldown is cleared', () => {
+    markPoolTokenFailure(keys.a, 401, 'unauthorized');
+    assert.ok(!pick(4).includes('a'));
+
+    const status = getPoolStatus().tokens.find((token) => token.key === keys.a);
+    assert.equal(status.healthy, false);
+    assert.equal(status.lastStatus, 401);
+    const remaining = new Date(status.cooldownUntil).getTime() - Date.now();
+    assert.ok(remaining > 290 * 1000 && remaining <= 300 * 1000);
+
+    resetPoolTokenCooldown(keys.a);
+    assert.ok(pick(3).includes('a'));
+  });
+
+  it('uses Retry-After for rate limited tokens', () => {
+    markPoolTokenFailure(keys.b, 429, 'slow down', 5);
+    const status = getPoolStatus().tokens.find((token) => token.key === keys.b);
+    assert.ok(new Date(status.cooldownUntil).getTime() - Date.now() <= 5 * 1000);
+  });
+
+  it('fails over only on auth and quota errors', () => {
+    assert.deepEqual([401, 402, 429].map(isFailoverStatus), [true, true, true]);
+    assert.deepEqual([400, 403, 500].map(isFailoverStatus), [false, false, false]);
+  });
+
+  it('fails over to the next token and reports 503 when none is left', async () => {
+    const first = await getPooledApiKey();
+    const second = await getPooledApiKey(new Set([first.poolTokenKey]));
+    assert.notEqual(second.poolTokenKey, first.poolTokenKey);
+    assert.equal(second.header, `Bearer ${listTokens('factory').find((token) => token.label === second.tokenLabel).value}`);
+
+    markPoolTokenFailure(keys.a, 402, 'quota');
+    markPoolTokenFailure(keys.b, 402, 'quota');
+    assert.equal((await getPooledApiKey()).tokenLabel, 'c');
+    await assert.rejects(getPooledApiKey(new Set([keys.c])), { status: 503 });
+  });
+});
@@ -0,0 +1,100 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  appendMessage,
+  parseToolArguments,
+  toAnthropicToolChoice,
+  toFinishReason,
+  toStopReason,
+  toolOutputToText
+} from '../transformers/utils.js';
+import { transformMessagesToCommon, transformMessagesToResponses } from '../transformers/request-messages.js';
+import { convertChatCompletionToMessage } from '../transformers/response-messages.js';
+
+describe('transformer utils', () => {
+  it('merges consecutive content of the same role', () => {
+    const messages = [];
+    appendMessage(messages, 'user', [{ type: 'text', text: 'a' }]);
+    appendMessage(messages, 'user', [{ type: 'tool_result', tool_use_id: 't', content: 'b' }]);
+    appendMessage(messages, 'assistant', []);
+    appendMessage(messages, 'assistant', [{ type: 'text', text: 'c' }]);
+    assert.deepEqual(messages.map((message) => [message.role, message.content.length]), [['user', 2], ['assistant', 1]]);
+  });
+
+  it('parses tool arguments and keeps invalid JSON as a raw string', () => {
+    assert.deepEqual(parseToolArguments('{"city":"Paris"}'), { city: 'Paris' });
+    assert.deepEqual(parseToolArguments({ city: 'Paris' }), { city: 'Paris' });
+    assert.deepEqual(parseToolArguments(''), {});
+    assert.deepEqual(parseToolArguments(undefined), {});
+    assert.deepEqual(parseToolArguments('{"city":'), { arguments: '{"city":' });
+  });
+
+  it('flattens tool output of every format to text', () => {
+    assert.equal(toolOutputToText('done'), 'done');
+    assert.equal(toolOutputToText([{ type: 'text', text: 'a' }, { type: 'image' }, { type: 'output_text', text: 'b' }]), 'ab');
+    assert.equal(toolOutputToText(null), '');
+    assert.equal(toolOutputToText({ ok: true }), '{"ok":true}');
+  });
+
+  it('maps stop and finish reasons in both directions', () => {
+    assert.equal(toFinishReason('tool_use'), 'tool_calls');
+    assert.equal(toFinishReason('max_tokens'), 'length');
+    assert.equal(toFinishReason('unknown'), 'stop');
+    assert.equal(toStopReason('tool_calls'), 'tool_use');
+    assert.equal(toStopReason('length'), 'max_tokens');
+    assert.equal(toStopReason(null), 'end_turn');
+  });
+
+  it('maps Chat Completions and Responses tool_choice to Anthropic', () => {
+    assert.deepEqual(toAnthropicToolChoice('required'), { type: 'any' });
+    assert.deepEqual(toAnthropicToolChoice('none', false), { type: 'none' });
+    assert.deepEqual(toAnthropicToolChoice({ type: 'function', function: { name: 'a' } }, false), {
+      type: 'tool', name: 'a', disable_parallel_tool_use: true
+    });
+    assert.deepEqual(toAnthropicToolChoice({ type: 'function', name: 'b' }), { type: 'tool', name: 'b' });
+    assert.equal(toAnthropicToolChoice(undefined), null);
+  });
+});
+
+describe('Anthropic requests to other upstreams', () => {
+  const request = {
+    model: 'test-model',
+    max_tokens: 100,
+    messages: [
+      { role: 'user', content: 'weather?' },
+      { role: 'assistant', content: [{ type: 'tool_use', id: 'toolu_1', name: 'get_weather', input: { city: 'Paris' } }] },
+      { role: 'user', content: [{ type: 'tool_result', tool_use_id: 'toolu_1', content: [{ type: 'text', text: 'sunny' }] }] }
+    ]
+  };
+
+  it('converts tool_use and tool_result blocks to Responses items', () => {
+    const { input } = transformMessagesToResponses(request);
+    assert.deepEqual(input.slice(1), [
+      { type: 'function_call', call_id: 'toolu_1', name: 'get_weather', arguments: '{"city":"Paris"}' },
+      { type: 'function_call_output', call_id: 'toolu_1', output: 'sunny' }
+    ]);
+  });
+
+  it('converts tool_use and tool_result blocks to Chat Completions messages', () => {
+    const messages = transformMessagesToCommon(request).messages.filter((message) => message.role !== 'system');
+    assert.deepEqual(messages.slice(1), [
+      {
+        role: 'assistant',
+        content: null,
+        tool_calls: [{ id: 'toolu_1', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Paris"}' } }]
+      },
+      { role: 'tool', tool_call_id: 'toolu_1', content: 'sunny' }
+    ]);
+  });
+
+  it('converts chat completion tool calls back to tool_use blocks', () => {
+    const message = convertChatCompletionToMessage({
+      choices: [{
+        finish_reason: 'tool_calls',
+        message: { content: null, tool_calls: [{ id: 'call_1', function: { name: 'get_weather', arguments: 'not json' } }] }
+      }]
+    }, 'test-model');
+    assert.equal(message.stop_reason, 'tool_use');
+    assert.deepEqual(message.content, [{ type: 'tool_use', id: 'call_1', name: 'get_weather', input: { arguments: 'not json' } }]);
+  });
+});
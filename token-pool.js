@@ -0,0 +1,160 @@
+import { logInfo, logWarning } from './logger.js';
+import { getPoolSettings, listTokens, maskToken } from './state.js';
+
+// 号池模式：在所有服务器令牌间分配请求，遇到认证/额度错误时冷却并切换
+
+// 403 多为内容或权限拒绝，与令牌本身无关，不触发冷却
+const FAILOVER_STATUSES = [401, 402, 429];
+
+// `${type}:${id}` -> 运行时健康状态（不持久化）
+const tokenHealth = new Map();
+// weighted 策略的平滑加权轮询状态
+const weightedCurrent = new Map();
+let roundRobinCursor = 0;
+
+export function getPoolTokenKey(type, id) {
+  return `${type}:${id}`;
+}
+
+function getHealth(key) {
+  if (!tokenHealth.has(key)) {
+    tokenHealth.set(key, {
+      requests: 0,
+      failures: 0,
+      cooldownUntil: 0,
+      lastStatus: null,
+      lastError: null,
+      lastUsedAt: null
+    });
+  }
+  return tokenHealth.get(key);
+}
+
+function getWeight(token) {
+  return typeof token.weight === 'number' ? token.weight : 1;
+}
+
+function isQuotaExhausted(token) {
+  return Boolean(token.quota && token.quota.exhausted);
+}
+
+function getPoolCandidates() {
+  return [
+    ...listTokens('factory').map((token) => ({ ...token, type: 'factory' })),
+    ...listTokens('refresh').map((token) => ({ ...token, type: 'refresh' }))
+  ].map((token) => ({ ...token, key: getPoolTokenKey(token.type, token.id) }));
+}
+
+export function isPoolEnabled() {
+  return getPoolSettings().enabled === true;
+}
+
+export function isFailoverStatus(status) {
+  return FAILOVER_STATUSES.includes(status);
+}
+
+/**
+ * Pick the next healthy token according to the configured strategy.
+ * @param {Set<string>} excludeKeys - token keys already tried for this request
+ * @returns {Object|null} token record with type and key, or null if none is usable
+ */
+export function selectPoolToken(excludeKeys = new Set()) {
+  const { strategy } = getPoolSettings();
+  const now = Date.now();
+  const healthy = getPoolCandidates().filter((token) => (
+    !excludeKeys.has(token.key)
+    && getWeight(token) > 0
+    && !isQuotaExhausted(token)
+    && getHealth(token.key).cooldownUntil <= now
+  ));
+
+  if (healthy.length === 0) {
+    return null;
+  }
+
+  let selected;
+  if (strategy === 'least-used') {
+    selected = healthy.reduce((best, token) => (
+      getHealth(token.key).requests < getHealth(best.key).requests ? token : best
+    ));
+  } else if (strategy === 'weighted') {
+    // nginx 风格的平滑加权轮询
+    const totalWeight = healthy.reduce((sum, token) => sum + getWeight(token), 0);
+    for (const token of healthy) {
+      weightedCurrent.set(token.key, (weightedCurrent.get(token.key) || 0) + getWeight(token));
+    }
+    selected = healthy.reduce((best, token) => (
+      weightedCurrent.get(token.key) > weightedCurrent.get(best.key) ? token : best
+    ));
+    weightedCurrent.set(selected.key, weightedCurrent.get(selected.key) - totalWeight);
+  } else {
+    selected = healthy[roundRobinCursor % healthy.length];
+    roundRobinCursor = (roundRobinCursor + 1) % Number.MAX_SAFE_INTEGER;
+  }
+
+  const health = getHealth(selected.key);
+  health.requests++;
+  health.lastUsedAt = new Date().toISOString();
+  return selected;
+}
+
+/**
+ * Put a token on cooldown after an auth or quota error.
+ * @param {string} key - pool token key
+ * @param {number} status - upstream HTTP status (0 when the token could not be used at all)
+ * @param {string} message - error detail for the dashboard
+ * @param {number|null} retryAfterSeconds - upstream Retry-After hint
+ */
+export function markPoolTokenFailure(key, status, message = null, retryAfterSeconds = null) {
+  const settings = getPoolSettings();
+  const health = getHealth(key);
+  const cooldownSeconds = status === 429
+    ? (retryAfterSeconds || settings.rateLimitCooldownSeconds)
+    : settings.authCooldownSeconds;
+
+  health.failures++;
+  health.lastStatus = status;
+  health.lastError = message;
+  health.cooldownUntil = Date.now() + cooldownSeconds * 1000;
+  logWarning(`Token ${key} put on cooldown for ${cooldownSeconds}s (status ${status})`);
+}
+
+export function markPoolTokenSuccess(key) {
+  const health = getHealth(key);
+  health.lastStatus = 200;
+  health.lastError = null;
+}
+
+export function resetPoolTokenCooldown(key) {
+  const health = getHealth(key);
+  health.cooldownUntil = 0;
+  health.lastError = null;
+  logInfo(`Token ${key} cooldown cleared`);
+}
+
+export function getPoolStatus() {
+  const now = Date.now();
+  return {
+    settings: getPoolSettings(),
+    tokens: getPoolCandidates().map((token) => {
+      const health = getHealth(token.key);
+      const coolingDown = health.cooldownUntil > now;
+      return {
+        key: token.key,
+        type: token.type,
+        id: token.id,
+        label: token.label,
+        snippet: maskToken(token.value),
+        weight: getWeight(token),
+        requests: health.requests,
+        failures: health.failures,
+        lastStatus: health.lastStatus,
+        lastError: health.lastError,
+        lastUsedAt: health.lastUsedAt,
+        cooldownUntil: coolingDown ? new Date(health.cooldownUntil).toISOString() : null,
+        quotaExhausted: isQuotaExhausted(token),
+        healthy: !coolingDown && getWeight(token) > 0 && !isQuotaExhausted(token)
+      };
+    })
+  };
+}
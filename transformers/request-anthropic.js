@@ -1,5 +1,6 @@
 import { logDebug } from '../logger.js';
 import { getSystemPrompt, getModelReasoning, getUserAgent } from '../config.js';
+import { THINKING_BUDGETS, appendMessage, parseToolArguments, toAnthropicToolChoice } from './utils.js';
 
 export function transformToAnthropic(openaiRequest) {
   logDebug('Transforming OpenAI request to Anthropic format');
@@ -50,35 +51,56 @@ export function transformToAnthropic(openaiRequest) {
         continue; // Skip adding system messages to messages array
       }
 
-      const anthropicMsg = {
-        role: msg.role,
-        content: []
-      };
+      // Tool results are sent back to Anthropic as tool_result blocks in a user turn
+      if (msg.role === 'tool') {
+        appendMessage(anthropicRequest.messages, 'user', [{
+          type: 'tool_result',
+          tool_use_id: msg.tool_call_id,
+          content: transformToolResultContent(msg.content)
+        }]);
+        continue;
+      }
+
+      const content = [];
 
       if (typeof msg.content === 'string') {
-        anthropicMsg.content.push({
-          type: 'text',
-          text: msg.content
-        });
+        if (msg.content) {
+          content.push({
+            type: 'text',
+            text: msg.content
+          });
+        }
       } else if (Array.isArray(msg.content)) {
         for (const part of msg.content) {
           if (part.type === 'text') {
-            anthropicMsg.content.push({
+            content.push({
               type: 'text',
               text: part.text
             });
           } else if (part.type === 'image_url') {
-            anthropicMsg.content.push({
+            content.push({
               type: 'image',
               source: part.image_url
             });
           } else {
-            anthropicMsg.content.push(part);
+            content.push(part);
           }
         }
       }
 
-      anthropicRequest.messages.push(anthropicMsg);
+      // Assistant tool calls become tool_use blocks
+      if (msg.role === 'assistant' && Array.isArray(msg.tool_calls)) {
+        for (const toolCall of msg.tool_calls) {
+          content.push({
+            type: 'tool_use',
+            id: toolCall.id,
+            name: toolCall.function?.name,
+            input: parseToolArguments(toolCall.function?.arguments)
+          });
+        }
+      }
+
+      appendMessage(anthropicRequest.messages, msg.role, content);
     }
   }
 
@@ -111,6 +133,12 @@ export function transformToAnthropic(openaiRequest) {
     });
   }
 
+  // Transform tool_choice if present
+  const toolChoice = toAnthropicToolChoice(openaiRequest.tool_choice, openaiRequest.parallel_tool_calls);
+  if (toolChoice) {
+    anthropicRequest.tool_choice = toolChoice;
+  }
+
   // Handle thinking field based on model configuration
   const reasoningLevel = getModelReasoning(openaiRequest.model);
   if (reasoningLevel === 'auto') {
@@ -121,15 +149,9 @@ export function transformToAnthropic(openaiRequest) {
     // If original request has no thinking field, don't add one
   } else if (reasoningLevel && ['low', 'medium', 'high'].includes(reasoningLevel)) {
     // Specific level: override with model configuration
-    const budgetTokens = {
-      'low': 4096,
-      'medium': 12288,
-      'high': 24576
-    };
-    
     anthropicRequest.thinking = {
       type: 'enabled',
-      budget_tokens: budgetTokens[reasoningLevel]
+      budget_tokens: THINKING_BUDGETS[reasoningLevel]
     };
   } else {
     // Off or invalid: explicitly remove thinking field
@@ -154,6 +176,21 @@ export function transformToAnthropic(openaiRequest) {
   return anthropicRequest;
 }
 
+function transformToolResultContent(content) {
+  if (typeof content === 'string') {
+    return content;
+  }
+  if (Array.isArray(content)) {
+    return content
+      .filter(part => part.type === 'text')
+      .map(part => ({ type: 'text', text: part.text }));
+  }
+  if (content === null || content === undefined) {
+    return '';
+  }
+  return JSON.stringify(content);
+}
+
 export function getAnthropicHeaders(authHeader, clientHeaders = {}, isStreaming = true, modelId = null) {
   // Generate unique IDs if not provided
   const sessionId = clientHeaders['x-session-id'] || generateUUID();
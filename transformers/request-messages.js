@@ -0,0 +1,311 @@
+import { logDebug } from '../logger.js';
+import { getSystemPrompt, getModelReasoning } from '../config.js';
+import { THINKING_BUDGETS, toolOutputToText } from './utils.js';
+
+// Anthropic 请求（/v1/messages）转换为 Responses API 或 Chat Completions 上游请求
+
+function extractSystemText(system) {
+  if (typeof system === 'string') {
+    return system;
+  }
+  if (Array.isArray(system)) {
+    return system
+      .filter(part => part.type === 'text')
+      .map(part => part.text)
+      .join('\n');
+  }
+  return '';
+}
+
+function normalizeContent(content) {
+  if (typeof content === 'string') {
+    return content ? [{ type: 'text', text: content }] : [];
+  }
+  return Array.isArray(content) ? content : [];
+}
+
+function imageToUrl(source) {
+  if (!source) {
+    return null;
+  }
+  if (source.type === 'base64') {
+    return `data:${source.media_type};base64,${source.data}`;
+  }
+  if (source.type === 'url') {
+    return source.url;
+  }
+  return null;
+}
+
+function isCustomTool(tool) {
+  // 服务端工具（web_search 等）带有版本化的 type，无法转发给非 Anthropic 上游
+  return !tool.type || tool.type === 'custom';
+}
+
+/**
+ * Map Anthropic thinking budget to a Responses reasoning effort.
+ */
+function thinkingToEffort(thinking) {
+  if (!thinking || thinking.type !== 'enabled') {
+    return null;
+  }
+  const budget = thinking.budget_tokens || 0;
+  if (budget <= THINKING_BUDGETS.low) {
+    return 'low';
+  }
+  if (budget <= THINKING_BUDGETS.medium) {
+    return 'medium';
+  }
+  return 'high';
+}
+
+export function transformMessagesToResponses(anthropicRequest) {
+  logDebug('Transforming Anthropic request to Responses format');
+
+  const targetRequest = {
+    model: anthropicRequest.model,
+    input: [],
+    store: false
+  };
+
+  if (anthropicRequest.stream !== undefined) {
+    targetRequest.stream = anthropicRequest.stream;
+  }
+
+  if (anthropicRequest.max_tokens) {
+    targetRequest.max_output_tokens = anthropicRequest.max_tokens;
+  }
+
+  const systemPrompt = getSystemPrompt();
+  const instructions = systemPrompt + extractSystemText(anthropicRequest.system);
+  if (instructions) {
+    targetRequest.instructions = instructions;
+  }
+
+  for (const msg of anthropicRequest.messages || []) {
+    const isAssistant = msg.role === 'assistant';
+    const textType = isAssistant ? 'output_text' : 'input_text';
+    let pending = [];
+
+    // 连续的文本/图片合并为一条 message，工具调用与结果按原顺序作为独立 item
+    const flush = () => {
+      if (pending.length > 0) {
+        targetRequest.input.push({ role: msg.role, content: pending });
+        pending = [];
+      }
+    };
+
+    for (const block of normalizeContent(msg.content)) {
+      if (block.type === 'text') {
+        if (block.text) {
+          pending.push({ type: textType, text: block.text });
+        }
+      } else if (block.type === 'image' && !isAssistant) {
+        const url = imageToUrl(block.source);
+        if (url) {
+          pending.push({ type: 'input_image', image_url: url });
+        }
+      } else if (block.type === 'tool_use') {
+        flush();
+        targetRequest.input.push({
+          type: 'function_call',
+          call_id: block.id,
+          name: block.name,
+          arguments: JSON.stringify(block.input ?? {})
+        });
+      } else if (block.type === 'tool_result') {
+        flush();
+        targetRequest.input.push({
+          type: 'function_call_output',
+          call_id: block.tool_use_id,
+          output: toolOutputToText(block.content)
+        });
+      } else {
+        // thinking / redacted_thinking 等块无法被其他上游识别，直接丢弃
+        logDebug(`Dropping unsupported content block: ${block.type}`);
+      }
+    }
+    flush();
+  }
+
+  if (Array.isArray(anthropicRequest.tools)) {
+    targetRequest.tools = anthropicRequest.tools
+      .filter(isCustomTool)
+      .map(tool => ({
+        type: 'function',
+        name: tool.name,
+        description: tool.description,
+        parameters: tool.input_schema || {},
+        strict: false
+      }));
+  }
+
+  const toolChoice = anthropicRequest.tool_choice;
+  if (toolChoice) {
+    if (toolChoice.type === 'auto') {
+      targetRequest.tool_choice = 'auto';
+    } else if (toolChoice.type === 'any') {
+      targetRequest.tool_choice = 'required';
+    } else if (toolChoice.type === 'none') {
+      targetRequest.tool_choice = 'none';
+    } else if (toolChoice.type === 'tool') {
+      targetRequest.tool_choice = { type: 'function', name: toolChoice.name };
+    }
+    if (toolChoice.disable_parallel_tool_use === true) {
+      targetRequest.parallel_tool_calls = false;
+    }
+  }
+
+  // Handle reasoning field based on model configuration
+  const reasoningLevel = getModelReasoning(anthropicRequest.model);
+  if (reasoningLevel === 'auto') {
+    // Auto mode: translate the client's thinking setting
+    const effort = thinkingToEffort(anthropicRequest.thinking);
+    if (effort) {
+      targetRequest.reasoning = { effort, summary: 'auto' };
+    }
+  } else if (reasoningLevel && ['low', 'medium', 'high'].includes(reasoningLevel)) {
+    targetRequest.reasoning = {
+      effort: reasoningLevel,
+      summary: 'auto'
+    };
+  }
+
+  if (anthropicRequest.temperature !== undefined) {
+    targetRequest.temperature = anthropicRequest.temperature;
+  }
+  if (anthropicRequest.top_p !== undefined) {
+    targetRequest.top_p = anthropicRequest.top_p;
+  }
+
+  logDebug('Transformed Responses request', targetRequest);
+  return targetRequest;
+}
+
+export function transformMessagesToCommon(anthropicRequest) {
+  logDebug('Transforming Anthropic request to Common format');
+
+  const commonRequest = {
+    model: anthropicRequest.model,
+    messages: []
+  };
+
+  if (anthropicRequest.stream !== undefined) {
+    commonRequest.stream = anthropicRequest.stream;
+    if (anthropicRequest.stream === true) {
+      // 需要 usage 才能生成 message_delta 中的 token 统计
+      commonRequest.stream_options = { include_usage: true };
+    }
+  }
+
+  if (anthropicRequest.max_tokens) {
+    commonRequest.max_tokens = anthropicRequest.max_tokens;
+  }
+
+  const systemPrompt = getSystemPrompt();
+  const systemText = systemPrompt + extractSystemText(anthropicRequest.system);
+  if (systemText) {
+    commonRequest.messages.push({ role: 'system', content: systemText });
+  }
+
+  for (const msg of anthropicRequest.messages || []) {
+    const blocks = normalizeContent(msg.content);
+
+    if (msg.role === 'assistant') {
+      const text = blocks
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('');
+      const toolCalls = blocks
+        .filter(block => block.type === 'tool_use')
+        .map(block => ({
+          id: block.id,
+          type: 'function',
+          function: {
+            name: block.name,
+            arguments: JSON.stringify(block.input ?? {})
+          }
+        }));
+      const assistantMsg = {
+        role: 'assistant',
+        content: text || (toolCalls.length > 0 ? null : '')
+      };
+      if (toolCalls.length > 0) {
+        assistantMsg.tool_calls = toolCalls;
+      }
+      commonRequest.messages.push(assistantMsg);
+      continue;
+    }
+
+    // tool 消息必须紧跟在 assistant 之后，所以先输出 tool_result
+    const parts = [];
+    for (const block of blocks) {
+      if (block.type === 'tool_result') {
+        commonRequest.messages.push({
+          role: 'tool',
+          tool_call_id: block.tool_use_id,
+          content: toolOutputToText(block.content)
+        });
+      } else if (block.type === 'text') {
+        parts.push({ type: 'text', text: block.text });
+      } else if (block.type === 'image') {
+        const url = imageToUrl(block.source);
+        if (url) {
+          parts.push({ type: 'image_url', image_url: { url } });
+        }
+      } else {
+        logDebug(`Dropping unsupported content block: ${block.type}`);
+      }
+    }
+
+    if (parts.length > 0) {
+      const onlyText = parts.every(part => part.type === 'text');
+      commonRequest.messages.push({
+        role: msg.role,
+        content: onlyText ? parts.map(part => part.text).join('') : parts
+      });
+    }
+  }
+
+  if (Array.isArray(anthropicRequest.tools)) {
+    commonRequest.tools = anthropicRequest.tools
+      .filter(isCustomTool)
+      .map(tool => ({
+        type: 'function',
+        function: {
+          name: tool.name,
+          description: tool.description,
+          parameters: tool.input_schema || {}
+        }
+      }));
+  }
+
+  const toolChoice = anthropicRequest.tool_choice;
+  if (toolChoice) {
+    if (toolChoice.type === 'auto') {
+      commonRequest.tool_choice = 'auto';
+    } else if (toolChoice.type === 'any') {
+      commonRequest.tool_choice = 'required';
+    } else if (toolChoice.type === 'none') {
+      commonRequest.tool_choice = 'none';
+    } else if (toolChoice.type === 'tool') {
+      commonRequest.tool_choice = { type: 'function', function: { name: toolChoice.name } };
+    }
+    if (toolChoice.disable_parallel_tool_use === true) {
+      commonRequest.parallel_tool_calls = false;
+    }
+  }
+
+  if (anthropicRequest.temperature !== undefined) {
+    commonRequest.temperature = anthropicRequest.temperature;
+  }
+  if (anthropicRequest.top_p !== undefined) {
+    commonRequest.top_p = anthropicRequest.top_p;
+  }
+  if (anthropicRequest.stop_sequences !== undefined) {
+    commonRequest.stop = anthropicRequest.stop_sequences;
+  }
+
+  logDebug('Transformed Common request', commonRequest);
+  return commonRequest;
+}
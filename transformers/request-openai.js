@@ -1,5 +1,6 @@
 import { logDebug } from '../logger.js';
 import { getSystemPrompt, getModelReasoning, getUserAgent } from '../config.js';
+import { toolOutputToText } from './utils.js';
 
 export function transformToOpenAI(openaiRequest) {
   logDebug('Transforming OpenAI request to target OpenAI format');
@@ -25,6 +26,16 @@ export function transformToOpenAI(openaiRequest) {
   // Transform messages to input
   if (openaiRequest.messages && Array.isArray(openaiRequest.messages)) {
     for (const msg of openaiRequest.messages) {
+      // Tool results become function_call_output items
+      if (msg.role === 'tool') {
+        targetRequest.input.push({
+          type: 'function_call_output',
+          call_id: msg.tool_call_id,
+          output: toolOutputToText(msg.content)
+        });
+        continue;
+      }
+
       const inputMsg = {
         role: msg.role,
         content: []
@@ -59,16 +70,60 @@ export function transformToOpenAI(openaiRequest) {
         }
       }
 
-      targetRequest.input.push(inputMsg);
+      const hasToolCalls = msg.role === 'assistant' && Array.isArray(msg.tool_calls) && msg.tool_calls.length > 0;
+
+      // Assistant messages that only carry tool calls have no message item
+      if (!hasToolCalls || inputMsg.content.some(part => part.text !== '')) {
+        targetRequest.input.push(inputMsg);
+      }
+
+      // Assistant tool calls become function_call items
+      if (hasToolCalls) {
+        for (const toolCall of msg.tool_calls) {
+          targetRequest.input.push({
+            type: 'function_call',
+            call_id: toolCall.id,
+            name: toolCall.function?.name,
+            arguments: typeof toolCall.function?.arguments === 'string'
+              ? toolCall.function.arguments
+              : JSON.stringify(toolCall.function?.arguments ?? {})
+          });
+        }
+      }
     }
   }
 
   // Transform tools if present
+  // Chat Completions nests the definition under `function`, the Responses API expects it flattened
   if (openaiRequest.tools && Array.isArray(openaiRequest.tools)) {
-    targetRequest.tools = openaiRequest.tools.map(tool => ({
-      ...tool,
-      strict: false
-    }));
+    targetRequest.tools = openaiRequest.tools.map(tool => {
+      if (tool.type === 'function' && tool.function) {
+        return {
+          type: 'function',
+          name: tool.function.name,
+          description: tool.function.description,
+          parameters: tool.function.parameters || {},
+          strict: false
+        };
+      }
+      return {
+        ...tool,
+        strict: false
+      };
+    });
+  }
+
+  // Transform tool_choice if present
+  if (openaiRequest.tool_choice !== undefined) {
+    const toolChoice = openaiRequest.tool_choice;
+    if (toolChoice && typeof toolChoice === 'object' && toolChoice.type === 'function') {
+      targetRequest.tool_choice = {
+        type: 'function',
+        name: toolChoice.function?.name || toolChoice.name
+      };
+    } else {
+      targetRequest.tool_choice = toolChoice;
+    }
   }
 
   // Extract system message as instructions and prepend system prompt
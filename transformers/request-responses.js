@@ -0,0 +1,320 @@
+import { logDebug } from '../logger.js';
+import { getSystemPrompt, getModelReasoning } from '../config.js';
+import { THINKING_BUDGETS, appendMessage, parseToolArguments, toAnthropicToolChoice, toolOutputToText } from './utils.js';
+
+// Responses API 请求（/v1/responses）转换为 Anthropic Messages 或 Chat Completions 上游请求
+
+function normalizeInput(input) {
+  if (typeof input === 'string') {
+    return input ? [{ role: 'user', content: input }] : [];
+  }
+  return Array.isArray(input) ? input : [];
+}
+
+function isMessageItem(item) {
+  return item.type === 'message' || (!item.type && item.role);
+}
+
+function isSystemRole(role) {
+  return role === 'system' || role === 'developer';
+}
+
+function imageUrlOf(part) {
+  return typeof part.image_url === 'string' ? part.image_url : part.image_url?.url;
+}
+
+function collectInstructions(request, items) {
+  const parts = [];
+  if (request.instructions) {
+    parts.push(request.instructions);
+  }
+  for (const item of items) {
+    if (isMessageItem(item) && isSystemRole(item.role)) {
+      parts.push(toolOutputToText(item.content));
+    }
+  }
+  return getSystemPrompt() + parts.filter(Boolean).join('\n');
+}
+
+function getFunctionTools(tools) {
+  if (!Array.isArray(tools)) {
+    return [];
+  }
+  // 只转换 function 工具，web_search 等内置工具无法在其他上游使用
+  return tools.filter(tool => tool.type === 'function');
+}
+
+/**
+ * Resolve the reasoning effort from the model configuration and the client request.
+ */
+function resolveReasoningEffort(request) {
+  const reasoningLevel = getModelReasoning(request.model);
+  if (reasoningLevel === 'auto') {
+    const effort = request.reasoning?.effort;
+    return THINKING_BUDGETS[effort] ? effort : null;
+  }
+  if (reasoningLevel && THINKING_BUDGETS[reasoningLevel]) {
+    return reasoningLevel;
+  }
+  return null;
+}
+
+/**
+ * 本代理把 Anthropic thinking 块转换为 reasoning item 时，签名放在 encrypted_content 中，
+ * 回传时还原为 thinking 块；没有签名的 reasoning item 无法通过 Anthropic 校验
+ */
+function reasoningToThinking(item) {
+  if (typeof item.encrypted_content !== 'string' || !item.encrypted_content) {
+    return null;
+  }
+  const thinking = (item.summary || []).map(part => part.text || '').join('');
+  return { type: 'thinking', thinking, signature: item.encrypted_content };
+}
+
+/**
+ * 启用 thinking 时，Anthropic 要求包含 tool_use 的最后一条 assistant 消息以 thinking 块开头
+ */
+function canReplayWithThinking(messages) {
+  const lastAssistant = messages.filter(message => message.role === 'assistant').pop();
+  if (!lastAssistant || !lastAssistant.content.some(block => block.type === 'tool_use')) {
+    return true;
+  }
+  return ['thinking', 'redacted_thinking'].includes(lastAssistant.content[0].type);
+}
+
+/**
+ * 去掉历史中的 thinking 块，并重新合并因此变空的消息前后的同角色消息
+ */
+function stripThinking(messages) {
+  const result = [];
+  for (const message of messages) {
+    appendMessage(result, message.role, message.content.filter(block => block.type !== 'thinking'));
+  }
+  return result;
+}
+
+export function transformResponsesToAnthropic(responsesRequest) {
+  logDebug('Transforming Responses request to Anthropic format');
+
+  const items = normalizeInput(responsesRequest.input);
+  const anthropicRequest = {
+    model: responsesRequest.model,
+    messages: [],
+    max_tokens: responsesRequest.max_output_tokens || 4096
+  };
+
+  if (responsesRequest.stream !== undefined) {
+    anthropicRequest.stream = responsesRequest.stream;
+  }
+
+  const instructions = collectInstructions(responsesRequest, items);
+  if (instructions) {
+    anthropicRequest.system = [{ type: 'text', text: instructions }];
+  }
+
+  for (const item of items) {
+    if (isMessageItem(item)) {
+      if (isSystemRole(item.role)) {
+        continue;
+      }
+      const content = [];
+      if (typeof item.content === 'string') {
+        if (item.content) {
+          content.push({ type: 'text', text: item.content });
+        }
+      } else if (Array.isArray(item.content)) {
+        for (const part of item.content) {
+          if ((part.type === 'input_text' || part.type === 'output_text') && part.text) {
+            content.push({ type: 'text', text: part.text });
+          } else if (part.type === 'input_image') {
+            const url = imageUrlOf(part);
+            const match = url && url.match(/^data:([^;]+);base64,(.*)$/);
+            if (match) {
+              content.push({ type: 'image', source: { type: 'base64', media_type: match[1], data: match[2] } });
+            } else if (url) {
+              content.push({ type: 'image', source: { type: 'url', url } });
+            }
+          }
+        }
+      }
+      appendMessage(anthropicRequest.messages, item.role === 'assistant' ? 'assistant' : 'user', content);
+    } else if (item.type === 'function_call') {
+      appendMessage(anthropicRequest.messages, 'assistant', [{
+        type: 'tool_use',
+        id: item.call_id,
+        name: item.name,
+        input: parseToolArguments(item.arguments)
+      }]);
+    } else if (item.type === 'function_call_output') {
+      appendMessage(anthropicRequest.messages, 'user', [{
+        type: 'tool_result',
+        tool_use_id: item.call_id,
+        content: toolOutputToText(item.output)
+      }]);
+    } else if (item.type === 'reasoning') {
+      const thinking = reasoningToThinking(item);
+      if (thinking) {
+        appendMessage(anthropicRequest.messages, 'assistant', [thinking]);
+      } else {
+        logDebug('Dropping reasoning item without encrypted_content');
+      }
+    } else {
+      logDebug(`Dropping unsupported input item: ${item.type}`);
+    }
+  }
+
+  const tools = getFunctionTools(responsesRequest.tools);
+  if (tools.length > 0) {
+    anthropicRequest.tools = tools.map(tool => ({
+      name: tool.name,
+      description: tool.description,
+      input_schema: tool.parameters || { type: 'object', properties: {} }
+    }));
+  }
+
+  const toolChoice = toAnthropicToolChoice(responsesRequest.tool_choice, responsesRequest.parallel_tool_calls);
+  if (toolChoice) {
+    anthropicRequest.tool_choice = toolChoice;
+  }
+
+  let effort = resolveReasoningEffort(responsesRequest);
+  if (effort && !canReplayWithThinking(anthropicRequest.messages)) {
+    // 客户端没有回传带签名的 reasoning item，无法还原 thinking 块，本次请求关闭 thinking
+    logDebug('Disabling thinking: the last tool_use turn has no thinking block to replay');
+    effort = null;
+  }
+  if (effort) {
+    const budgetTokens = THINKING_BUDGETS[effort];
+    anthropicRequest.thinking = {
+      type: 'enabled',
+      budget_tokens: budgetTokens
+    };
+    // Anthropic 要求 max_tokens 大于 thinking 预算
+    if (anthropicRequest.max_tokens <= budgetTokens) {
+      anthropicRequest.max_tokens = budgetTokens + 4096;
+    }
+  } else {
+    anthropicRequest.messages = stripThinking(anthropicRequest.messages);
+  }
+
+  if (responsesRequest.temperature !== undefined && !effort) {
+    anthropicRequest.temperature = responsesRequest.temperature;
+  }
+  if (responsesRequest.top_p !== undefined) {
+    anthropicRequest.top_p = responsesRequest.top_p;
+  }
+
+  logDebug('Transformed Anthropic request', anthropicRequest);
+  return anthropicRequest;
+}
+
+export function transformResponsesToCommon(responsesRequest) {
+  logDebug('Transforming Responses request to Common format');
+
+  const items = normalizeInput(responsesRequest.input);
+  const commonRequest = {
+    model: responsesRequest.model,
+    messages: []
+  };
+
+  if (responsesRequest.stream !== undefined) {
+    commonRequest.stream = responsesRequest.stream;
+    if (responsesRequest.stream === true) {
+      // 需要 usage 才能生成 response.completed 中的 token 统计
+      commonRequest.stream_options = { include_usage: true };
+    }
+  }
+
+  if (responsesRequest.max_output_tokens) {
+    commonRequest.max_tokens = responsesRequest.max_output_tokens;
+  }
+
+  const instructions = collectInstructions(responsesRequest, items);
+  if (instructions) {
+    commonRequest.messages.push({ role: 'system', content: instructions });
+  }
+
+  for (const item of items) {
+    if (isMessageItem(item)) {
+      if (isSystemRole(item.role)) {
+        continue;
+      }
+      if (typeof item.content === 'string') {
+        commonRequest.messages.push({ role: item.role, content: item.content });
+        continue;
+      }
+      const parts = [];
+      for (const part of item.content || []) {
+        if (part.type === 'input_text' || part.type === 'output_text') {
+          parts.push({ type: 'text', text: part.text });
+        } else if (part.type === 'input_image') {
+          const url = imageUrlOf(part);
+          if (url) {
+            parts.push({ type: 'image_url', image_url: { url } });
+          }
+        }
+      }
+      const onlyText = parts.every(part => part.type === 'text');
+      commonRequest.messages.push({
+        role: item.role,
+        content: onlyText ? parts.map(part => part.text).join('') : parts
+      });
+    } else if (item.type === 'function_call') {
+      const toolCall = {
+        id: item.call_id,
+        type: 'function',
+        function: {
+          name: item.name,
+          arguments: item.arguments || '{}'
+        }
+      };
+      // 连续的 function_call 合并到同一条 assistant 消息
+      const last = commonRequest.messages[commonRequest.messages.length - 1];
+      if (last && last.role === 'assistant') {
+        last.tool_calls = [...(last.tool_calls || []), toolCall];
+      } else {
+        commonRequest.messages.push({ role: 'assistant', content: null, tool_calls: [toolCall] });
+      }
+    } else if (item.type === 'function_call_output') {
+      commonRequest.messages.push({
+        role: 'tool',
+        tool_call_id: item.call_id,
+        content: toolOutputToText(item.output)
+      });
+    } else {
+      logDebug(`Dropping unsupported input item: ${item.type}`);
+    }
+  }
+
+  const tools = getFunctionTools(responsesRequest.tools);
+  if (tools.length > 0) {
+    commonRequest.tools = tools.map(tool => ({
+      type: 'function',
+      function: {
+        name: tool.name,
+        description: tool.description,
+        parameters: tool.parameters || { type: 'object', properties: {} }
+      }
+    }));
+  }
+
+  const toolChoice = responsesRequest.tool_choice;
+  if (toolChoice && typeof toolChoice === 'object' && toolChoice.type === 'function') {
+    commonRequest.tool_choice = { type: 'function', function: { name: toolChoice.name } };
+  } else if (typeof toolChoice === 'string') {
+    commonRequest.tool_choice = toolChoice;
+  }
+  if (responsesRequest.parallel_tool_calls !== undefined) {
+    commonRequest.parallel_tool_calls = responsesRequest.parallel_tool_calls;
+  }
+
+  if (responsesRequest.temperature !== undefined) {
+    commonRequest.temperature = responsesRequest.temperature;
+  }
+  if (responsesRequest.top_p !== undefined) {
+    commonRequest.top_p = responsesRequest.top_p;
+  }
+
+  logDebug('Transformed Common request', commonRequest);
+  return commonRequest;
+}
@@ -1,12 +1,43 @@
 import { logDebug } from '../logger.js';
+import { toFinishReason } from './utils.js';
+
+/**
+ * Convert Anthropic usage to OpenAI chat.completion usage.
+ * Anthropic 的 input_tokens 不包含缓存部分，OpenAI 的 prompt_tokens 包含
+ */
+export function anthropicUsageToOpenAI(usage) {
+  const inputTokens = usage?.input_tokens ?? 0;
+  const cacheReadTokens = usage?.cache_read_input_tokens ?? 0;
+  const cacheCreationTokens = usage?.cache_creation_input_tokens ?? 0;
+  const outputTokens = usage?.output_tokens ?? 0;
+  const promptTokens = inputTokens + cacheReadTokens + cacheCreationTokens;
+
+  return {
+    prompt_tokens: promptTokens,
+    completion_tokens: outputTokens,
+    total_tokens: promptTokens + outputTokens,
+    prompt_tokens_details: {
+      cached_tokens: cacheReadTokens
+    },
+    cache_read_input_tokens: cacheReadTokens,
+    cache_creation_input_tokens: cacheCreationTokens
+  };
+}
 
 export class AnthropicResponseTransformer {
-  constructor(model, requestId) {
+  constructor(model, requestId, options = {}) {
     this.model = model;
     this.requestId = requestId || `chatcmpl-${Date.now()}`;
     this.created = Math.floor(Date.now() / 1000);
+    this.reasoningOutput = options.reasoningOutput || 'reasoning_content';
+    this.includeUsage = options.includeUsage === true;
+    this.rawUsage = null;
+    this.thinkTagOpen = false;
     this.messageId = null;
     this.currentIndex = 0;
+    // Anthropic content block index -> OpenAI tool_calls index
+    this.toolCallIndexes = new Map();
+    this.toolCallCount = 0;
   }
 
   parseSSELine(line) {
@@ -29,16 +60,57 @@ export class AnthropicResponseTransformer {
 
     if (eventType === 'message_start') {
       this.messageId = eventData.message?.id || this.requestId;
+      this.mergeUsage(eventData.message?.usage);
       return this.createOpenAIChunk('', 'assistant', false);
     }
 
     if (eventType === 'content_block_start') {
+      const block = eventData.content_block;
+      if (block?.type === 'tool_use') {
+        const toolCallIndex = this.toolCallCount++;
+        this.toolCallIndexes.set(eventData.index, toolCallIndex);
+        return this.createToolCallChunk({
+          index: toolCallIndex,
+          id: block.id,
+          type: 'function',
+          function: {
+            name: block.name,
+            arguments: ''
+          }
+        });
+      }
       return null;
     }
 
     if (eventType === 'content_block_delta') {
-      const text = eventData.delta?.text || '';
-      return this.createOpenAIChunk(text, null, false);
+      const delta = eventData.delta || {};
+
+      if (delta.type === 'input_json_delta') {
+        const toolCallIndex = this.toolCallIndexes.get(eventData.index);
+        if (toolCallIndex === undefined || !delta.partial_json) {
+          return null;
+        }
+        return this.createToolCallChunk({
+          index: toolCallIndex,
+          function: {
+            arguments: delta.partial_json
+          }
+        });
+      }
+
+      if (delta.type === 'thinking_delta') {
+        return this.createReasoningChunk(delta.thinking);
+      }
+
+      if (delta.type && delta.type !== 'text_delta') {
+        return null;
+      }
+
+      const text = delta.text || '';
+      if (!text) {
+        return null;
+      }
+      return this.closeThinkTag() + this.createOpenAIChunk(text, null, false);
     }
 
     if (eventType === 'content_block_stop') {
@@ -46,14 +118,19 @@ export class AnthropicResponseTransformer {
     }
 
     if (eventType === 'message_delta') {
+      this.mergeUsage(eventData.usage);
       const stopReason = eventData.delta?.stop_reason;
       if (stopReason) {
-        return this.createOpenAIChunk('', null, true, this.mapStopReason(stopReason));
+        return this.closeThinkTag() + this.createOpenAIChunk('', null, true, toFinishReason(stopReason));
       }
       return null;
     }
 
     if (eventType === 'message_stop') {
+      const usage = this.getUsage();
+      if (this.includeUsage && usage) {
+        return this.createUsageChunk(usage) + this.createDoneSignal();
+      }
       return this.createDoneSignal();
     }
 
@@ -89,18 +166,80 @@ export class AnthropicResponseTransformer {
     return `data: ${JSON.stringify(chunk)}\n\n`;
   }
 
-  createDoneSignal() {
-    return 'data: [DONE]\n\n';
+  createToolCallChunk(toolCall) {
+    return this.closeThinkTag() + this.createDeltaChunk({ tool_calls: [toolCall] });
+  }
+
+  createReasoningChunk(text) {
+    if (!text || this.reasoningOutput === 'none') {
+      return null;
+    }
+    if (this.reasoningOutput === 'think_tags') {
+      const prefix = this.thinkTagOpen ? '' : '<think>';
+      this.thinkTagOpen = true;
+      return this.createOpenAIChunk(prefix + text, null, false);
+    }
+    return this.createDeltaChunk({ reasoning_content: text });
   }
 
-  mapStopReason(anthropicReason) {
-    const mapping = {
-      'end_turn': 'stop',
-      'max_tokens': 'length',
-      'stop_sequence': 'stop',
-      'tool_use': 'tool_calls'
+  closeThinkTag() {
+    if (!this.thinkTagOpen) {
+      return '';
+    }
+    this.thinkTagOpen = false;
+    return this.createOpenAIChunk('</think>\n\n', null, false);
+  }
+
+  createDeltaChunk(delta) {
+    const chunk = {
+      id: this.requestId,
+      object: 'chat.completion.chunk',
+      created: this.created,
+      model: this.model,
+      choices: [
+        {
+          index: 0,
+          delta,
+          finish_reason: null
+        }
+      ]
     };
-    return mapping[anthropicReason] || 'stop';
+
+    return `data: ${JSON.stringify(chunk)}\n\n`;
+  }
+
+  // message_delta 中的 usage 为累计值，直接覆盖
+  mergeUsage(usage) {
+    if (!usage || typeof usage !== 'object') {
+      return;
+    }
+    this.rawUsage = this.rawUsage || {};
+    for (const [key, value] of Object.entries(usage)) {
+      if (value !== null && value !== undefined) {
+        this.rawUsage[key] = value;
+      }
+    }
+  }
+
+  getUsage() {
+    return this.rawUsage ? anthropicUsageToOpenAI(this.rawUsage) : null;
+  }
+
+  createUsageChunk(usage) {
+    const chunk = {
+      id: this.requestId,
+      object: 'chat.completion.chunk',
+      created: this.created,
+      model: this.model,
+      choices: [],
+      usage
+    };
+
+    return `data: ${JSON.stringify(chunk)}\n\n`;
+  }
+
+  createDoneSignal() {
+    return 'data: [DONE]\n\n';
   }
 
   async *transformStream(sourceStream) {
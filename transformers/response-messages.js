@@ -0,0 +1,392 @@
+import { logDebug } from '../logger.js';
+import { parseToolArguments, toStopReason } from './utils.js';
+
+// Responses API / Chat Completions 上游响应转换为 Anthropic Messages 格式
+
+function generateMessageId() {
+  return `msg_${Date.now()}${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * Convert Responses API usage to Anthropic usage.
+ * Responses 的 input_tokens 包含缓存命中部分，Anthropic 的 input_tokens 不包含
+ */
+function responsesUsageToAnthropic(usage) {
+  const cached = usage?.input_tokens_details?.cached_tokens ?? 0;
+  return {
+    input_tokens: Math.max((usage?.input_tokens ?? 0) - cached, 0),
+    output_tokens: usage?.output_tokens ?? 0,
+    cache_read_input_tokens: cached
+  };
+}
+
+function chatUsageToAnthropic(usage) {
+  const cached = usage?.prompt_tokens_details?.cached_tokens ?? 0;
+  return {
+    input_tokens: Math.max((usage?.prompt_tokens ?? 0) - cached, 0),
+    output_tokens: usage?.completion_tokens ?? 0,
+    cache_read_input_tokens: cached
+  };
+}
+
+/**
+ * Convert a non-streaming /v1/responses result to an Anthropic message.
+ */
+export function convertResponsesToMessage(resp, model) {
+  if (!resp || typeof resp !== 'object' || !Array.isArray(resp.output)) {
+    throw new Error('Invalid response object');
+  }
+
+  const content = [];
+  for (const item of resp.output) {
+    if (item.type === 'reasoning') {
+      const thinking = (item.summary || []).map(part => part.text || '').filter(Boolean).join('\n\n');
+      if (thinking) {
+        content.push({ type: 'thinking', thinking, signature: '' });
+      }
+    } else if (item.type === 'message') {
+      const text = (item.content || [])
+        .filter(part => part.type === 'output_text')
+        .map(part => part.text)
+        .join('');
+      if (text) {
+        content.push({ type: 'text', text });
+      }
+    } else if (item.type === 'function_call') {
+      content.push({
+        type: 'tool_use',
+        id: item.call_id || item.id,
+        name: item.name,
+        input: parseToolArguments(item.arguments)
+      });
+    }
+  }
+
+  let stopReason = 'end_turn';
+  if (content.some(block => block.type === 'tool_use')) {
+    stopReason = 'tool_use';
+  } else if (resp.status === 'incomplete') {
+    stopReason = 'max_tokens';
+  }
+
+  return {
+    id: generateMessageId(),
+    type: 'message',
+    role: 'assistant',
+    model: model || resp.model,
+    content,
+    stop_reason: stopReason,
+    stop_sequence: null,
+    usage: responsesUsageToAnthropic(resp.usage)
+  };
+}
+
+/**
+ * Convert a non-streaming /v1/chat/completions result to an Anthropic message.
+ */
+export function convertChatCompletionToMessage(data, model) {
+  const choice = data?.choices?.[0];
+  if (!choice) {
+    throw new Error('Invalid chat completion object');
+  }
+
+  const message = choice.message || {};
+  const content = [];
+  if (message.reasoning_content) {
+    content.push({ type: 'thinking', thinking: message.reasoning_content, signature: '' });
+  }
+  if (message.content) {
+    content.push({ type: 'text', text: message.content });
+  }
+  for (const toolCall of message.tool_calls || []) {
+    content.push({
+      type: 'tool_use',
+      id: toolCall.id,
+      name: toolCall.function?.name,
+      input: parseToolArguments(toolCall.function?.arguments)
+    });
+  }
+
+  return {
+    id: generateMessageId(),
+    type: 'message',
+    role: 'assistant',
+    model: model || data.model,
+    content,
+    stop_reason: toStopReason(choice.finish_reason),
+    stop_sequence: null,
+    usage: chatUsageToAnthropic(data.usage)
+  };
+}
+
+/**
+ * Re-emits a Responses API (sourceType 'openai') or Chat Completions (sourceType 'common')
+ * stream as Anthropic Messages SSE events.
+ */
+export class MessagesResponseTransformer {
+  constructor(model, sourceType) {
+    this.model = model;
+    this.sourceType = sourceType;
+    this.messageId = generateMessageId();
+    this.started = false;
+    this.finished = false;
+    this.blockIndex = -1;
+    this.currentBlock = null;
+    // Responses output_index / Chat tool_calls index -> Anthropic content block index
+    this.toolBlocks = new Map();
+    this.hasToolUse = false;
+    this.stopReason = null;
+    this.usage = null;
+  }
+
+  parseSSELine(line) {
+    if (line.startsWith('event:')) {
+      return { type: 'event', value: line.slice(6).trim() };
+    }
+    if (line.startsWith('data:')) {
+      const dataStr = line.slice(5).trim();
+      try {
+        return { type: 'data', value: JSON.parse(dataStr) };
+      } catch (e) {
+        return { type: 'data', value: dataStr };
+      }
+    }
+    return null;
+  }
+
+  createEvent(type, data) {
+    return `event: ${type}\ndata: ${JSON.stringify({ type, ...data })}\n\n`;
+  }
+
+  startMessage() {
+    if (this.started) {
+      return '';
+    }
+    this.started = true;
+    return this.createEvent('message_start', {
+      message: {
+        id: this.messageId,
+        type: 'message',
+        role: 'assistant',
+        model: this.model,
+        content: [],
+        stop_reason: null,
+        stop_sequence: null,
+        usage: { input_tokens: 0, output_tokens: 0 }
+      }
+    });
+  }
+
+  closeBlock() {
+    if (!this.currentBlock) {
+      return '';
+    }
+    this.currentBlock = null;
+    return this.createEvent('content_block_stop', { index: this.blockIndex });
+  }
+
+  startBlock(contentBlock) {
+    let output = this.closeBlock();
+    this.blockIndex++;
+    this.currentBlock = contentBlock.type;
+    output += this.createEvent('content_block_start', {
+      index: this.blockIndex,
+      content_block: contentBlock
+    });
+    return output;
+  }
+
+  emitText(text) {
+    if (!text) {
+      return '';
+    }
+    let output = this.startMessage();
+    if (this.currentBlock !== 'text') {
+      output += this.startBlock({ type: 'text', text: '' });
+    }
+    output += this.createEvent('content_block_delta', {
+      index: this.blockIndex,
+      delta: { type: 'text_delta', text }
+    });
+    return output;
+  }
+
+  emitThinking(thinking) {
+    if (!thinking) {
+      return '';
+    }
+    let output = this.startMessage();
+    if (this.currentBlock !== 'thinking') {
+      output += this.startBlock({ type: 'thinking', thinking: '', signature: '' });
+    }
+    output += this.createEvent('content_block_delta', {
+      index: this.blockIndex,
+      delta: { type: 'thinking_delta', thinking }
+    });
+    return output;
+  }
+
+  startToolUse(key, id, name) {
+    let output = this.startMessage();
+    output += this.startBlock({ type: 'tool_use', id, name, input: {} });
+    this.toolBlocks.set(key, { index: this.blockIndex, argumentsSent: false });
+    this.hasToolUse = true;
+    return output;
+  }
+
+  emitToolArguments(key, partialJson) {
+    const toolBlock = this.toolBlocks.get(key);
+    if (!toolBlock || !partialJson) {
+      return '';
+    }
+    toolBlock.argumentsSent = true;
+    return this.createEvent('content_block_delta', {
+      index: toolBlock.index,
+      delta: { type: 'input_json_delta', partial_json: partialJson }
+    });
+  }
+
+  finishMessage() {
+    if (this.finished) {
+      return '';
+    }
+    this.finished = true;
+    let output = this.startMessage();
+    output += this.closeBlock();
+    const stopReason = this.hasToolUse ? 'tool_use' : (this.stopReason || 'end_turn');
+    output += this.createEvent('message_delta', {
+      delta: { stop_reason: stopReason, stop_sequence: null },
+      usage: this.usage || { output_tokens: 0 }
+    });
+    output += this.createEvent('message_stop', {});
+    return output;
+  }
+
+  transformResponsesEvent(eventType, eventData) {
+    logDebug(`Responses event (to Anthropic): ${eventType}`);
+
+    if (eventType === 'response.created') {
+      return this.startMessage();
+    }
+
+    if (eventType === 'response.output_text.delta') {
+      return this.emitText(eventData.delta);
+    }
+
+    if (eventType === 'response.reasoning_summary_text.delta') {
+      return this.emitThinking(eventData.delta);
+    }
+
+    if (eventType === 'response.output_item.added' && eventData.item?.type === 'function_call') {
+      const item = eventData.item;
+      return this.startToolUse(eventData.output_index, item.call_id || item.id, item.name);
+    }
+
+    if (eventType === 'response.function_call_arguments.delta') {
+      return this.emitToolArguments(eventData.output_index, eventData.delta);
+    }
+
+    if (eventType === 'response.function_call_arguments.done') {
+      const toolBlock = this.toolBlocks.get(eventData.output_index);
+      if (toolBlock && !toolBlock.argumentsSent) {
+        return this.emitToolArguments(eventData.output_index, eventData.arguments);
+      }
+      return '';
+    }
+
+    if (eventType === 'response.completed' || eventType === 'response.done' || eventType === 'response.incomplete') {
+      const response = eventData.response || {};
+      if (response.usage) {
+        this.usage = responsesUsageToAnthropic(response.usage);
+      }
+      if (response.status === 'incomplete') {
+        this.stopReason = 'max_tokens';
+      }
+      return this.finishMessage();
+    }
+
+    return '';
+  }
+
+  transformChatChunk(chunk) {
+    if (chunk.usage) {
+      this.usage = chatUsageToAnthropic(chunk.usage);
+    }
+
+    const choice = chunk.choices?.[0];
+    if (!choice) {
+      return this.startMessage();
+    }
+
+    const delta = choice.delta || {};
+    let output = this.startMessage();
+
+    if (delta.reasoning_content) {
+      output += this.emitThinking(delta.reasoning_content);
+    }
+    if (delta.content) {
+      output += this.emitText(delta.content);
+    }
+    for (const toolCall of delta.tool_calls || []) {
+      const key = toolCall.index ?? 0;
+      if (!this.toolBlocks.has(key)) {
+        output += this.startToolUse(key, toolCall.id, toolCall.function?.name);
+      }
+      output += this.emitToolArguments(key, toolCall.function?.arguments);
+    }
+    if (choice.finish_reason) {
+      // usage 可能在 finish_reason 之后的单独 chunk 中，等到流结束再发送 message_delta
+      this.stopReason = toStopReason(choice.finish_reason);
+    }
+
+    return output;
+  }
+
+  async *transformStream(sourceStream) {
+    let buffer = '';
+    let currentEvent = null;
+
+    try {
+      for await (const chunk of sourceStream) {
+        buffer += chunk.toString();
+        const lines = buffer.split('\n');
+        buffer = lines.pop() || '';
+
+        for (const line of lines) {
+          if (!line.trim()) continue;
+
+          const parsed = this.parseSSELine(line);
+          if (!parsed) continue;
+
+          let transformed = '';
+          if (this.sourceType === 'common') {
+            if (parsed.type !== 'data') continue;
+            if (parsed.value === '[DONE]') {
+              transformed = this.finishMessage();
+            } else if (typeof parsed.value === 'object') {
+              transformed = this.transformChatChunk(parsed.value);
+            }
+          } else if (parsed.type === 'event') {
+            currentEvent = parsed.value;
+          } else if (parsed.type === 'data' && currentEvent) {
+            transformed = this.transformResponsesEvent(currentEvent, parsed.value);
+            currentEvent = null;
+          }
+
+          if (transformed) {
+            yield transformed;
+          }
+        }
+      }
+
+      // 上游未正常结束时也补齐 message_stop
+      const tail = this.finishMessage();
+      if (tail) {
+        yield tail;
+      }
+    } catch (error) {
+      logDebug('Error in Messages stream transformation', error);
+      throw error;
+    }
+  }
+}
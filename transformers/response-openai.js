@@ -1,10 +1,38 @@
 import { logDebug } from '../logger.js';
 
+/**
+ * Convert Responses API usage to OpenAI chat.completion usage.
+ */
+export function responsesUsageToOpenAI(usage) {
+  const promptTokens = usage?.input_tokens ?? 0;
+  const completionTokens = usage?.output_tokens ?? 0;
+
+  return {
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    total_tokens: usage?.total_tokens ?? promptTokens + completionTokens,
+    prompt_tokens_details: {
+      cached_tokens: usage?.input_tokens_details?.cached_tokens ?? 0
+    },
+    completion_tokens_details: {
+      reasoning_tokens: usage?.output_tokens_details?.reasoning_tokens ?? 0
+    }
+  };
+}
+
 export class OpenAIResponseTransformer {
-  constructor(model, requestId) {
+  constructor(model, requestId, options = {}) {
     this.model = model;
     this.requestId = requestId || `chatcmpl-${Date.now()}`;
     this.created = Math.floor(Date.now() / 1000);
+    this.reasoningOutput = options.reasoningOutput || 'reasoning_content';
+    this.includeUsage = options.includeUsage === true;
+    this.usage = null;
+    this.thinkTagOpen = false;
+    // Responses output_index -> OpenAI tool_calls state
+    this.toolCalls = new Map();
+    this.toolCallCount = 0;
+    this.finished = false;
   }
 
   parseSSELine(line) {
@@ -35,31 +63,121 @@ export class OpenAIResponseTransformer {
 
     if (eventType === 'response.output_text.delta') {
       const text = eventData.delta || eventData.text || '';
-      return this.createOpenAIChunk(text, null, false);
+      if (!text) {
+        return null;
+      }
+      return this.closeThinkTag() + this.createOpenAIChunk(text, null, false);
+    }
+
+    if (eventType === 'response.reasoning_summary_text.delta') {
+      return this.createReasoningChunk(eventData.delta);
+    }
+
+    if (eventType === 'response.reasoning_summary_part.added') {
+      // 多段推理摘要之间用空行分隔
+      if (eventData.summary_index > 0) {
+        return this.createReasoningChunk('\n\n');
+      }
+      return null;
     }
 
     if (eventType === 'response.output_text.done') {
       return null;
     }
 
-    if (eventType === 'response.done') {
+    if (eventType === 'response.output_item.added') {
+      const item = eventData.item;
+      if (item?.type === 'function_call') {
+        const toolCall = {
+          index: this.toolCallCount++,
+          itemId: item.id,
+          argumentsSent: false
+        };
+        this.toolCalls.set(eventData.output_index, toolCall);
+        return this.createToolCallChunk({
+          index: toolCall.index,
+          id: item.call_id || item.id,
+          type: 'function',
+          function: {
+            name: item.name,
+            arguments: ''
+          }
+        });
+      }
+      return null;
+    }
+
+    if (eventType === 'response.function_call_arguments.delta') {
+      const toolCall = this.findToolCall(eventData);
+      if (!toolCall || !eventData.delta) {
+        return null;
+      }
+      toolCall.argumentsSent = true;
+      return this.createToolCallChunk({
+        index: toolCall.index,
+        function: {
+          arguments: eventData.delta
+        }
+      });
+    }
+
+    if (eventType === 'response.function_call_arguments.done') {
+      // 上游没有发送增量参数时，一次性补发完整参数
+      const toolCall = this.findToolCall(eventData);
+      if (!toolCall || toolCall.argumentsSent || !eventData.arguments) {
+        return null;
+      }
+      toolCall.argumentsSent = true;
+      return this.createToolCallChunk({
+        index: toolCall.index,
+        function: {
+          arguments: eventData.arguments
+        }
+      });
+    }
+
+    if (eventType === 'response.done' || eventType === 'response.completed' || eventType === 'response.incomplete') {
+      if (this.finished) {
+        return null;
+      }
+      this.finished = true;
+
+      if (eventData.response?.usage) {
+        this.usage = responsesUsageToOpenAI(eventData.response.usage);
+      }
+
       const status = eventData.response?.status;
       let finishReason = 'stop';
-      
-      if (status === 'completed') {
+
+      if (this.toolCallCount > 0) {
+        finishReason = 'tool_calls';
+      } else if (status === 'completed') {
         finishReason = 'stop';
       } else if (status === 'incomplete') {
         finishReason = 'length';
       }
 
-      const finalChunk = this.createOpenAIChunk('', null, true, finishReason);
+      const finalChunk = this.closeThinkTag() + this.createOpenAIChunk('', null, true, finishReason);
+      const usageChunk = this.includeUsage && this.usage ? this.createUsageChunk(this.usage) : '';
       const done = this.createDoneSignal();
-      return finalChunk + done;
+      return finalChunk + usageChunk + done;
     }
 
     return null;
   }
 
+  findToolCall(eventData) {
+    if (this.toolCalls.has(eventData.output_index)) {
+      return this.toolCalls.get(eventData.output_index);
+    }
+    for (const toolCall of this.toolCalls.values()) {
+      if (eventData.item_id && toolCall.itemId === eventData.item_id) {
+        return toolCall;
+      }
+    }
+    return null;
+  }
+
   createOpenAIChunk(content, role = null, finish = false, finishReason = null) {
     const chunk = {
       id: this.requestId,
@@ -85,6 +203,65 @@ export class OpenAIResponseTransformer {
     return `data: ${JSON.stringify(chunk)}\n\n`;
   }
 
+  createToolCallChunk(toolCall) {
+    return this.closeThinkTag() + this.createDeltaChunk({ tool_calls: [toolCall] });
+  }
+
+  createReasoningChunk(text) {
+    if (!text || this.reasoningOutput === 'none') {
+      return null;
+    }
+    if (this.reasoningOutput === 'think_tags') {
+      const prefix = this.thinkTagOpen ? '' : '<think>';
+      this.thinkTagOpen = true;
+      return this.createOpenAIChunk(prefix + text, null, false);
+    }
+    return this.createDeltaChunk({ reasoning_content: text });
+  }
+
+  closeThinkTag() {
+    if (!this.thinkTagOpen) {
+      return '';
+    }
+    this.thinkTagOpen = false;
+    return this.createOpenAIChunk('</think>\n\n', null, false);
+  }
+
+  createDeltaChunk(delta) {
+    const chunk = {
+      id: this.requestId,
+      object: 'chat.completion.chunk',
+      created: this.created,
+      model: this.model,
+      choices: [
+        {
+          index: 0,
+          delta,
+          finish_reason: null
+        }
+      ]
+    };
+
+    return `data: ${JSON.stringify(chunk)}\n\n`;
+  }
+
+  getUsage() {
+    return this.usage;
+  }
+
+  createUsageChunk(usage) {
+    const chunk = {
+      id: this.requestId,
+      object: 'chat.completion.chunk',
+      created: this.created,
+      model: this.model,
+      choices: [],
+      usage
+    };
+
+    return `data: ${JSON.stringify(chunk)}\n\n`;
+  }
+
   createDoneSignal() {
     return 'data: [DONE]\n\n';
   }
@@ -116,7 +293,7 @@ export class OpenAIResponseTransformer {
         }
       }
 
-      if (currentEvent === 'response.done' || currentEvent === 'response.completed') {
+      if (!this.finished && (currentEvent === 'response.done' || currentEvent === 'response.completed')) {
         yield this.createDoneSignal();
       }
     } catch (error) {
@@ -0,0 +1,487 @@
+import { logDebug } from '../logger.js';
+
+// Anthropic Messages / Chat Completions 上游响应转换为 Responses API 格式
+
+function generateId(prefix) {
+  return `${prefix}_${Date.now()}${Math.random().toString(36).slice(2, 10)}`;
+}
+
+function anthropicUsageToResponses(usage) {
+  const cacheRead = usage?.cache_read_input_tokens ?? 0;
+  const cacheCreation = usage?.cache_creation_input_tokens ?? 0;
+  const inputTokens = (usage?.input_tokens ?? 0) + cacheRead + cacheCreation;
+  const outputTokens = usage?.output_tokens ?? 0;
+  return {
+    input_tokens: inputTokens,
+    input_tokens_details: { cached_tokens: cacheRead },
+    output_tokens: outputTokens,
+    output_tokens_details: { reasoning_tokens: 0 },
+    total_tokens: inputTokens + outputTokens
+  };
+}
+
+function chatUsageToResponses(usage) {
+  const inputTokens = usage?.prompt_tokens ?? 0;
+  const outputTokens = usage?.completion_tokens ?? 0;
+  return {
+    input_tokens: inputTokens,
+    input_tokens_details: { cached_tokens: usage?.prompt_tokens_details?.cached_tokens ?? 0 },
+    output_tokens: outputTokens,
+    output_tokens_details: { reasoning_tokens: usage?.completion_tokens_details?.reasoning_tokens ?? 0 },
+    total_tokens: usage?.total_tokens ?? inputTokens + outputTokens
+  };
+}
+
+function createResponseObject(id, model, status, output, usage) {
+  return {
+    id,
+    object: 'response',
+    created_at: Math.floor(Date.now() / 1000),
+    status,
+    model,
+    output,
+    usage: usage || null
+  };
+}
+
+/**
+ * Anthropic thinking 的签名放在 encrypted_content 中，客户端回传后可以还原为 thinking 块
+ */
+function reasoningItem(text, signature = null) {
+  const item = {
+    id: generateId('rs'),
+    type: 'reasoning',
+    summary: [{ type: 'summary_text', text }]
+  };
+  if (signature) {
+    item.encrypted_content = signature;
+  }
+  return item;
+}
+
+function messageItem(text) {
+  return {
+    id: generateId('msg'),
+    type: 'message',
+    role: 'assistant',
+    status: 'completed',
+    content: [{ type: 'output_text', text, annotations: [] }]
+  };
+}
+
+function functionCallItem(callId, name, args) {
+  return {
+    id: generateId('fc'),
+    type: 'function_call',
+    status: 'completed',
+    call_id: callId,
+    name,
+    arguments: args
+  };
+}
+
+/**
+ * Convert a non-streaming Anthropic message to a /v1/responses result.
+ */
+export function convertMessageToResponse(message, model) {
+  if (!message || typeof message !== 'object' || message.type !== 'message') {
+    throw new Error('Invalid Anthropic message object');
+  }
+
+  const output = [];
+  for (const block of message.content || []) {
+    if (block.type === 'thinking' && block.thinking) {
+      output.push(reasoningItem(block.thinking, block.signature));
+    } else if (block.type === 'text' && block.text) {
+      output.push(messageItem(block.text));
+    } else if (block.type === 'tool_use') {
+      output.push(functionCallItem(block.id, block.name, JSON.stringify(block.input ?? {})));
+    }
+  }
+
+  const status = message.stop_reason === 'max_tokens' ? 'incomplete' : 'completed';
+  return createResponseObject(generateId('resp'), model || message.model, status, output,
+    anthropicUsageToResponses(message.usage));
+}
+
+/**
+ * Convert a non-streaming /v1/chat/completions result to a /v1/responses result.
+ */
+export function convertChatCompletionToResponse(data, model) {
+  const choice = data?.choices?.[0];
+  if (!choice) {
+    throw new Error('Invalid chat completion object');
+  }
+
+  const message = choice.message || {};
+  const output = [];
+  if (message.reasoning_content) {
+    output.push(reasoningItem(message.reasoning_content));
+  }
+  if (message.content) {
+    output.push(messageItem(message.content));
+  }
+  for (const toolCall of message.tool_calls || []) {
+    output.push(functionCallItem(toolCall.id, toolCall.function?.name, toolCall.function?.arguments || ''));
+  }
+
+  const status = choice.finish_reason === 'length' ? 'incomplete' : 'completed';
+  return createResponseObject(generateId('resp'), model || data.model, status, output,
+    chatUsageToResponses(data.usage));
+}
+
+/**
+ * Re-emits an Anthropic Messages (sourceType 'anthropic') or Chat Completions (sourceType 'common')
+ * stream as Responses API SSE events.
+ */
+export class ResponsesResponseTransformer {
+  constructor(model, sourceType) {
+    this.model = model;
+    this.sourceType = sourceType;
+    this.responseId = generateId('resp');
+    this.sequenceNumber = 0;
+    this.started = false;
+    this.finished = false;
+    this.output = [];
+    this.current = null;
+    // Anthropic content block index / Chat tool_calls index -> function_call entry
+    this.toolEntries = new Map();
+    this.status = 'completed';
+    this.rawUsage = null;
+    this.usage = null;
+  }
+
+  parseSSELine(line) {
+    if (line.startsWith('event:')) {
+      return { type: 'event', value: line.slice(6).trim() };
+    }
+    if (line.startsWith('data:')) {
+      const dataStr = line.slice(5).trim();
+      try {
+        return { type: 'data', value: JSON.parse(dataStr) };
+      } catch (e) {
+        return { type: 'data', value: dataStr };
+      }
+    }
+    return null;
+  }
+
+  createEvent(type, data) {
+    const payload = { type, sequence_number: this.sequenceNumber++, ...data };
+    return `event: ${type}\ndata: ${JSON.stringify(payload)}\n\n`;
+  }
+
+  startResponse() {
+    if (this.started) {
+      return '';
+    }
+    this.started = true;
+    const response = createResponseObject(this.responseId, this.model, 'in_progress', []);
+    return this.createEvent('response.created', { response })
+      + this.createEvent('response.in_progress', { response });
+  }
+
+  openItem(item) {
+    let output = this.startResponse() + this.closeCurrent();
+    const entry = { item, outputIndex: this.output.length, text: '', done: false };
+    this.output.push(entry);
+    this.current = entry;
+
+    if (item.type === 'message') {
+      output += this.createEvent('response.output_item.added', {
+        output_index: entry.outputIndex,
+        item: { ...item, status: 'in_progress', content: [] }
+      });
+      output += this.createEvent('response.content_part.added', {
+        item_id: item.id,
+        output_index: entry.outputIndex,
+        content_index: 0,
+        part: { type: 'output_text', text: '', annotations: [] }
+      });
+    } else if (item.type === 'reasoning') {
+      output += this.createEvent('response.output_item.added', {
+        output_index: entry.outputIndex,
+        item: { ...item, summary: [] }
+      });
+      output += this.createEvent('response.reasoning_summary_part.added', {
+        item_id: item.id,
+        output_index: entry.outputIndex,
+        summary_index: 0,
+        part: { type: 'summary_text', text: '' }
+      });
+    } else {
+      output += this.createEvent('response.output_item.added', {
+        output_index: entry.outputIndex,
+        item: { ...item, status: 'in_progress' }
+      });
+    }
+    return output;
+  }
+
+  closeItem(entry) {
+    if (!entry || entry.done) {
+      return '';
+    }
+    entry.done = true;
+    const { item, outputIndex, text } = entry;
+    let output = '';
+
+    if (item.type === 'message') {
+      const part = { type: 'output_text', text, annotations: [] };
+      item.content = [part];
+      output += this.createEvent('response.output_text.done', {
+        item_id: item.id, output_index: outputIndex, content_index: 0, text
+      });
+      output += this.createEvent('response.content_part.done', {
+        item_id: item.id, output_index: outputIndex, content_index: 0, part
+      });
+    } else if (item.type === 'reasoning') {
+      const part = { type: 'summary_text', text };
+      item.summary = [part];
+      output += this.createEvent('response.reasoning_summary_text.done', {
+        item_id: item.id, output_index: outputIndex, summary_index: 0, text
+      });
+      output += this.createEvent('response.reasoning_summary_part.done', {
+        item_id: item.id, output_index: outputIndex, summary_index: 0, part
+      });
+    } else if (item.type === 'function_call') {
+      item.arguments = text;
+      output += this.createEvent('response.function_call_arguments.done', {
+        item_id: item.id, output_index: outputIndex, arguments: text
+      });
+    }
+
+    output += this.createEvent('response.output_item.done', { output_index: outputIndex, item });
+    return output;
+  }
+
+  closeCurrent() {
+    const output = this.closeItem(this.current);
+    this.current = null;
+    return output;
+  }
+
+  emitText(text) {
+    if (!text) {
+      return '';
+    }
+    let output = '';
+    if (this.current?.item.type !== 'message') {
+      output += this.openItem(messageItem(''));
+    }
+    this.current.text += text;
+    output += this.createEvent('response.output_text.delta', {
+      item_id: this.current.item.id,
+      output_index: this.current.outputIndex,
+      content_index: 0,
+      delta: text
+    });
+    return output;
+  }
+
+  emitReasoning(text) {
+    if (!text) {
+      return '';
+    }
+    let output = '';
+    if (this.current?.item.type !== 'reasoning') {
+      output += this.openItem(reasoningItem(''));
+    }
+    this.current.text += text;
+    output += this.createEvent('response.reasoning_summary_text.delta', {
+      item_id: this.current.item.id,
+      output_index: this.current.outputIndex,
+      summary_index: 0,
+      delta: text
+    });
+    return output;
+  }
+
+  setReasoningSignature(signature) {
+    if (!signature) {
+      return '';
+    }
+    let output = '';
+    if (this.current?.item.type !== 'reasoning') {
+      output += this.openItem(reasoningItem(''));
+    }
+    this.current.item.encrypted_content = signature;
+    return output;
+  }
+
+  startFunctionCall(key, callId, name) {
+    const output = this.openItem(functionCallItem(callId, name, ''));
+    this.toolEntries.set(key, this.current);
+    return output;
+  }
+
+  emitFunctionArguments(key, delta) {
+    const entry = this.toolEntries.get(key);
+    if (!entry || !delta) {
+      return '';
+    }
+    entry.text += delta;
+    return this.createEvent('response.function_call_arguments.delta', {
+      item_id: entry.item.id,
+      output_index: entry.outputIndex,
+      delta
+    });
+  }
+
+  finishResponse() {
+    if (this.finished) {
+      return '';
+    }
+    this.finished = true;
+    let output = this.startResponse() + this.closeCurrent();
+    for (const entry of this.output) {
+      output += this.closeItem(entry);
+    }
+    const response = createResponseObject(
+      this.responseId,
+      this.model,
+      this.status,
+      this.output.map(entry => entry.item),
+      this.usage
+    );
+    const eventType = this.status === 'incomplete' ? 'response.incomplete' : 'response.completed';
+    output += this.createEvent(eventType, { response });
+    return output;
+  }
+
+  transformAnthropicEvent(eventType, eventData) {
+    logDebug(`Anthropic event (to Responses): ${eventType}`);
+
+    if (eventType === 'message_start') {
+      this.rawUsage = { ...(eventData.message?.usage || {}) };
+      return this.startResponse();
+    }
+
+    if (eventType === 'content_block_start') {
+      const block = eventData.content_block;
+      if (block?.type === 'tool_use') {
+        return this.startFunctionCall(eventData.index, block.id, block.name);
+      }
+      return '';
+    }
+
+    if (eventType === 'content_block_delta') {
+      const delta = eventData.delta || {};
+      if (delta.type === 'text_delta') {
+        return this.emitText(delta.text);
+      }
+      if (delta.type === 'thinking_delta') {
+        return this.emitReasoning(delta.thinking);
+      }
+      if (delta.type === 'signature_delta') {
+        return this.setReasoningSignature(delta.signature);
+      }
+      if (delta.type === 'input_json_delta') {
+        return this.emitFunctionArguments(eventData.index, delta.partial_json);
+      }
+      return '';
+    }
+
+    if (eventType === 'content_block_stop') {
+      return this.closeCurrent();
+    }
+
+    if (eventType === 'message_delta') {
+      if (eventData.usage) {
+        this.rawUsage = { ...(this.rawUsage || {}), ...eventData.usage };
+      }
+      if (eventData.delta?.stop_reason === 'max_tokens') {
+        this.status = 'incomplete';
+      }
+      return '';
+    }
+
+    if (eventType === 'message_stop') {
+      this.usage = anthropicUsageToResponses(this.rawUsage);
+      return this.finishResponse();
+    }
+
+    return '';
+  }
+
+  transformChatChunk(chunk) {
+    if (chunk.usage) {
+      this.usage = chatUsageToResponses(chunk.usage);
+    }
+
+    const choice = chunk.choices?.[0];
+    if (!choice) {
+      return this.startResponse();
+    }
+
+    const delta = choice.delta || {};
+    let output = this.startResponse();
+
+    if (delta.reasoning_content) {
+      output += this.emitReasoning(delta.reasoning_content);
+    }
+    if (delta.content) {
+      output += this.emitText(delta.content);
+    }
+    for (const toolCall of delta.tool_calls || []) {
+      const key = toolCall.index ?? 0;
+      if (!this.toolEntries.has(key)) {
+        output += this.startFunctionCall(key, toolCall.id, toolCall.function?.name);
+      }
+      output += this.emitFunctionArguments(key, toolCall.function?.arguments);
+    }
+    if (choice.finish_reason === 'length') {
+      this.status = 'incomplete';
+    }
+
+    return output;
+  }
+
+  async *transformStream(sourceStream) {
+    let buffer = '';
+    let currentEvent = null;
+
+    try {
+      for await (const chunk of sourceStream) {
+        buffer += chunk.toString();
+        const lines = buffer.split('\n');
+        buffer = lines.pop() || '';
+
+        for (const line of lines) {
+          if (!line.trim()) continue;
+
+          const parsed = this.parseSSELine(line);
+          if (!parsed) continue;
+
+          let transformed = '';
+          if (this.sourceType === 'common') {
+            if (parsed.type !== 'data') continue;
+            if (parsed.value === '[DONE]') {
+              transformed = this.finishResponse();
+            } else if (typeof parsed.value === 'object') {
+              transformed = this.transformChatChunk(parsed.value);
+            }
+          } else if (parsed.type === 'event') {
+            currentEvent = parsed.value;
+          } else if (parsed.type === 'data' && currentEvent) {
+            transformed = this.transformAnthropicEvent(currentEvent, parsed.value);
+            currentEvent = null;
+          }
+
+          if (transformed) {
+            yield transformed;
+          }
+        }
+      }
+
+      // 上游未正常结束时也补齐 response.completed
+      const tail = this.finishResponse();
+      if (tail) {
+        yield tail;
+      }
+    } catch (error) {
+      logDebug('Error in Responses stream transformation', error);
+      throw error;
+    }
+  }
+}
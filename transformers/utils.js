@@ -0,0 +1,124 @@
+import { logDebug } from '../logger.js';
+
+// 各 transformer 共用的转换：工具参数解析、工具结果转文本、Anthropic 消息合并、tool_choice 与结束原因映射
+
+// reasoning effort 对应的 Anthropic thinking 预算
+export const THINKING_BUDGETS = {
+  'low': 4096,
+  'medium': 12288,
+  'high': 24576
+};
+
+const STOP_REASON_TO_FINISH_REASON = {
+  'end_turn': 'stop',
+  'max_tokens': 'length',
+  'stop_sequence': 'stop',
+  'tool_use': 'tool_calls'
+};
+
+const FINISH_REASON_TO_STOP_REASON = {
+  'stop': 'end_turn',
+  'length': 'max_tokens',
+  'tool_calls': 'tool_use',
+  'function_call': 'tool_use'
+};
+
+/**
+ * Append content to an Anthropic message list, merging it into the previous message
+ * when the role is the same (Anthropic requires alternating roles).
+ */
+export function appendMessage(messages, role, content) {
+  if (content.length === 0) {
+    return;
+  }
+  const last = messages[messages.length - 1];
+  if (last && last.role === role) {
+    last.content.push(...content);
+    return;
+  }
+  messages.push({ role, content });
+}
+
+/**
+ * Parse OpenAI function call arguments (a JSON string) into an Anthropic tool_use input object.
+ * Invalid JSON is kept as `{ arguments: <raw string> }` instead of failing the request.
+ */
+export function parseToolArguments(args) {
+  if (args && typeof args === 'object') {
+    return args;
+  }
+  if (typeof args !== 'string' || !args.trim()) {
+    return {};
+  }
+  try {
+    return JSON.parse(args);
+  } catch (e) {
+    logDebug('Failed to parse tool call arguments, sending raw string', { args });
+    return { arguments: args };
+  }
+}
+
+/**
+ * Flatten a tool result (string, content parts or any JSON value) to plain text.
+ * Text parts of every format (text / input_text / output_text) are concatenated.
+ */
+export function toolOutputToText(content) {
+  if (typeof content === 'string') {
+    return content;
+  }
+  if (Array.isArray(content)) {
+    return content
+      .filter(part => typeof part?.text === 'string')
+      .map(part => part.text)
+      .join('');
+  }
+  if (content === null || content === undefined) {
+    return '';
+  }
+  return JSON.stringify(content);
+}
+
+/**
+ * Map an Anthropic stop_reason to a Chat Completions finish_reason.
+ */
+export function toFinishReason(stopReason) {
+  return STOP_REASON_TO_FINISH_REASON[stopReason] || 'stop';
+}
+
+/**
+ * Map a Chat Completions finish_reason to an Anthropic stop_reason.
+ */
+export function toStopReason(finishReason) {
+  return FINISH_REASON_TO_STOP_REASON[finishReason] || 'end_turn';
+}
+
+/**
+ * Map an OpenAI (Chat Completions or Responses) tool_choice to Anthropic tool_choice.
+ * auto -> auto, none -> none, required -> any, named function -> tool
+ */
+export function toAnthropicToolChoice(toolChoice, parallelToolCalls) {
+  if (toolChoice === undefined || toolChoice === null) {
+    return null;
+  }
+
+  let result = null;
+  if (toolChoice === 'auto') {
+    result = { type: 'auto' };
+  } else if (toolChoice === 'none') {
+    result = { type: 'none' };
+  } else if (toolChoice === 'required') {
+    result = { type: 'any' };
+  } else if (typeof toolChoice === 'object' && toolChoice.type === 'function') {
+    // Chat Completions 把名称放在 function.name 中，Responses 直接放在 name 中
+    const name = toolChoice.function?.name || toolChoice.name;
+    if (name) {
+      result = { type: 'tool', name };
+    }
+  }
+
+  if (result && parallelToolCalls === false && result.type !== 'none') {
+    result.disable_parallel_tool_use = true;
+  }
+
+  return result;
+}